@@ -45,8 +45,17 @@ class DatabasePool {
     const connection = await this.pool.getConnection();
     await connection.beginTransaction();
 
+    // Same query() contract as the pool so model methods can run inside the transaction
+    const tx = {
+      connection,
+      query: async (sql, params) => {
+        const [results] = await connection.execute(sql, params);
+        return results;
+      }
+    };
+
     try {
-      const result = await callback(connection);
+      const result = await callback(tx);
       await connection.commit();
       return result;
     } catch (error) {
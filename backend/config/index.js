@@ -1,8 +1,18 @@
 require('dotenv').config();
+const path = require('path');
+
+// Express 'trust proxy': a hop count, true, or addresses/subnets such as "loopback, 10.0.0.0/8"
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+};
 
 const config = {
   env: process.env.NODE_ENV || 'development',
   port: parseInt(process.env.PORT, 10) || 3000,
+  // Unset means clients connect directly; behind a reverse proxy req.ip would otherwise be the proxy's
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
 
   database: {
     host: process.env.DB_HOST || 'localhost',
@@ -30,6 +40,100 @@ const config = {
     algorithm: 'HS256'
   },
 
+  geocoding: {
+    provider: process.env.GEOCODER_PROVIDER || 'gazetteer',
+    gazetteer: {
+      filePath: process.env.GAZETTEER_PATH || path.join(__dirname, '..', 'data', 'gazetteer.csv')
+    }
+  },
+
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'local',
+    local: {
+      rootDir: process.env.STORAGE_LOCAL_ROOT || path.join(__dirname, '..', 'uploads')
+    }
+  },
+
+  deliveryVerification: {
+    maxPinAttempts: parseInt(process.env.DELIVERY_PIN_MAX_ATTEMPTS, 10) || 5,
+    maxDistanceMeters: parseInt(process.env.DELIVERY_MAX_DISTANCE_METERS, 10) || 500
+  },
+
+  deliveryProof: {
+    maxFileSize: parseInt(process.env.PROOF_MAX_FILE_SIZE, 10) || 5 * 1024 * 1024
+  },
+
+  shipmentImport: {
+    maxRows: parseInt(process.env.IMPORT_MAX_ROWS, 10) || 1000,
+    maxFileSize: process.env.IMPORT_MAX_FILE_SIZE || '5mb'
+  },
+
+  shipmentExport: {
+    batchSize: parseInt(process.env.EXPORT_BATCH_SIZE, 10) || 500
+  },
+
+  sla: {
+    evaluationIntervalMs: parseInt(process.env.SLA_EVALUATION_INTERVAL_MS, 10) || 60 * 1000,
+    batchSize: 500,
+    defaultPolicy: process.env.SLA_DEFAULT_POLICY || 'standard',
+    // atRiskMinutes: margin before the window closes that counts as at risk;
+    // graceMinutes: lateness tolerated before a breach
+    policies: {
+      standard: { atRiskMinutes: 30, graceMinutes: 15 },
+      express: { atRiskMinutes: 60, graceMinutes: 0 },
+      flexible: { atRiskMinutes: 15, graceMinutes: 60 }
+    }
+  },
+
+  tracking: {
+    // Largest offline catch-up upload accepted by POST /tracking/batch
+    batchMaxPoints: parseInt(process.env.TRACKING_BATCH_MAX_POINTS, 10) || 500,
+    // Device clocks may run this far ahead of the server before a point is rejected
+    maxClockSkewSeconds: parseInt(process.env.TRACKING_MAX_CLOCK_SKEW_SECONDS, 10) || 300,
+    // GPX uploads to POST /tracking/:shipment_id/import
+    importMaxPoints: parseInt(process.env.TRACKING_IMPORT_MAX_POINTS, 10) || 20000,
+    importMaxFileSize: process.env.TRACKING_IMPORT_MAX_FILE_SIZE || '10mb',
+    // GPS noise filter applied to each shipment's trace (see utils/gpsFilter)
+    filter: {
+      // Fixes reporting a worse accuracy are stored but left out of the filtered trace
+      maxAccuracyMeters: parseInt(process.env.TRACKING_FILTER_MAX_ACCURACY_METERS, 10) || 100,
+      // Accuracy assumed for fixes that do not report one
+      defaultAccuracyMeters: parseInt(process.env.TRACKING_FILTER_DEFAULT_ACCURACY_METERS, 10) || 30,
+      // Fastest plausible movement between fixes (55 m/s is about 200 km/h)
+      maxSpeedMps: parseInt(process.env.TRACKING_FILTER_MAX_SPEED_MPS, 10) || 55,
+      // How quickly the smoothed position is allowed to drift from the last one; higher follows fixes more closely
+      processNoiseMps: parseInt(process.env.TRACKING_FILTER_PROCESS_NOISE_MPS, 10) || 3,
+      // A gap longer than this restarts the filter from the next fix
+      resetAfterSeconds: parseInt(process.env.TRACKING_FILTER_RESET_AFTER_SECONDS, 10) || 300
+    }
+  },
+
+  priority: {
+    // Predicted lateness that raises a delay alert; alerts turn high severity at twice the threshold
+    delayAlertMinutes: {
+      standard: parseInt(process.env.DELAY_ALERT_MINUTES_STANDARD, 10) || 30,
+      express: parseInt(process.env.DELAY_ALERT_MINUTES_EXPRESS, 10) || 15,
+      critical: parseInt(process.env.DELAY_ALERT_MINUTES_CRITICAL, 10) || 5
+    }
+  },
+
+  recurringShipments: {
+    intervalMs: parseInt(process.env.RECURRING_SHIPMENTS_INTERVAL_MS, 10) || 5 * 60 * 1000,
+    // How far ahead of an occurrence its shipment is created
+    leadHours: parseInt(process.env.RECURRING_SHIPMENTS_LEAD_HOURS, 10) || 24,
+    previewCount: 5
+  },
+
+  publicTracking: {
+    // Share tokens are signed separately so they can never pass as login tokens
+    tokenSecret: process.env.SHARE_TOKEN_SECRET || `${process.env.JWT_SECRET || 'fallback_secret_not_for_production'}:share`,
+    defaultTtlHours: parseInt(process.env.SHARE_TOKEN_TTL_HOURS, 10) || 72,
+    maxTtlHours: parseInt(process.env.SHARE_TOKEN_MAX_TTL_HOURS, 10) || 720,
+    positionPrecision: parseInt(process.env.PUBLIC_POSITION_PRECISION, 10) || 2,
+    rateLimitWindow: 60 * 1000,
+    rateLimitMax: parseInt(process.env.PUBLIC_TRACKING_RATE_LIMIT, 10) || 30
+  },
+
   security: {
     rateLimitWindow: 15 * 60 * 1000,
     rateLimitMax: 100,
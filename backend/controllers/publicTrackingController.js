@@ -0,0 +1,73 @@
+const { pipeline } = require('stream/promises');
+const ShipmentModel = require('../models/Shipment');
+const DeliveryProofModel = require('../models/DeliveryProof');
+const PublicTrackingService = require('../services/publicTrackingService');
+const DeliveryProofService = require('../services/deliveryProofService');
+const { AppError } = require('../middleware/errorHandler');
+
+const publicTrackingService = new PublicTrackingService();
+const deliveryProofService = new DeliveryProofService();
+
+// Resolve the shipment a share token grants access to
+const findSharedShipment = async (req) => {
+  const { tracking_number } = req.params;
+  const payload = publicTrackingService.verifyShareToken(req.query.token, tracking_number);
+  const shipment = await ShipmentModel.findByTrackingNumber(tracking_number);
+
+  if (!shipment || shipment.id !== payload.sid) {
+    throw new AppError('Shipment not found', 404, 'SHIPMENT_NOT_FOUND');
+  }
+
+  return shipment;
+};
+
+const publicProofUrl = (trackingNumber, proofId, token) =>
+  `/api/v1/public/tracking/${trackingNumber}/proofs/${proofId}?token=${encodeURIComponent(token)}`;
+
+const getPublicTracking = async (req, res) => {
+  const shipment = await findSharedShipment(req);
+  const view = await publicTrackingService.getTrackingView(shipment);
+
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(200).json({
+    success: true,
+    data: {
+      shipment: {
+        ...view,
+        proofs: view.proofs.map(proof => ({
+          ...proof,
+          url: publicProofUrl(shipment.tracking_number, proof.id, req.query.token)
+        }))
+      }
+    }
+  });
+};
+
+const getPublicProofFile = async (req, res) => {
+  const shipment = await findSharedShipment(req);
+  const proof = await DeliveryProofModel.findById(req.params.proofId);
+
+  // Failed-attempt photos are for dispatch only and are not proof of delivery
+  if (!proof || proof.shipment_id !== shipment.id || proof.attempt_id != null) {
+    throw new AppError('Proof not found', 404, 'PROOF_NOT_FOUND');
+  }
+
+  const stream = await deliveryProofService.open(proof);
+
+  res.setHeader('Content-Type', proof.content_type);
+  res.setHeader('Content-Length', proof.size_bytes);
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.setHeader('Content-Disposition', `inline; filename="${proof.proof_type}-${proof.id}"`);
+
+  try {
+    await pipeline(stream, res);
+  } catch (error) {
+    if (!res.headersSent) throw error;
+    console.error('Public proof stream failed:', error.message);
+  }
+};
+
+module.exports = {
+  getPublicTracking,
+  getPublicProofFile
+};
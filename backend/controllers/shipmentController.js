@@ -1,7 +1,292 @@
+const { pipeline } = require('stream/promises');
 const ShipmentModel = require('../models/Shipment');
+const ShipmentStopModel = require('../models/ShipmentStop');
+const ShipmentItemModel = require('../models/ShipmentItem');
+const ShipmentCommentModel = require('../models/ShipmentComment');
+const DeliveryProofModel = require('../models/DeliveryProof');
+const DeliveryAttemptModel = require('../models/DeliveryAttempt');
 const UserModel = require('../models/User');
+const GeocodingService = require('../services/geocodingService');
+const ShipmentImportService = require('../services/shipmentImportService');
+const ShipmentExportService = require('../services/shipmentExportService');
+const DeliveryProofService = require('../services/deliveryProofService');
+const CustodyChainService = require('../services/custodyChainService');
+const PublicTrackingService = require('../services/publicTrackingService');
+const config = require('../config');
 const { AppError } = require('../middleware/errorHandler');
 
+const geocodingService = new GeocodingService();
+const shipmentImportService = new ShipmentImportService(geocodingService);
+const shipmentExportService = new ShipmentExportService();
+const deliveryProofService = new DeliveryProofService();
+const custodyChainService = new CustodyChainService();
+const publicTrackingService = new PublicTrackingService();
+
+// Progress updates a driver may report from the road
+const DRIVER_SETTABLE_STATUSES = ['picked_up', 'in_transit', 'arriving'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Statuses with side effects that must go through their own endpoint
+const DEDICATED_STATUS_ENDPOINTS = {
+  delivered: 'confirm-delivery',
+  failed: 'attempts',
+  cancelled: 'cancel'
+};
+
+const formatSla = (shipment) => ({
+  promised_window_start: shipment.promised_window_start,
+  promised_window_end: shipment.promised_window_end,
+  sla_policy: shipment.sla_policy,
+  sla_status: shipment.sla_status,
+  predicted_eta: shipment.predicted_eta,
+  sla_breached_at: shipment.sla_breached_at
+});
+
+const formatShipment = (shipment) => ({
+  id: shipment.id,
+  tracking_number: shipment.tracking_number,
+  origin_address: shipment.origin_address,
+  destination_address: shipment.destination_address,
+  origin_latitude: shipment.origin_latitude,
+  origin_longitude: shipment.origin_longitude,
+  destination_latitude: shipment.destination_latitude,
+  destination_longitude: shipment.destination_longitude,
+  driver_id: shipment.driver_id,
+  driver_name: shipment.driver_name,
+  driver_email: shipment.driver_email,
+  organization_id: shipment.organization_id,
+  status: shipment.status,
+  estimated_delivery: shipment.estimated_delivery,
+  priority: shipment.priority,
+  smart_recommendations_enabled: Boolean(shipment.smart_recommendations_enabled ?? true),
+  ...formatSla(shipment),
+  failed_attempts: shipment.failed_attempts,
+  template_id: shipment.template_id,
+  scheduled_for: shipment.scheduled_for,
+  parent_shipment_id: shipment.parent_shipment_id,
+  notes: shipment.notes,
+  created_at: shipment.created_at,
+  updated_at: shipment.updated_at
+});
+
+// Summary of a shipment on the other side of a return link
+const formatLinkedShipment = (shipment) => ({
+  id: shipment.id,
+  tracking_number: shipment.tracking_number,
+  status: shipment.status,
+  created_at: shipment.created_at
+});
+
+const formatStop = (stop) => ({
+  id: stop.id,
+  sequence: stop.sequence,
+  stop_type: stop.stop_type,
+  address: stop.address,
+  latitude: stop.latitude,
+  longitude: stop.longitude,
+  window_start: stop.window_start,
+  window_end: stop.window_end,
+  status: stop.status,
+  notes: stop.notes,
+  completed_at: stop.completed_at || null
+});
+
+const formatItem = (item) => ({
+  id: item.id,
+  line_number: item.line_number,
+  sku: item.sku,
+  description: item.description,
+  quantity: item.quantity,
+  weight_kg: item.weight_kg,
+  length_cm: item.length_cm,
+  width_cm: item.width_cm,
+  height_cm: item.height_cm,
+  declared_value: item.declared_value
+});
+
+const formatManifest = (items) => ({
+  items: items.map(formatItem),
+  manifest_totals: ShipmentItemModel.summarize(items)
+});
+
+const formatComment = (comment) => ({
+  id: comment.id,
+  shipment_id: comment.shipment_id,
+  parent_id: comment.parent_id,
+  author_id: comment.author_id,
+  author_name: comment.author_name,
+  author_role: comment.author_role,
+  body: comment.body,
+  created_at: comment.created_at
+});
+
+// Replies hang off their top-level comment, oldest first
+const threadComments = (comments) => {
+  const threads = [];
+  const byId = new Map();
+
+  for (const comment of comments.map(formatComment)) {
+    if (comment.parent_id && byId.has(comment.parent_id)) {
+      byId.get(comment.parent_id).replies.push(comment);
+    } else {
+      const thread = { ...comment, replies: [] };
+      byId.set(comment.id, thread);
+      threads.push(thread);
+    }
+  }
+
+  return threads;
+};
+
+const formatAttempt = (attempt) => ({
+  id: attempt.id,
+  attempt_number: attempt.attempt_number,
+  stop_id: attempt.stop_id,
+  driver_id: attempt.driver_id,
+  driver_name: attempt.driver_name || null,
+  reason_code: attempt.reason_code,
+  notes: attempt.notes,
+  latitude: attempt.latitude,
+  longitude: attempt.longitude,
+  resolution: attempt.resolution,
+  resolved_by: attempt.resolved_by || null,
+  resolved_by_name: attempt.resolved_by_name || null,
+  resolved_at: attempt.resolved_at || null,
+  created_at: attempt.created_at || null
+});
+
+const formatStatusEvent = (event) => ({
+  id: event.id,
+  from_status: event.from_status,
+  to_status: event.to_status,
+  changed_by: event.changed_by,
+  changed_by_name: event.changed_by_name || null,
+  actor_role: event.actor_role,
+  source: event.source,
+  reason: event.reason,
+  latitude: event.latitude,
+  longitude: event.longitude,
+  created_at: event.created_at || null,
+  chain_seq: event.chain_seq ?? null,
+  record_hash: event.record_hash || null
+});
+
+const resolveStop = async (stop) => ({
+  ...stop,
+  ...(await geocodingService.resolveCoordinates(stop.address, stop.latitude, stop.longitude))
+});
+
+const findAccessibleShipment = async (req, id) => {
+  const shipment = await ShipmentModel.findById(id, req.user.role, req.user.id);
+
+  if (!shipment) {
+    throw new AppError('Shipment not found', 404, 'SHIPMENT_NOT_FOUND');
+  }
+
+  if (req.user.role === 'admin' && req.user.organizationId && 
+      shipment.organization_id && shipment.organization_id !== req.user.organizationId) {
+    throw new AppError('Access denied to this shipment', 403, 'ORGANIZATION_ACCESS_DENIED');
+  }
+
+  return shipment;
+};
+
+// Who/where details recorded with every status change
+const statusContext = (req, extra = {}) => ({
+  changed_by: req.user.id,
+  actor_role: req.user.role,
+  source: req.user.role === 'driver' ? 'driver_app' : 'admin_dashboard',
+  latitude: req.body.latitude ?? null,
+  longitude: req.body.longitude ?? null,
+  ip_address: req.ip,
+  ...extra
+});
+
+// Query filters shared by the list and export endpoints; driver_id only narrows admin views
+const shipmentFilters = (req) => ({
+  status: req.query.status,
+  sla_status: req.query.sla_status,
+  priority: req.query.priority,
+  driver_id: req.user.role === 'admin' ? req.query.driver_id : undefined,
+  created_from: req.query.created_from,
+  created_to: req.query.created_to,
+  delivered_from: req.query.delivered_from,
+  delivered_to: req.query.delivered_to,
+  search: req.query.search ? req.query.search.trim() : undefined,
+  sort: req.query.sort,
+  order: req.query.order
+});
+
+const formatProof = (proof) => ({
+  id: proof.id,
+  shipment_id: proof.shipment_id,
+  stop_id: proof.stop_id,
+  attempt_id: proof.attempt_id,
+  proof_type: proof.proof_type,
+  content_type: proof.content_type,
+  size_bytes: proof.size_bytes,
+  uploaded_by: proof.uploaded_by,
+  uploaded_by_name: proof.uploaded_by_name,
+  created_at: proof.created_at,
+  url: `/api/v1/shipments/${proof.shipment_id}/proofs/${proof.id}/file`
+});
+
+const deliveryProofsUrl = (shipmentId) => `/api/v1/shipments/${shipmentId}/proofs`;
+
+// Admins confirm on the driver's behalf (with an override reason), so the assigned-driver check is skipped
+const deliveringDriverId = async (req) => {
+  if (req.user.role !== 'admin') {
+    return req.user.id;
+  }
+  await findAccessibleShipment(req, req.params.id);
+  return null;
+};
+
+// Verification details recorded by ShipmentModel.markDelivered
+const formatDeliveryVerification = (shipment) => ({
+  delivery_verification: shipment.delivery_verification || null,
+  delivery_override_reason: shipment.delivery_override_reason || null,
+  delivery_latitude: shipment.delivery_latitude ?? null,
+  delivery_longitude: shipment.delivery_longitude ?? null,
+  delivery_distance_meters: shipment.delivery_distance_meters ?? null,
+  delivery_location_check: shipment.delivery_location_check || null
+});
+
+// Store uploaded proof files, and remove them again if the delivery is rejected.
+// assertReady checks the shipment before anything is stored; delivery checks by default.
+const withDeliveryProofs = async (req, driverId, callback, assertReady = ShipmentModel.assertDeliverable) => {
+  const hasFiles = req.files && Object.keys(req.files).length > 0;
+
+  if (hasFiles) {
+    // Fail fast before anything is written to storage
+    assertReady.call(ShipmentModel, await ShipmentModel.findById(req.params.id), driverId);
+  }
+
+  const proofs = hasFiles
+    ? await deliveryProofService.storeUploads(req.params.id, req.files)
+    : [];
+
+  try {
+    return await callback(proofs);
+  } catch (error) {
+    await deliveryProofService.discard(proofs);
+    throw error;
+  }
+};
+
+const emitSafely = (req, method, ...args) => {
+  try {
+    const socketHandler = req.app.get('socketHandler');
+    if (socketHandler && socketHandler[method]) {
+      socketHandler[method](...args);
+    }
+  } catch (socketError) {
+    console.error('Socket emission failed:', socketError.message);
+  }
+};
+
 const createShipment = async (req, res) => {
   const { 
     origin_address, 
@@ -9,6 +294,9 @@ const createShipment = async (req, res) => {
     driver_id, 
     organization_id = null,
     estimated_delivery = null,
+    promised_window_start = null,
+    promised_window_end = null,
+    priority = 'standard',
     notes = null
   } = req.body;
 
@@ -27,13 +315,42 @@ const createShipment = async (req, res) => {
     }
   }
 
+  for (const prefix of ['origin', 'destination']) {
+    if ((req.body[`${prefix}_latitude`] == null) !== (req.body[`${prefix}_longitude`] == null)) {
+      throw new AppError(`${prefix}_latitude and ${prefix}_longitude must be provided together`, 400, 'VALIDATION_ERROR');
+    }
+  }
+
+  const windowError = ShipmentModel.deliveryWindowError(promised_window_start, promised_window_end);
+  if (windowError) {
+    throw new AppError(windowError, 400, 'VALIDATION_ERROR');
+  }
+
+  for (const [index, stop] of (req.body.stops || []).entries()) {
+    if ((stop.latitude == null) !== (stop.longitude == null)) {
+      throw new AppError(`stops[${index}] latitude and longitude must be provided together`, 400, 'VALIDATION_ERROR');
+    }
+  }
+
+  const coordinates = await geocodingService.resolveShipmentCoordinates(req.body);
+  const stops = await Promise.all((req.body.stops || []).map(resolveStop));
+
   const shipment = await ShipmentModel.create({
     origin_address,
     destination_address,
+    ...coordinates,
     driver_id,
     organization_id: organization_id || req.user.organizationId,
     estimated_delivery,
-    notes
+    promised_window_start,
+    promised_window_end,
+    // Shipments without a window have no SLA to track
+    sla_policy: promised_window_end ? (req.body.sla_policy || config.sla.defaultPolicy) : null,
+    priority,
+    notes,
+    stops,
+    items: req.body.items || [],
+    created_by: req.user.id
   });
 
   res.status(201).json({
@@ -44,56 +361,121 @@ const createShipment = async (req, res) => {
         tracking_number: shipment.tracking_number,
         origin_address: shipment.origin_address,
         destination_address: shipment.destination_address,
+        origin_latitude: shipment.origin_latitude,
+        origin_longitude: shipment.origin_longitude,
+        destination_latitude: shipment.destination_latitude,
+        destination_longitude: shipment.destination_longitude,
         driver_id: shipment.driver_id,
         organization_id: shipment.organization_id,
         status: shipment.status,
         estimated_delivery: shipment.estimated_delivery,
-        notes: shipment.notes
+        promised_window_start: shipment.promised_window_start,
+        promised_window_end: shipment.promised_window_end,
+        sla_policy: shipment.sla_policy,
+        priority: shipment.priority,
+        notes: shipment.notes,
+        delivery_pin: shipment.delivery_pin,
+        stops: shipment.stops.map(formatStop),
+        ...formatManifest(shipment.items)
       }
     }
   });
 };
 
+const importShipments = async (req, res) => {
+  if (typeof req.body !== 'string') {
+    throw new AppError('Upload the CSV with Content-Type: text/csv', 415, 'UNSUPPORTED_MEDIA_TYPE');
+  }
+
+  const dryRun = req.query.dry_run === 'true';
+  const result = await shipmentImportService.importCsv(req.body, {
+    user: req.user,
+    dryRun
+  });
+
+  res.status(dryRun || result.created === 0 ? 200 : 201).json({
+    success: true,
+    data: result
+  });
+};
+
 const getShipments = async (req, res) => {
-  const { status, driver_id } = req.query;
-  
-  let shipments = await ShipmentModel.findAll(
+  const filters = shipmentFilters(req);
+  const sort = filters.sort || 'created_at';
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+  // One extra row tells us whether another page exists
+  const rows = await ShipmentModel.findAll(
     req.user.role,
     req.user.id,
-    req.user.organizationId
+    req.user.organizationId,
+    {
+      ...filters,
+      cursor: req.query.cursor ? ShipmentModel.decodeCursor(req.query.cursor, sort) : null,
+      limit: limit + 1
+    }
   );
 
-  if (status) {
-    shipments = shipments.filter(s => s.status === status);
-  }
+  const hasMore = rows.length > limit;
+  const shipments = hasMore ? rows.slice(0, limit) : rows;
+  const nextCursor = hasMore
+    ? ShipmentModel.encodeCursor(ShipmentModel.getCursor(shipments[shipments.length - 1], sort), sort)
+    : null;
 
-  if (driver_id && req.user.role === 'admin') {
-    shipments = shipments.filter(s => s.driver_id == driver_id);
-  }
+  // Dashboard counters cover every shipment, not just the loaded page
+  const [statusCounts, slaSummary, attemptSummary] = req.query.cursor
+    ? []
+    : await Promise.all([
+      ShipmentModel.countByStatus(req.user.role, req.user.id, req.user.organizationId),
+      ShipmentModel.getSlaSummary(req.user.role, req.user.id, req.user.organizationId),
+      DeliveryAttemptModel.summarize(req.user.role === 'driver'
+        ? { driver_id: req.user.id }
+        : { organization_id: req.user.organizationId })
+    ]);
+
+  const unreadComments = await ShipmentCommentModel.countUnread(req.user.id, shipments.map(shipment => shipment.id));
 
   res.status(200).json({
     success: true,
     data: {
       shipments: shipments.map(shipment => ({
-        id: shipment.id,
-        tracking_number: shipment.tracking_number,
-        origin_address: shipment.origin_address,
-        destination_address: shipment.destination_address,
-        driver_id: shipment.driver_id,
-        driver_name: shipment.driver_name,
-        driver_email: shipment.driver_email,
-        organization_id: shipment.organization_id,
-        status: shipment.status,
-        estimated_delivery: shipment.estimated_delivery,
-        notes: shipment.notes,
-        created_at: shipment.created_at,
-        updated_at: shipment.updated_at
+        ...formatShipment(shipment),
+        unread_comments: unreadComments.get(shipment.id)
       })),
-      total: shipments.length
+      total: shipments.length,
+      has_more: hasMore,
+      next_cursor: nextCursor,
+      status_counts: statusCounts,
+      sla_summary: slaSummary,
+      attempt_summary: attemptSummary
     }
   });
 };
 
+const exportShipments = async (req, res) => {
+  const format = req.query.format || 'csv';
+  const include = req.query.include ? req.query.include.split(',') : [];
+  const filename = `shipments-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  res.status(200);
+  res.setHeader('Content-Type', shipmentExportService.getContentType(format));
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  try {
+    await shipmentExportService.streamExport(res, {
+      user: req.user,
+      filters: shipmentFilters(req),
+      format,
+      include
+    });
+  } catch (error) {
+    // Once rows are on the wire the JSON error handler can no longer respond
+    if (!res.headersSent) throw error;
+    console.error('Shipment export failed mid-stream:', error.message);
+    res.destroy(error);
+  }
+};
+
 const getShipment = async (req, res) => {
   const { id } = req.params;
 
@@ -112,6 +494,13 @@ const getShipment = async (req, res) => {
     throw new AppError('Access denied to this shipment', 403, 'ORGANIZATION_ACCESS_DENIED');
   }
 
+  const [stops, items, unreadComments, links] = await Promise.all([
+    ShipmentStopModel.findByShipment(shipment.id),
+    ShipmentItemModel.findByShipment(shipment.id),
+    ShipmentCommentModel.countUnread(req.user.id, [shipment.id]),
+    ShipmentModel.findLinkedShipments(shipment)
+  ]);
+
   res.status(200).json({
     success: true,
     data: {
@@ -120,15 +509,38 @@ const getShipment = async (req, res) => {
         tracking_number: shipment.tracking_number,
         origin_address: shipment.origin_address,
         destination_address: shipment.destination_address,
+        origin_latitude: shipment.origin_latitude,
+        origin_longitude: shipment.origin_longitude,
+        destination_latitude: shipment.destination_latitude,
+        destination_longitude: shipment.destination_longitude,
         driver_id: shipment.driver_id,
         driver_name: shipment.driver_name,
         driver_email: shipment.driver_email,
         organization_id: shipment.organization_id,
         status: shipment.status,
         estimated_delivery: shipment.estimated_delivery,
+        delivered_at: shipment.delivered_at,
+        ...formatSla(shipment),
+        delivery_notes: shipment.delivery_notes,
+        proof_of_delivery_url: shipment.proof_of_delivery_url,
+        ...formatDeliveryVerification(shipment),
+        failed_attempts: shipment.failed_attempts,
+        template_id: shipment.template_id,
+        scheduled_for: shipment.scheduled_for,
+        parent_shipment_id: shipment.parent_shipment_id,
+        parent_shipment: links.parent && formatLinkedShipment(links.parent),
+        return_shipments: links.returns.map(formatLinkedShipment),
+        // The recipient holds the PIN; drivers must get it from them at the door
+        ...(req.user.role === 'admin' && {
+          delivery_pin: shipment.delivery_pin,
+          delivery_pin_attempts: shipment.delivery_pin_attempts
+        }),
         notes: shipment.notes,
         created_at: shipment.created_at,
-        updated_at: shipment.updated_at
+        updated_at: shipment.updated_at,
+        stops: stops.map(formatStop),
+        ...formatManifest(items),
+        unread_comments: unreadComments.get(shipment.id)
       }
     }
   });
@@ -160,6 +572,10 @@ const getShipmentByTrackingNumber = async (req, res) => {
         tracking_number: shipment.tracking_number,
         origin_address: shipment.origin_address,
         destination_address: shipment.destination_address,
+        origin_latitude: shipment.origin_latitude,
+        origin_longitude: shipment.origin_longitude,
+        destination_latitude: shipment.destination_latitude,
+        destination_longitude: shipment.destination_longitude,
         driver_id: shipment.driver_id,
         driver_name: shipment.driver_name,
         driver_email: shipment.driver_email,
@@ -176,24 +592,101 @@ const getShipmentByTrackingNumber = async (req, res) => {
 
 const confirmDelivery = async (req, res) => {
   const { id } = req.params;
-  const { delivery_notes, proof_of_delivery_url } = req.body;
+  const { delivery_notes, proof_of_delivery_url, stop_id, delivery_pin, override_reason, latitude, longitude } = req.body;
+  const driverId = await deliveringDriverId(req);
 
-  const shipment = await ShipmentModel.confirmDelivery(id, req.user.id, {
+  const result = await withDeliveryProofs(req, driverId, (proofs) => ShipmentModel.confirmDelivery(id, driverId, {
     delivery_notes,
-    proof_of_delivery_url
+    proof_of_delivery_url: proofs.length > 0 ? deliveryProofsUrl(id) : proof_of_delivery_url,
+    stop_id,
+    delivery_pin,
+    override_reason,
+    latitude,
+    longitude,
+    proofs
+  }, statusContext(req)));
+
+  sendStopCompletionResponse(req, res, result);
+};
+
+// A delivery that could not be made; dispatch then reschedules, returns or reassigns
+const recordDeliveryAttempt = async (req, res) => {
+  const { id } = req.params;
+  const { reason_code, notes = null, stop_id, latitude = null, longitude = null } = req.body;
+  const driverId = await deliveringDriverId(req);
+
+  const attempt = await withDeliveryProofs(req, driverId, (proofs) => ShipmentModel.recordFailedAttempt(id, driverId, {
+    reason_code,
+    notes,
+    stop_id,
+    latitude,
+    longitude,
+    proofs
+  }, statusContext(req)), ShipmentModel.assertAttemptable);
+
+  const shipment = await ShipmentModel.findById(id);
+
+  emitSafely(req, 'emitShipmentStatusUpdate', shipment.id, shipment.status);
+  emitSafely(req, 'emitDeliveryAttemptFailed', shipment, formatAttempt(attempt));
+
+  res.status(201).json({
+    success: true,
+    data: {
+      attempt: formatAttempt(attempt),
+      shipment: formatShipment(shipment)
+    }
   });
+};
 
-  try {
-    const socketHandler = req.app.get('socketHandler');
-    if (socketHandler && socketHandler.emitShipmentDelivered) {
-      socketHandler.emitShipmentDelivered(id, {
-        delivered_at: shipment.delivered_at,
-        delivery_notes: shipment.delivery_notes,
-        proof_of_delivery_url: shipment.proof_of_delivery_url
-      });
+const getDeliveryAttempts = async (req, res) => {
+  const shipment = await findAccessibleShipment(req, req.params.id);
+  const attempts = await ShipmentModel.getDeliveryAttempts(shipment.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      shipment_id: shipment.id,
+      failed_attempts: shipment.failed_attempts,
+      attempts: attempts.map(formatAttempt)
     }
-  } catch (socketError) {
-    console.error('Socket emission failed:', socketError.message);
+  });
+};
+
+const completeShipmentStop = async (req, res) => {
+  const { id, stopId } = req.params;
+  const { delivery_notes, delivery_pin, override_reason, latitude, longitude } = req.body;
+  const driverId = await deliveringDriverId(req);
+
+  const result = await withDeliveryProofs(req, driverId, (proofs) => ShipmentModel.completeStop(id, parseInt(stopId), driverId, {
+    delivery_notes,
+    proof_of_delivery_url: proofs.length > 0 ? deliveryProofsUrl(id) : null,
+    delivery_pin,
+    override_reason,
+    latitude,
+    longitude,
+    proofs
+  }, statusContext(req)));
+
+  sendStopCompletionResponse(req, res, result);
+};
+
+const sendStopCompletionResponse = (req, res, result) => {
+  const { shipment, completed_stop, next_stop } = result;
+
+  if (completed_stop) {
+    emitSafely(req, 'emitStopCompleted', shipment.id, {
+      stop: formatStop(completed_stop),
+      next_stop: next_stop ? formatStop(next_stop) : null
+    });
+  }
+
+  if (shipment.status === 'delivered') {
+    emitSafely(req, 'emitShipmentDelivered', shipment.id, {
+      delivered_at: shipment.delivered_at,
+      delivery_notes: shipment.delivery_notes,
+      proof_of_delivery_url: shipment.proof_of_delivery_url,
+      ...formatDeliveryVerification(shipment)
+    });
   }
 
   res.status(200).json({
@@ -206,8 +699,476 @@ const confirmDelivery = async (req, res) => {
         delivered_at: shipment.delivered_at,
         delivery_notes: shipment.delivery_notes,
         proof_of_delivery_url: shipment.proof_of_delivery_url,
+        ...formatDeliveryVerification(shipment),
         updated_at: shipment.updated_at
-      }
+      },
+      completed_stop: completed_stop ? formatStop(completed_stop) : null,
+      next_stop: next_stop ? formatStop(next_stop) : null
+    }
+  });
+};
+
+const updateShipmentStatus = async (req, res) => {
+  const { status, reason = null } = req.body;
+  const shipment = await findAccessibleShipment(req, req.params.id);
+
+  if (DEDICATED_STATUS_ENDPOINTS[status]) {
+    throw new AppError(`Use ${DEDICATED_STATUS_ENDPOINTS[status]} to mark a shipment ${status}`, 400, 'INVALID_STATUS');
+  }
+
+  if (req.user.role === 'driver' && !DRIVER_SETTABLE_STATUSES.includes(status)) {
+    throw new AppError(`Drivers cannot set status ${status}`, 403, 'FORBIDDEN');
+  }
+
+  const event = await ShipmentModel.updateStatus(shipment.id, status, statusContext(req, { reason }));
+
+  emitSafely(req, 'emitShipmentStatusUpdate', shipment.id, status);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      shipment_id: shipment.id,
+      from_status: event.from_status,
+      status: event.to_status,
+      event: formatStatusEvent(event)
+    }
+  });
+};
+
+const updateShipment = async (req, res) => {
+  const shipment = await findAccessibleShipment(req, req.params.id);
+
+  if (ShipmentModel.isTerminalStatus(shipment.status)) {
+    throw new AppError(`Cannot edit a ${shipment.status} shipment`, 400, 'INVALID_STATUS');
+  }
+
+  const updates = {};
+  for (const field of ShipmentModel.EDITABLE_FIELDS) {
+    if (field.endsWith('_address') && req.body[field] === null) {
+      throw new AppError(`${field} cannot be cleared`, 400, 'VALIDATION_ERROR');
+    }
+    if (req.body[field] !== undefined) {
+      updates[field] = req.body[field];
+    }
+  }
+
+  if (Object.keys(updates).length === 0) {
+    throw new AppError('No editable fields provided', 400, 'VALIDATION_ERROR');
+  }
+
+  const windowError = ShipmentModel.deliveryWindowError(
+    updates.promised_window_start !== undefined ? updates.promised_window_start : shipment.promised_window_start,
+    updates.promised_window_end !== undefined ? updates.promised_window_end : shipment.promised_window_end
+  );
+  if (windowError) {
+    throw new AppError(windowError, 400, 'VALIDATION_ERROR');
+  }
+
+  // A window added later still needs a policy to be evaluated against
+  if (updates.promised_window_end && !updates.sla_policy && !shipment.sla_policy) {
+    updates.sla_policy = config.sla.defaultPolicy;
+  }
+
+  for (const prefix of ['origin', 'destination']) {
+    const hasLatitude = updates[`${prefix}_latitude`] != null;
+    const hasLongitude = updates[`${prefix}_longitude`] != null;
+
+    if (hasLatitude !== hasLongitude) {
+      throw new AppError(`${prefix}_latitude and ${prefix}_longitude must be provided together`, 400, 'VALIDATION_ERROR');
+    }
+
+    // A corrected address without coordinates gets geocoded again
+    if (updates[`${prefix}_address`] && !hasLatitude) {
+      const point = await geocodingService.resolveCoordinates(updates[`${prefix}_address`]);
+      updates[`${prefix}_latitude`] = point.latitude;
+      updates[`${prefix}_longitude`] = point.longitude;
+    }
+  }
+
+  const updated = await ShipmentModel.update(shipment.id, updates);
+
+  emitSafely(req, 'emitShipmentUpdated', updated.id, updated.driver_id, {
+    changes: Object.keys(updates),
+    shipment: formatShipment(updated)
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      shipment: formatShipment(updated)
+    }
+  });
+};
+
+const reassignShipment = async (req, res) => {
+  const { driver_id, reason = null } = req.body;
+  const shipment = await findAccessibleShipment(req, req.params.id);
+
+  const driver = await UserModel.findById(driver_id);
+  if (!driver) {
+    throw new AppError('Driver not found', 404, 'DRIVER_NOT_FOUND');
+  }
+
+  if (driver.role !== 'driver') {
+    throw new AppError('Assigned user must be a driver', 400, 'INVALID_DRIVER_ROLE');
+  }
+
+  if (shipment.organization_id && driver.organization_id && 
+      driver.organization_id !== shipment.organization_id) {
+    throw new AppError('Cannot assign a driver from a different organization', 403, 'ORGANIZATION_MISMATCH');
+  }
+
+  const updated = await ShipmentModel.reassign(shipment.id, driver_id, statusContext(req, { reason }));
+
+  emitSafely(req, 'emitShipmentReassigned', updated.id, {
+    previous_driver_id: shipment.driver_id,
+    driver_id: updated.driver_id,
+    reason,
+    shipment: formatShipment(updated)
+  });
+  if (updated.status !== shipment.status) {
+    emitSafely(req, 'emitShipmentStatusUpdate', updated.id, updated.status);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      previous_driver_id: shipment.driver_id,
+      shipment: formatShipment(updated)
+    }
+  });
+};
+
+const cancelShipment = async (req, res) => {
+  const { reason = null } = req.body;
+  const shipment = await findAccessibleShipment(req, req.params.id);
+
+  await ShipmentModel.updateStatus(shipment.id, 'cancelled', statusContext(req, { reason }));
+  const updated = await ShipmentModel.findById(shipment.id);
+
+  emitSafely(req, 'emitShipmentCancelled', updated.id, updated.driver_id, {
+    reason,
+    cancelled_at: updated.updated_at
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      shipment: formatShipment(updated)
+    }
+  });
+};
+
+// Back onto the driver's list after a failed attempt, optionally with a new ETA or window
+const rescheduleShipment = async (req, res) => {
+  const { reason = null } = req.body;
+  const shipment = await findAccessibleShipment(req, req.params.id);
+
+  const updates = {};
+  for (const field of ['estimated_delivery', 'promised_window_start', 'promised_window_end']) {
+    if (req.body[field] !== undefined) {
+      updates[field] = req.body[field];
+    }
+  }
+
+  const windowError = ShipmentModel.deliveryWindowError(
+    updates.promised_window_start !== undefined ? updates.promised_window_start : shipment.promised_window_start,
+    updates.promised_window_end !== undefined ? updates.promised_window_end : shipment.promised_window_end
+  );
+  if (windowError) {
+    throw new AppError(windowError, 400, 'VALIDATION_ERROR');
+  }
+
+  if (updates.promised_window_end && !shipment.sla_policy) {
+    updates.sla_policy = config.sla.defaultPolicy;
+  }
+
+  const updated = await ShipmentModel.reschedule(shipment.id, updates, statusContext(req, { reason }));
+
+  emitSafely(req, 'emitShipmentStatusUpdate', updated.id, updated.status);
+  emitSafely(req, 'emitShipmentUpdated', updated.id, updated.driver_id, {
+    changes: ['status', ...Object.keys(updates)],
+    shipment: formatShipment(updated)
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      shipment: formatShipment(updated)
+    }
+  });
+};
+
+// Reverse shipment for goods the customer refused or sent back
+const createReturnShipment = async (req, res) => {
+  const { driver_id, estimated_delivery = null, reason = null, notes = null } = req.body;
+  const shipment = await findAccessibleShipment(req, req.params.id);
+
+  if (driver_id) {
+    const driver = await UserModel.findById(driver_id);
+    if (!driver) {
+      throw new AppError('Driver not found', 404, 'DRIVER_NOT_FOUND');
+    }
+
+    if (driver.role !== 'driver') {
+      throw new AppError('Assigned user must be a driver', 400, 'INVALID_DRIVER_ROLE');
+    }
+
+    if (shipment.organization_id && driver.organization_id && 
+        driver.organization_id !== shipment.organization_id) {
+      throw new AppError('Cannot assign a driver from a different organization', 403, 'ORGANIZATION_MISMATCH');
+    }
+  }
+
+  const created = await ShipmentModel.createReturn(
+    shipment.id,
+    { driver_id, estimated_delivery, reason, notes },
+    statusContext(req, { reason })
+  );
+
+  const [returnShipment, parent] = await Promise.all([
+    ShipmentModel.findById(created.id),
+    ShipmentModel.findById(shipment.id)
+  ]);
+
+  emitSafely(req, 'emitNewShipment', returnShipment);
+  if (parent.status !== shipment.status) {
+    emitSafely(req, 'emitShipmentStatusUpdate', parent.id, parent.status);
+  }
+
+  res.status(201).json({
+    success: true,
+    data: {
+      shipment: {
+        ...formatShipment(returnShipment),
+        delivery_pin: created.delivery_pin,
+        ...formatManifest(created.items)
+      },
+      parent_shipment: formatLinkedShipment(parent)
+    }
+  });
+};
+
+const getDeliveryProofs = async (req, res) => {
+  const shipment = await findAccessibleShipment(req, req.params.id);
+  const proofs = await ShipmentModel.getDeliveryProofs(shipment.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      shipment_id: shipment.id,
+      proofs: proofs.map(formatProof)
+    }
+  });
+};
+
+const getDeliveryProofFile = async (req, res) => {
+  const shipment = await findAccessibleShipment(req, req.params.id);
+  const proof = await DeliveryProofModel.findById(req.params.proofId);
+
+  if (!proof || proof.shipment_id !== shipment.id) {
+    throw new AppError('Proof not found', 404, 'PROOF_NOT_FOUND');
+  }
+
+  const stream = await deliveryProofService.open(proof);
+
+  res.setHeader('Content-Type', proof.content_type);
+  res.setHeader('Content-Length', proof.size_bytes);
+  res.setHeader('Cache-Control', 'private, max-age=3600');
+  res.setHeader('Content-Disposition', `inline; filename="${proof.proof_type}-${proof.id}"`);
+
+  try {
+    await pipeline(stream, res);
+  } catch (error) {
+    if (!res.headersSent) throw error;
+    console.error('Delivery proof stream failed:', error.message);
+  }
+};
+
+const getShipmentHistory = async (req, res) => {
+  const shipment = await findAccessibleShipment(req, req.params.id);
+  const [events, attempts] = await Promise.all([
+    ShipmentModel.getStatusHistory(shipment.id),
+    ShipmentModel.getDeliveryAttempts(shipment.id)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      shipment_id: shipment.id,
+      tracking_number: shipment.tracking_number,
+      current_status: shipment.status,
+      events: events.map(formatStatusEvent),
+      total: events.length,
+      failed_attempts: shipment.failed_attempts,
+      attempts: attempts.map(formatAttempt)
+    }
+  });
+};
+
+const verifyShipmentChain = async (req, res) => {
+  const shipment = await findAccessibleShipment(req, req.params.id);
+  const report = await custodyChainService.verifyShipment(shipment.id, {
+    expectedHash: req.body.expected_hash || null
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      shipment_id: shipment.id,
+      tracking_number: shipment.tracking_number,
+      ...report
+    }
+  });
+};
+
+// Signed, expiring link a customer can open without an account
+const shareShipment = async (req, res) => {
+  const shipment = await findAccessibleShipment(req, req.params.id);
+  const { token, expires_at } = publicTrackingService.issueShareToken(
+    shipment,
+    req.body.expires_in_hours || undefined
+  );
+
+  res.status(201).json({
+    success: true,
+    data: {
+      tracking_number: shipment.tracking_number,
+      token,
+      expires_at,
+      url: `/track.html?tn=${shipment.tracking_number}&token=${encodeURIComponent(token)}`
+    }
+  });
+};
+
+const getShipmentStops = async (req, res) => {
+  const shipment = await findAccessibleShipment(req, req.params.id);
+  const stops = await ShipmentStopModel.findByShipment(shipment.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      shipment_id: shipment.id,
+      stops: stops.map(formatStop)
+    }
+  });
+};
+
+const addShipmentStop = async (req, res) => {
+  const shipment = await findAccessibleShipment(req, req.params.id);
+
+  if (ShipmentModel.isTerminalStatus(shipment.status)) {
+    throw new AppError(`Cannot add stops to a ${shipment.status} shipment`, 400, 'INVALID_STATUS');
+  }
+
+  if ((req.body.latitude == null) !== (req.body.longitude == null)) {
+    throw new AppError('latitude and longitude must be provided together', 400, 'VALIDATION_ERROR');
+  }
+
+  const stop = await ShipmentStopModel.create(shipment.id, await resolveStop(req.body));
+  const stops = await ShipmentStopModel.findByShipment(shipment.id);
+
+  emitSafely(req, 'emitStopsUpdated', shipment.id, stops.map(formatStop));
+
+  res.status(201).json({
+    success: true,
+    data: {
+      stop: formatStop(stop),
+      stops: stops.map(formatStop)
+    }
+  });
+};
+
+const reorderShipmentStops = async (req, res) => {
+  const shipment = await findAccessibleShipment(req, req.params.id);
+
+  if (ShipmentModel.isTerminalStatus(shipment.status)) {
+    throw new AppError(`Cannot reorder stops of a ${shipment.status} shipment`, 400, 'INVALID_STATUS');
+  }
+
+  const stops = await ShipmentStopModel.reorder(shipment.id, req.body.stop_ids);
+
+  emitSafely(req, 'emitStopsUpdated', shipment.id, stops.map(formatStop));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      shipment_id: shipment.id,
+      stops: stops.map(formatStop)
+    }
+  });
+};
+
+const getShipmentComments = async (req, res) => {
+  const shipment = await findAccessibleShipment(req, req.params.id);
+  const [comments, unreadComments] = await Promise.all([
+    ShipmentCommentModel.findByShipment(shipment.id),
+    ShipmentCommentModel.countUnread(req.user.id, [shipment.id])
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      shipment_id: shipment.id,
+      threads: threadComments(comments),
+      total: comments.length,
+      last_comment_id: comments.length > 0 ? comments[comments.length - 1].id : null,
+      unread_comments: unreadComments.get(shipment.id)
+    }
+  });
+};
+
+const addShipmentComment = async (req, res) => {
+  const shipment = await findAccessibleShipment(req, req.params.id);
+  let parentId = req.body.parent_id ?? null;
+
+  // Threads are one level deep: a reply to a reply joins the original thread
+  if (parentId) {
+    const parent = await ShipmentCommentModel.findById(parentId);
+    if (!parent || parent.shipment_id !== shipment.id) {
+      throw new AppError('Parent comment not found on this shipment', 404, 'COMMENT_NOT_FOUND');
+    }
+    parentId = parent.parent_id || parent.id;
+  }
+
+  const comment = await ShipmentCommentModel.create({
+    shipment_id: shipment.id,
+    author_id: req.user.id,
+    author_role: req.user.role,
+    parent_id: parentId,
+    body: req.body.body.trim()
+  });
+
+  // Your own comment counts as read
+  await ShipmentCommentModel.markRead(shipment.id, req.user.id, comment.id);
+
+  emitSafely(req, 'emitShipmentComment', shipment, formatComment(comment));
+
+  res.status(201).json({
+    success: true,
+    data: {
+      comment: formatComment(comment)
+    }
+  });
+};
+
+const markShipmentCommentsRead = async (req, res) => {
+  const shipment = await findAccessibleShipment(req, req.params.id);
+  const comments = await ShipmentCommentModel.findByShipment(shipment.id);
+  const latestId = comments.length > 0 ? comments[comments.length - 1].id : 0;
+
+  // Defaults to everything posted so far; a client may acknowledge up to the comment it rendered
+  const lastReadId = Math.min(req.body.last_comment_id ?? latestId, latestId);
+  await ShipmentCommentModel.markRead(shipment.id, req.user.id, lastReadId);
+
+  const unreadComments = await ShipmentCommentModel.countUnread(req.user.id, [shipment.id]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      shipment_id: shipment.id,
+      last_read_comment_id: lastReadId,
+      unread_comments: unreadComments.get(shipment.id)
     }
   });
 };
@@ -216,6 +1177,13 @@ const getAssignedShipments = async (req, res) => {
   // Get shipments assigned to the current driver
   const shipments = await ShipmentModel.findByDriverId(req.user.id);
 
+  // Drivers check the load against the manifest at pickup
+  const shipmentIds = shipments.map(shipment => shipment.id);
+  const [itemsByShipment, unreadComments] = await Promise.all([
+    ShipmentItemModel.findByShipments(shipmentIds),
+    ShipmentCommentModel.countUnread(req.user.id, shipmentIds)
+  ]);
+
   res.status(200).json({
     success: true,
     data: shipments.map(shipment => ({
@@ -223,10 +1191,17 @@ const getAssignedShipments = async (req, res) => {
       tracking_number: shipment.tracking_number,
       origin_address: shipment.origin_address,
       destination_address: shipment.destination_address,
+      destination_latitude: shipment.destination_latitude,
+      destination_longitude: shipment.destination_longitude,
       current_latitude: shipment.current_latitude,
       current_longitude: shipment.current_longitude,
       status: shipment.status,
       estimated_delivery: shipment.estimated_delivery,
+      priority: shipment.priority,
+      parent_shipment_id: shipment.parent_shipment_id,
+      failed_attempts: shipment.failed_attempts,
+      ...formatManifest(itemsByShipment.get(shipment.id)),
+      unread_comments: unreadComments.get(shipment.id),
       created_at: shipment.created_at,
       updated_at: shipment.updated_at
     }))
@@ -235,27 +1210,55 @@ const getAssignedShipments = async (req, res) => {
 
 // Demo endpoint to create test shipment
 const createDemoShipment = async (req, res) => {
-  const shipment = await ShipmentModel.create({
+  const addresses = {
     origin_address: 'Mumbai Warehouse, Andheri East, Mumbai',
-    destination_address: 'Pune Central Store, MG Road, Pune',
+    destination_address: 'Pune Central Store, MG Road, Pune'
+  };
+
+  const shipment = await ShipmentModel.create({
+    ...addresses,
+    ...(await geocodingService.resolveShipmentCoordinates(addresses)),
     driver_id: req.user.id,
     organization_id: null,
     estimated_delivery: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
     notes: 'Demo shipment for testing'
   });
 
+  // Formatted like every other driver-facing shipment, so the delivery PIN stays with the recipient
   res.status(201).json({
     success: true,
-    data: shipment
+    data: formatShipment(shipment)
   });
 };
 
 module.exports = {
   createShipment,
+  importShipments,
   getShipments,
+  exportShipments,
   getShipment,
   getShipmentByTrackingNumber,
   confirmDelivery,
+  recordDeliveryAttempt,
+  getDeliveryAttempts,
+  completeShipmentStop,
+  updateShipmentStatus,
+  updateShipment,
+  reassignShipment,
+  cancelShipment,
+  rescheduleShipment,
+  createReturnShipment,
+  getShipmentHistory,
+  verifyShipmentChain,
+  shareShipment,
+  getDeliveryProofs,
+  getDeliveryProofFile,
+  getShipmentStops,
+  addShipmentStop,
+  reorderShipmentStops,
+  getShipmentComments,
+  addShipmentComment,
+  markShipmentCommentsRead,
   getAssignedShipments,
   createDemoShipment
 };
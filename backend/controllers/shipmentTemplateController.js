@@ -0,0 +1,244 @@
+const ShipmentTemplateModel = require('../models/ShipmentTemplate');
+const UserModel = require('../models/User');
+const GeocodingService = require('../services/geocodingService');
+const RecurringShipmentService = require('../services/recurringShipmentService');
+const { toDateKey, nextOccurrence, ruleError } = require('../utils/recurrence');
+const { AppError } = require('../middleware/errorHandler');
+
+const geocodingService = new GeocodingService();
+const recurringShipmentService = new RecurringShipmentService();
+
+const formatTemplate = (template) => ({
+  id: template.id,
+  name: template.name,
+  origin_address: template.origin_address,
+  destination_address: template.destination_address,
+  origin_latitude: template.origin_latitude,
+  origin_longitude: template.origin_longitude,
+  destination_latitude: template.destination_latitude,
+  destination_longitude: template.destination_longitude,
+  driver_id: template.driver_id,
+  driver_name: template.driver_name,
+  organization_id: template.organization_id,
+  notes: template.notes,
+  frequency: template.frequency,
+  weekdays: ShipmentTemplateModel.parseWeekdays(template.weekdays),
+  day_of_month: template.day_of_month,
+  time_of_day: template.time_of_day ? String(template.time_of_day).slice(0, 5) : null,
+  delivery_offset_minutes: template.delivery_offset_minutes,
+  starts_on: template.starts_on,
+  ends_on: template.ends_on,
+  status: template.status,
+  next_occurrence_at: template.next_occurrence_at,
+  last_occurrence_at: template.last_occurrence_at,
+  created_at: template.created_at,
+  updated_at: template.updated_at
+});
+
+const sendTemplate = async (res, template, status = 200) => {
+  res.status(status).json({
+    success: true,
+    data: {
+      template: formatTemplate(template),
+      upcoming: await recurringShipmentService.previewOccurrences(template)
+    }
+  });
+};
+
+const findAccessibleTemplate = async (req, id) => {
+  const template = await ShipmentTemplateModel.findById(id);
+
+  if (!template) {
+    throw new AppError('Shipment template not found', 404, 'TEMPLATE_NOT_FOUND');
+  }
+
+  if (req.user.organizationId && template.organization_id &&
+      template.organization_id !== req.user.organizationId) {
+    throw new AppError('Access denied to this shipment template', 403, 'ORGANIZATION_ACCESS_DENIED');
+  }
+
+  return template;
+};
+
+const assertDriver = async (driverId) => {
+  const driver = await UserModel.findById(driverId);
+  if (!driver) {
+    throw new AppError('Driver not found', 404, 'DRIVER_NOT_FOUND');
+  }
+
+  if (driver.role !== 'driver') {
+    throw new AppError('Assigned user must be a driver', 400, 'INVALID_DRIVER_ROLE');
+  }
+};
+
+const assertRule = (rule) => {
+  const error = ruleError(rule);
+  if (error) {
+    throw new AppError(error, 400, 'VALIDATION_ERROR');
+  }
+};
+
+const createTemplate = async (req, res) => {
+  const rule = {
+    frequency: req.body.frequency,
+    weekdays: req.body.weekdays || [],
+    day_of_month: req.body.day_of_month ?? null,
+    time_of_day: req.body.time_of_day,
+    starts_on: req.body.starts_on || null,
+    ends_on: req.body.ends_on || null
+  };
+  assertRule(rule);
+
+  for (const prefix of ['origin', 'destination']) {
+    if ((req.body[`${prefix}_latitude`] == null) !== (req.body[`${prefix}_longitude`] == null)) {
+      throw new AppError(`${prefix}_latitude and ${prefix}_longitude must be provided together`, 400, 'VALIDATION_ERROR');
+    }
+  }
+
+  await assertDriver(req.body.driver_id);
+
+  const nextOccurrenceAt = nextOccurrence(rule, new Date());
+  if (!nextOccurrenceAt) {
+    throw new AppError('The recurrence rule has no future occurrences', 400, 'NO_FUTURE_OCCURRENCES');
+  }
+
+  const coordinates = await geocodingService.resolveShipmentCoordinates(req.body);
+
+  const template = await ShipmentTemplateModel.create({
+    ...rule,
+    name: req.body.name,
+    origin_address: req.body.origin_address,
+    destination_address: req.body.destination_address,
+    ...coordinates,
+    driver_id: req.body.driver_id,
+    organization_id: req.user.organizationId,
+    notes: req.body.notes ?? null,
+    delivery_offset_minutes: req.body.delivery_offset_minutes ?? null,
+    next_occurrence_at: nextOccurrenceAt,
+    created_by: req.user.id
+  });
+
+  await sendTemplate(res, template, 201);
+};
+
+const getTemplates = async (req, res) => {
+  const templates = await ShipmentTemplateModel.findAll(req.user.organizationId);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      templates: templates.map(formatTemplate),
+      total: templates.length
+    }
+  });
+};
+
+const getTemplate = async (req, res) => {
+  const template = await findAccessibleTemplate(req, req.params.id);
+  await sendTemplate(res, template);
+};
+
+// Edits apply to occurrences not generated yet; shipments already created are left as they are
+const updateTemplate = async (req, res) => {
+  const template = await findAccessibleTemplate(req, req.params.id);
+
+  const updates = {};
+  for (const field of ShipmentTemplateModel.EDITABLE_FIELDS) {
+    if (req.body[field] !== undefined) {
+      updates[field] = req.body[field];
+    }
+  }
+
+  if (Object.keys(updates).length === 0) {
+    throw new AppError('No editable fields provided', 400, 'VALIDATION_ERROR');
+  }
+
+  const merged = { ...template, ...updates };
+  assertRule(ShipmentTemplateModel.toRule(merged));
+
+  if (updates.driver_id !== undefined) {
+    await assertDriver(updates.driver_id);
+  }
+
+  for (const prefix of ['origin', 'destination']) {
+    const hasLatitude = updates[`${prefix}_latitude`] != null;
+    const hasLongitude = updates[`${prefix}_longitude`] != null;
+
+    if (hasLatitude !== hasLongitude) {
+      throw new AppError(`${prefix}_latitude and ${prefix}_longitude must be provided together`, 400, 'VALIDATION_ERROR');
+    }
+
+    if (updates[`${prefix}_address`] && !hasLatitude) {
+      const point = await geocodingService.resolveCoordinates(updates[`${prefix}_address`]);
+      updates[`${prefix}_latitude`] = point.latitude;
+      updates[`${prefix}_longitude`] = point.longitude;
+    }
+  }
+
+  const ruleChanged = ShipmentTemplateModel.RULE_FIELDS.some(field => updates[field] !== undefined);
+  if (ruleChanged && template.status === 'active') {
+    updates.next_occurrence_at = recurringShipmentService.firstOccurrence(merged);
+  }
+
+  const updated = await ShipmentTemplateModel.update(template.id, updates);
+  await sendTemplate(res, updated);
+};
+
+const pauseTemplate = async (req, res) => {
+  const template = await findAccessibleTemplate(req, req.params.id);
+
+  if (template.status === 'paused') {
+    throw new AppError('Shipment template is already paused', 409, 'TEMPLATE_ALREADY_PAUSED');
+  }
+
+  const updated = await ShipmentTemplateModel.update(template.id, { status: 'paused' });
+  await sendTemplate(res, updated);
+};
+
+// Occurrences that passed while paused are not created retroactively
+const resumeTemplate = async (req, res) => {
+  const template = await findAccessibleTemplate(req, req.params.id);
+
+  if (template.status === 'active') {
+    throw new AppError('Shipment template is already active', 409, 'TEMPLATE_ALREADY_ACTIVE');
+  }
+
+  const updated = await ShipmentTemplateModel.update(template.id, {
+    status: 'active',
+    next_occurrence_at: recurringShipmentService.firstOccurrence(template)
+  });
+  await sendTemplate(res, updated);
+};
+
+const skipOccurrence = async (req, res) => {
+  const template = await findAccessibleTemplate(req, req.params.id);
+  const { date } = req.body;
+
+  const dayStart = new Date(`${date}T00:00:00Z`);
+  const occurrence = nextOccurrence(ShipmentTemplateModel.toRule(template), new Date(dayStart.getTime() - 1));
+  if (!occurrence || toDateKey(occurrence) !== date) {
+    throw new AppError(`The template does not run on ${date}`, 400, 'NOT_AN_OCCURRENCE');
+  }
+
+  if (occurrence < new Date()) {
+    throw new AppError('This occurrence has already passed', 409, 'OCCURRENCE_PASSED');
+  }
+
+  const lastGenerated = template.last_occurrence_at ? new Date(template.last_occurrence_at) : null;
+  if (lastGenerated && occurrence <= lastGenerated) {
+    throw new AppError('This occurrence has already been created; cancel its shipment instead', 409, 'OCCURRENCE_ALREADY_CREATED');
+  }
+
+  await ShipmentTemplateModel.addSkip(template.id, date, req.user.id);
+  await sendTemplate(res, template);
+};
+
+module.exports = {
+  createTemplate,
+  getTemplates,
+  getTemplate,
+  updateTemplate,
+  pauseTemplate,
+  resumeTemplate,
+  skipOccurrence
+};
@@ -3,142 +3,42 @@
  * Integrates real-time tracking with intelligent recommendation system
  */
 
-const { pool } = require('../config/database');
+const db = require('../config/database');
+const ShipmentModel = require('../models/Shipment');
+const ShipmentStopModel = require('../models/ShipmentStop');
+const TrackingLocationModel = require('../models/TrackingLocation');
+const DeliveryAttemptModel = require('../models/DeliveryAttempt');
 const RecommendationService = require('../services/recommendationService');
 const ETAService = require('../services/etaService');
 const RouteAnalysisService = require('../services/routeAnalysisService');
+const LocationIngestionService = require('../services/locationIngestionService');
 
 // Initialize services
 const recommendationService = new RecommendationService();
 const etaService = new ETAService();
 const routeAnalysisService = new RouteAnalysisService();
+const locationIngestionService = new LocationIngestionService(recommendationService, etaService);
 
 /**
  * Update location with smart analysis
  */
 async function updateLocation(req, res) {
-    try {
-        const { shipment_id, latitude, longitude, accuracy, speed, heading, timestamp } = req.body;
-        
-        // Validate input
-        if (!shipment_id || !latitude || !longitude) {
-            return res.status(400).json({
-                success: false,
-                message: 'Missing required fields: shipment_id, latitude, longitude'
-            });
-        }
-
-        // Get shipment details
-        const [shipmentRows] = await pool.execute(
-            'SELECT * FROM shipments WHERE id = ?',
-            [shipment_id]
-        );
-        
-        if (shipmentRows.length === 0) {
-            return res.status(404).json({
-                success: false,
-                message: 'Shipment not found'
-            });
-        }
-
-        const shipment = shipmentRows[0];
-        
-        // Save location to database
-        const [result] = await pool.execute(
-            `INSERT INTO tracking_locations 
-            (shipment_id, latitude, longitude, accuracy, speed, heading, timestamp)
-            VALUES (?, ?, ?, ?, ?, ?)`,
-            [shipment_id, latitude, longitude, accuracy, speed, heading || timestamp]
-        );
-
-        // Get recent tracking history for analysis
-        const [trackingHistory] = await pool.execute(
-            `SELECT * FROM tracking_locations 
-            WHERE shipment_id = ? 
-            ORDER BY timestamp DESC 
-            LIMIT 20`,
-            [shipment_id]
-        );
-
-        // 1. Generate smart recommendations
-        const recommendations = await recommendationService.analyzeTrackingData(
-            shipment_id, 
-            { latitude, longitude, accuracy, speed, heading, timestamp }
-        );
-
-        // 2. Calculate dynamic ETA
-        const etaData = await etaService.calculateETA(
-            shipment,
-            { latitude, longitude },
-            trackingHistory
-        );
-
-        // 3. Update shipment with new ETA and risk score
-        await pool.execute(
-            `UPDATE shipments 
-            SET current_latitude = ?, current_longitude = ?, 
-            predicted_eta = ?, eta_confidence = ?, risk_score = ?
-            WHERE id = ?`,
-            [
-                latitude, longitude,
-                etaData.eta,
-                etaData.confidence,
-                calculateRiskScore(recommendations),
-                shipment_id
-            ]
-        );
-
-        // 4. Save recommendations to database
-        for (const recommendation of recommendations) {
-            await recommendationService.saveRecommendation(shipment_id, recommendation);
-        }
-
-        // 5. Emit real-time updates
-        const io = req.app.get('io');
-        if (io) {
-            // Location update to admin dashboard
-            io.emit('location_update', {
-                shipment_id,
-                driver_id: shipment.driver_id,
-                latitude,
-                longitude,
-                accuracy,
-                speed,
-                heading,
-                timestamp,
-                eta: etaData.eta,
-                confidence: etaData.confidence
-            });
-
-            // Emit recommendation alerts
-            if (recommendations.length > 0) {
-                io.emit('recommendation_alert', {
-                    shipment_id,
-                    driver_id: shipment.driver_id,
-                    recommendations,
-                    timestamp: new Date().toISOString()
-                });
-            }
+    const { analysis, location } = await locationIngestionService.ingest(
+        { ...req.user, ip: req.ip },
+        req.body,
+        req.app.get('socketHandler')
+    );
+
+    res.json({
+        success: true,
+        data: {
+            location_id: location.id,
+            eta: analysis ? analysis.eta.eta : null,
+            confidence: analysis ? analysis.eta.confidence : null,
+            recommendations: analysis ? analysis.recommendations : [],
+            risk_score: analysis ? analysis.risk_score : null
         }
-
-        res.json({
-            success: true,
-            data: {
-                location_id: result.insertId,
-                eta: etaData.eta,
-                confidence: etaData.confidence,
-                recommendations,
-                risk_score: calculateRiskScore(recommendations)
-            }
-        });
-
-    } catch (error) {
-        console.error('Error updating location:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Internal server error'
-        });
-    }
+    });
 }
 
 /**
@@ -148,13 +48,8 @@ async function getTrackingData(req, res) {
     try {
         const { shipmentId } = req.params;
         
-        // Get basic tracking data
-        const [trackingRows] = await pool.execute(
-            `SELECT * FROM tracking_locations 
-            WHERE shipment_id = ? 
-            ORDER BY timestamp DESC`,
-            [shipmentId]
-        );
+        // Get basic tracking data, in the order the device recorded it
+        const trackingRows = await TrackingLocationModel.getLocationHistory(shipmentId);
 
         // Get recommendations
         const recommendations = await recommendationService.getRecommendations(shipmentId);
@@ -166,15 +61,13 @@ async function getTrackingData(req, res) {
         );
 
         // Get ETA prediction
-        const [shipmentRows] = await pool.execute(
-            'SELECT * FROM shipments WHERE id = ?',
-            [shipmentId]
-        );
+        const shipment = await ShipmentModel.findById(shipmentId);
         
         let etaPrediction = null;
-        if (shipmentRows.length > 0 && trackingRows.length > 0) {
+        if (shipment && trackingRows.length > 0) {
+            shipment.stops = await ShipmentStopModel.findByShipment(shipmentId);
             etaPrediction = await etaService.calculateETA(
-                shipmentRows[0],
+                shipment,
                 trackingRows[trackingRows.length - 1],
                 trackingRows
             );
@@ -266,12 +159,7 @@ async function completeRouteAnalysis(req, res) {
         const { shipmentId } = req.params;
         
         // Get all tracking data for this shipment
-        const [trackingRows] = await pool.execute(
-            `SELECT * FROM tracking_locations 
-            WHERE shipment_id = ? 
-            ORDER BY timestamp ASC`,
-            [shipmentId]
-        );
+        const trackingRows = await TrackingLocationModel.getLocationHistory(shipmentId);
 
         if (trackingRows.length < 2) {
             return res.status(400).json({
@@ -326,7 +214,7 @@ async function getDriverAnalytics(req, res) {
         const { driverId } = req.params;
         const { period = '7' } = req.query; // days
         
-        const [performanceData] = await pool.execute(
+        const performanceData = await db.query(
             `SELECT * FROM driver_performance 
             WHERE driver_id = ? 
             AND date >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
@@ -335,7 +223,7 @@ async function getDriverAnalytics(req, res) {
         );
 
         // Get route analysis comparison
-        const [comparisonData] = await pool.execute(
+        const comparisonData = await db.query(
             `SELECT 
                 AVG(average_speed) as avg_speed,
                 AVG(route_efficiency) as avg_efficiency,
@@ -347,11 +235,18 @@ async function getDriverAnalytics(req, res) {
             [driverId, parseInt(period)]
         );
 
+        // Failed delivery attempts by reason over the same period
+        const deliveryAttempts = await DeliveryAttemptModel.summarize({
+            driver_id: driverId,
+            since: new Date(Date.now() - parseInt(period) * 24 * 60 * 60 * 1000)
+        });
+
         res.json({
             success: true,
             data: {
                 performance_metrics: performanceData,
                 comparison: comparisonData[0] || {},
+                delivery_attempts: deliveryAttempts,
                 period_days: parseInt(period)
             }
         });
@@ -365,40 +260,13 @@ async function getDriverAnalytics(req, res) {
     }
 }
 
-/**
- * Calculate risk score based on recommendations
- */
-function calculateRiskScore(recommendations) {
-    if (!recommendations || recommendations.length === 0) {
-        return 0;
-    }
-
-    let riskScore = 0;
-    
-    recommendations.forEach(rec => {
-        switch (rec.severity) {
-            case 'high':
-                riskScore += 30;
-                break;
-            case 'medium':
-                riskScore += 15;
-                break;
-            case 'low':
-                riskScore += 5;
-                break;
-        }
-    });
-
-    return Math.min(riskScore, 100); // Cap at 100
-}
-
 /**
  * Update driver performance metrics
  */
 async function updateDriverPerformance(shipmentId, routeAnalysis) {
     try {
         // Get driver ID from shipment
-        const [shipmentRows] = await pool.execute(
+        const shipmentRows = await db.query(
             'SELECT driver_id FROM shipments WHERE id = ?',
             [shipmentId]
         );
@@ -409,7 +277,7 @@ async function updateDriverPerformance(shipmentId, routeAnalysis) {
         const today = new Date().toISOString().split('T')[0];
 
         // Update or insert daily performance
-        await pool.execute(
+        await db.query(
             `INSERT INTO driver_performance 
             (driver_id, date, total_shipments, completed_shipments, 
              total_distance, average_speed, route_efficiency_score, 
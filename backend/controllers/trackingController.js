@@ -1,78 +1,74 @@
 const TrackingLocationModel = require('../models/TrackingLocation');
 const ShipmentModel = require('../models/Shipment');
+const LocationIngestionService = require('../services/locationIngestionService');
+const TrackExportService = require('../services/trackExportService');
+const TrackImportService = require('../services/trackImportService');
 const { AppError } = require('../middleware/errorHandler');
+const { filteredTrace } = require('../utils/gpsFilter');
+const { toleranceForZoom, simplifyTrack, encodePolyline } = require('../utils/polyline');
 
-const updateLocation = async (req, res) => {
-  const { shipment_id, latitude, longitude, accuracy = null, speed = null } = req.body;
-
-  const shipment = await ShipmentModel.findById(shipment_id);
-  if (!shipment) {
-    throw new AppError('Shipment not found', 404, 'SHIPMENT_NOT_FOUND');
-  }
-
-  if (req.user.role === 'driver' && shipment.driver_id !== req.user.id) {
-    throw new AppError('You can only update your assigned shipments', 403, 'SHIPMENT_ACCESS_DENIED');
-  }
-
-  if (req.user.role === 'admin' && req.user.organizationId && 
-      shipment.organization_id && shipment.organization_id !== req.user.organizationId) {
-    throw new AppError('Access denied to this shipment', 403, 'ORGANIZATION_ACCESS_DENIED');
-  }
+const locationIngestionService = new LocationIngestionService();
+const trackExportService = new TrackExportService();
+const trackImportService = new TrackImportService(locationIngestionService);
 
-  const location = await TrackingLocationModel.create({
-    shipment_id,
-    latitude,
-    longitude,
-    accuracy,
-    speed
-  });
+const { liveLocation } = LocationIngestionService;
 
-  const firstUpdate = await TrackingLocationModel.getLatestByShipment(shipment_id);
-  const isFirstUpdate = firstUpdate && firstUpdate.id === location.id;
+const formatLocation = (location) => ({
+  id: location.id,
+  shipment_id: location.shipment_id,
+  ...liveLocation(location),
+  received_at: location.received_at
+});
 
-  if (isFirstUpdate && shipment.status === 'pending') {
-    await ShipmentModel.updateStatus(shipment_id, 'in_transit');
-  }
-
-  await ShipmentModel.updateTimestamp(shipment_id);
+const formatAnalysis = (analysis) => (analysis ? {
+  eta: analysis.eta.eta,
+  confidence: analysis.eta.confidence,
+  recommendations: analysis.recommendations,
+  risk_score: analysis.risk_score
+} : null);
 
-  const socketHandler = req.app.get('socketHandler');
-  if (socketHandler) {
-    socketHandler.emitLocationUpdate(shipment_id, {
-      latitude: location.latitude,
-      longitude: location.longitude,
-      accuracy: location.accuracy,
-      speed: location.speed,
-      recorded_at: location.recorded_at
-    });
+const updateLocation = async (req, res) => {
+  const { location, status, analysis } = await locationIngestionService.ingest(
+    { ...req.user, ip: req.ip },
+    req.body,
+    req.app.get('socketHandler')
+  );
 
-    if (isFirstUpdate && shipment.status === 'pending') {
-      socketHandler.emitShipmentStatusUpdate(shipment_id, 'in_transit');
+  res.status(201).json({
+    success: true,
+    data: {
+      location: formatLocation(location),
+      status_updated: status,
+      analysis: formatAnalysis(analysis)
     }
-  }
+  });
+};
+
+// Offline catch-up: points recorded while the driver had no connection, replayed in one request
+const batchUpdateLocation = async (req, res) => {
+  const { locations, duplicates, status, analysis } = await locationIngestionService.ingestBatch(
+    { ...req.user, ip: req.ip },
+    req.body.shipment_id,
+    req.body.points,
+    req.app.get('socketHandler')
+  );
 
   res.status(201).json({
     success: true,
     data: {
-      location: {
-        id: location.id,
-        shipment_id: location.shipment_id,
-        latitude: location.latitude,
-        longitude: location.longitude,
-        accuracy: location.accuracy,
-        speed: location.speed,
-        recorded_at: location.recorded_at
-      },
-      status_updated: isFirstUpdate && shipment.status === 'pending' ? 'in_transit' : shipment.status
+      accepted: locations.length,
+      duplicates,
+      locations: locations.map(formatLocation),
+      status_updated: status,
+      analysis: formatAnalysis(analysis)
     }
   });
 };
 
-const getTrackingInfo = async (req, res) => {
-  const { shipment_id } = req.params;
-
+// Drivers only see their own shipments; admins only those of their organization
+const findVisibleShipment = async (req) => {
   const shipment = await ShipmentModel.findById(
-    shipment_id,
+    req.params.shipment_id,
     req.user.role,
     req.user.id
   );
@@ -86,6 +82,14 @@ const getTrackingInfo = async (req, res) => {
     throw new AppError('Access denied to this shipment', 403, 'ORGANIZATION_ACCESS_DENIED');
   }
 
+  return shipment;
+};
+
+const getTrackingInfo = async (req, res) => {
+  const { shipment_id } = req.params;
+
+  const shipment = await findVisibleShipment(req);
+
   const latestLocation = await TrackingLocationModel.getLatestByShipment(shipment_id);
   const stats = await TrackingLocationModel.getShipmentStats(shipment_id);
 
@@ -97,6 +101,8 @@ const getTrackingInfo = async (req, res) => {
         tracking_number: shipment.tracking_number,
         origin_address: shipment.origin_address,
         destination_address: shipment.destination_address,
+        destination_latitude: shipment.destination_latitude,
+        destination_longitude: shipment.destination_longitude,
         driver_id: shipment.driver_id,
         driver_name: shipment.driver_name,
         driver_email: shipment.driver_email,
@@ -105,13 +111,7 @@ const getTrackingInfo = async (req, res) => {
         created_at: shipment.created_at,
         updated_at: shipment.updated_at
       },
-      latest_location: latestLocation ? {
-        latitude: latestLocation.latitude,
-        longitude: latestLocation.longitude,
-        accuracy: latestLocation.accuracy,
-        speed: latestLocation.speed,
-        recorded_at: latestLocation.recorded_at
-      } : null,
+      latest_location: latestLocation ? liveLocation(latestLocation) : null,
       tracking_stats: stats ? {
         total_updates: stats.total_updates,
         first_update: stats.first_update,
@@ -123,22 +123,9 @@ const getTrackingInfo = async (req, res) => {
 
 const getLocationHistory = async (req, res) => {
   const { shipment_id } = req.params;
-  const { limit = 100, start_date, end_date } = req.query;
-
-  const shipment = await ShipmentModel.findById(
-    shipment_id,
-    req.user.role,
-    req.user.id
-  );
-
-  if (!shipment) {
-    throw new AppError('Shipment not found', 404, 'SHIPMENT_NOT_FOUND');
-  }
+  const { limit = 100, start_date, end_date, tolerance, zoom, format = 'points' } = req.query;
 
-  if (req.user.role === 'admin' && req.user.organizationId && 
-      shipment.organization_id && shipment.organization_id !== req.user.organizationId) {
-    throw new AppError('Access denied to this shipment', 403, 'ORGANIZATION_ACCESS_DENIED');
-  }
+  const shipment = await findVisibleShipment(req);
 
   const history = await TrackingLocationModel.getLocationHistory(
     shipment_id,
@@ -146,26 +133,93 @@ const getLocationHistory = async (req, res) => {
     end_date
   );
 
+  // A tolerance, zoom or polyline asks for a track to draw: the GPS-filtered trace, simplified to that detail
+  let toleranceMeters = null;
+  if (tolerance !== undefined) {
+    toleranceMeters = Number(tolerance);
+  } else if (zoom !== undefined && history.length > 0) {
+    toleranceMeters = toleranceForZoom(Number(zoom), Number(history[0].latitude));
+  }
+
+  const track = toleranceMeters !== null || format === 'polyline'
+    ? simplifyTrack(filteredTrace(history), toleranceMeters)
+    : history;
+
   res.status(200).json({
     success: true,
     data: {
       shipment_id: parseInt(shipment_id),
       tracking_number: shipment.tracking_number,
-      locations: history.map(loc => ({
-        id: loc.id,
-        latitude: loc.latitude,
-        longitude: loc.longitude,
-        accuracy: loc.accuracy,
-        speed: loc.speed,
-        recorded_at: loc.recorded_at
-      })),
-      total: history.length
+      ...(format === 'polyline' ? {
+        polyline: encodePolyline(track)
+      } : {
+        locations: track.map(loc => ({
+          id: loc.id,
+          ...liveLocation(loc),
+          device_timestamp: loc.device_timestamp,
+          received_at: loc.received_at
+        }))
+      }),
+      total: history.length,
+      returned: track.length,
+      tolerance_meters: toleranceMeters
     }
   });
 };
 
+// Backfill a trip from another device's GPX, or replay one for a demo; points are stored as imported
+const importTrack = async (req, res) => {
+  if (typeof req.body !== 'string') {
+    throw new AppError('Upload the GPX file with Content-Type: application/gpx+xml', 415, 'UNSUPPORTED_MEDIA_TYPE');
+  }
+
+  const { parsed, accepted, duplicates, status, analysis, route_analysis } = await trackImportService.importGpx(
+    { ...req.user, ip: req.ip },
+    req.params.shipment_id,
+    req.body,
+    {
+      startAt: req.query.start_at || null,
+      socketHandler: req.app.get('socketHandler')
+    }
+  );
+
+  res.status(accepted > 0 ? 201 : 200).json({
+    success: true,
+    data: {
+      parsed,
+      accepted,
+      duplicates,
+      status_updated: status,
+      analysis: formatAnalysis(analysis),
+      route_analysis: route_analysis ? {
+        total_distance: route_analysis.total_distance,
+        total_time: route_analysis.total_time,
+        average_speed: route_analysis.average_speed,
+        performance_grade: route_analysis.performance_grade,
+        anomalies: route_analysis.anomalies
+      } : null
+    }
+  });
+};
+
+// The recorded track with its stops and events as a GPX, KML or GeoJSON download
+const exportTrack = async (req, res) => {
+  const format = req.query.format || 'gpx';
+  const shipment = await findVisibleShipment(req);
+
+  const document = await trackExportService.buildExport(shipment, format);
+
+  res.status(200);
+  res.setHeader('Content-Type', trackExportService.getContentType(format));
+  res.setHeader('Content-Disposition', `attachment; filename="${trackExportService.getFilename(shipment, format)}"`);
+  res.send(document);
+};
+
 module.exports = {
   updateLocation,
+  batchUpdateLocation,
   getTrackingInfo,
-  getLocationHistory
+  getLocationHistory,
+  importTrack,
+  exportTrack
 };
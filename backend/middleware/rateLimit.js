@@ -0,0 +1,40 @@
+const { AppError } = require('./errorHandler');
+
+// Fixed-window request limiter kept in process memory, keyed by client IP
+const rateLimit = ({ windowMs, max, code = 'RATE_LIMITED' }) => {
+  const hits = new Map();
+
+  // Drop expired windows so idle clients do not accumulate
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    let entry = hits.get(req.ip);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(req.ip, entry);
+    }
+
+    entry.count++;
+
+    res.setHeader('RateLimit-Limit', max);
+    res.setHeader('RateLimit-Remaining', Math.max(max - entry.count, 0));
+    res.setHeader('RateLimit-Reset', Math.ceil((entry.resetAt - now) / 1000));
+
+    if (entry.count > max) {
+      res.setHeader('Retry-After', Math.ceil((entry.resetAt - now) / 1000));
+      return next(new AppError('Too many requests, please try again later', 429, code));
+    }
+
+    next();
+  };
+};
+
+module.exports = { rateLimit };
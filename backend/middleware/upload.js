@@ -0,0 +1,63 @@
+const multer = require('multer');
+const config = require('../config');
+const { AppError } = require('./errorHandler');
+
+const UPLOAD_ERROR_MESSAGES = {
+  LIMIT_FILE_SIZE: `File exceeds the ${Math.round(config.deliveryProof.maxFileSize / (1024 * 1024))}MB limit`,
+  LIMIT_UNEXPECTED_FILE: 'Unexpected file field'
+};
+
+// Files are held in memory so they can be checked before anything reaches storage
+const deliveryProofUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.deliveryProof.maxFileSize,
+    files: 2
+  }
+}).fields([
+  { name: 'photo', maxCount: 1 },
+  { name: 'signature', maxCount: 1 }
+]);
+
+// A failed delivery attempt carries at most one photo of the doorstep
+const attemptPhotoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.deliveryProof.maxFileSize,
+    files: 1
+  }
+}).fields([
+  { name: 'photo', maxCount: 1 }
+]);
+
+// Multipart fields all arrive as strings; convert the numeric ones so the validators apply
+const coerceNumericFields = (fields) => (req, res, next) => {
+  if (req.is('multipart/form-data')) {
+    for (const field of fields) {
+      const value = req.body[field];
+      if (typeof value === 'string') {
+        req.body[field] = value.trim() === '' ? undefined : Number(value);
+      }
+    }
+  }
+  next();
+};
+
+const handleUpload = (upload) => (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return next(new AppError(UPLOAD_ERROR_MESSAGES[error.code] || error.message, status, 'INVALID_UPLOAD'));
+    }
+
+    next(error);
+  });
+};
+
+module.exports = {
+  deliveryProofUpload: handleUpload(deliveryProofUpload),
+  attemptPhotoUpload: handleUpload(attemptPhotoUpload),
+  coerceNumericFields
+};
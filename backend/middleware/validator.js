@@ -49,6 +49,9 @@ const validateObject = (data, schema, location) => {
       if (rules.type === 'number' && (typeof value !== 'number' || isNaN(value))) {
         errors.push(`${location}.${field} must be a number`);
       }
+      if (rules.integer && !Number.isInteger(value)) {
+        errors.push(`${location}.${field} must be a whole number`);
+      }
       if (rules.type === 'boolean' && typeof value !== 'boolean') {
         errors.push(`${location}.${field} must be a boolean`);
       }
@@ -79,6 +82,25 @@ const validateObject = (data, schema, location) => {
       if (rules.max !== undefined && Number(value) > rules.max) {
         errors.push(`${location}.${field} must be at most ${rules.max}`);
       }
+
+      if (rules.minItems !== undefined && Array.isArray(value) && value.length < rules.minItems) {
+        errors.push(`${location}.${field} must have at least ${rules.minItems} items`);
+      }
+
+      if (rules.maxItems !== undefined && Array.isArray(value) && value.length > rules.maxItems) {
+        errors.push(`${location}.${field} must have at most ${rules.maxItems} items`);
+      }
+
+      if (rules.items && Array.isArray(value)) {
+        value.forEach((item, index) => {
+          const itemLocation = `${location}.${field}[${index}]`;
+          if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            errors.push(`${itemLocation} must be an object`);
+            return;
+          }
+          errors.push(...validateObject(item, rules.items, itemLocation));
+        });
+      }
     }
   }
 
@@ -86,5 +108,6 @@ const validateObject = (data, schema, location) => {
 };
 
 module.exports = {
-  validate
+  validate,
+  validateObject
 };
@@ -0,0 +1,8 @@
+-- LinkNode Shipment Coordinates Migration
+-- Store geocoded origin/destination coordinates on shipments
+
+ALTER TABLE shipments 
+ADD COLUMN IF NOT EXISTS origin_latitude DECIMAL(10, 8) NULL AFTER destination_address,
+ADD COLUMN IF NOT EXISTS origin_longitude DECIMAL(11, 8) NULL AFTER origin_latitude,
+ADD COLUMN IF NOT EXISTS destination_latitude DECIMAL(10, 8) NULL AFTER origin_longitude,
+ADD COLUMN IF NOT EXISTS destination_longitude DECIMAL(11, 8) NULL AFTER destination_latitude;
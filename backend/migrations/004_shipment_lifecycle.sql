@@ -0,0 +1,16 @@
+-- LinkNode Shipment Lifecycle Migration
+-- Widen the shipment status set for the lifecycle state machine.
+-- The shipment_status_events table is created by ShipmentStatusEventModel.createTable().
+
+ALTER TABLE shipments 
+MODIFY COLUMN status ENUM(
+    'pending',
+    'assigned',
+    'picked_up',
+    'in_transit',
+    'arriving',
+    'delivered',
+    'failed',
+    'cancelled',
+    'returned'
+) DEFAULT 'pending';
@@ -0,0 +1,13 @@
+-- LinkNode Delivery Verification Migration
+-- Recipient PIN, admin overrides and the position recorded when delivery is confirmed.
+-- Existing shipments keep a NULL PIN and are confirmed without one.
+
+ALTER TABLE shipments 
+ADD COLUMN IF NOT EXISTS delivery_pin VARCHAR(6) NULL AFTER proof_of_delivery_url,
+ADD COLUMN IF NOT EXISTS delivery_pin_attempts INT NOT NULL DEFAULT 0 AFTER delivery_pin,
+ADD COLUMN IF NOT EXISTS delivery_verification ENUM('pin', 'admin_override') NULL AFTER delivery_pin_attempts,
+ADD COLUMN IF NOT EXISTS delivery_override_reason TEXT NULL AFTER delivery_verification,
+ADD COLUMN IF NOT EXISTS delivery_latitude DECIMAL(10, 8) NULL AFTER delivery_override_reason,
+ADD COLUMN IF NOT EXISTS delivery_longitude DECIMAL(11, 8) NULL AFTER delivery_latitude,
+ADD COLUMN IF NOT EXISTS delivery_distance_meters INT NULL AFTER delivery_longitude,
+ADD COLUMN IF NOT EXISTS delivery_location_check ENUM('ok', 'too_far', 'no_location', 'no_destination') NULL AFTER delivery_distance_meters;
@@ -0,0 +1,19 @@
+-- LinkNode Custody Chain Migration
+-- Hash-chain tracking locations and status events per shipment.
+-- Records written before this migration keep NULL chain columns and are reported as unchained.
+
+ALTER TABLE shipments 
+ADD COLUMN IF NOT EXISTS chain_head_hash CHAR(64) NULL AFTER delivery_location_check,
+ADD COLUMN IF NOT EXISTS chain_length INT NOT NULL DEFAULT 0 AFTER chain_head_hash;
+
+ALTER TABLE tracking_locations 
+ADD COLUMN IF NOT EXISTS chain_seq INT NULL AFTER recorded_at,
+ADD COLUMN IF NOT EXISTS previous_hash CHAR(64) NULL AFTER chain_seq,
+ADD COLUMN IF NOT EXISTS record_hash CHAR(64) NULL AFTER previous_hash,
+ADD UNIQUE KEY IF NOT EXISTS uniq_shipment_chain_seq (shipment_id, chain_seq);
+
+ALTER TABLE shipment_status_events 
+ADD COLUMN IF NOT EXISTS chain_seq INT NULL AFTER created_at,
+ADD COLUMN IF NOT EXISTS previous_hash CHAR(64) NULL AFTER chain_seq,
+ADD COLUMN IF NOT EXISTS record_hash CHAR(64) NULL AFTER previous_hash,
+ADD UNIQUE KEY IF NOT EXISTS uniq_shipment_chain_seq (shipment_id, chain_seq);
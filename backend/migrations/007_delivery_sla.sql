@@ -0,0 +1,14 @@
+-- LinkNode Delivery SLA Migration
+-- Promised delivery windows, the SLA policy applied to them and the evaluator's verdict.
+-- predicted_eta was introduced in 002_smart_logistics and is repeated for databases created without it.
+
+ALTER TABLE shipments 
+ADD COLUMN IF NOT EXISTS predicted_eta TIMESTAMP NULL AFTER estimated_delivery,
+ADD COLUMN IF NOT EXISTS promised_window_start TIMESTAMP NULL AFTER predicted_eta,
+ADD COLUMN IF NOT EXISTS promised_window_end TIMESTAMP NULL AFTER promised_window_start,
+ADD COLUMN IF NOT EXISTS sla_policy VARCHAR(30) NULL AFTER promised_window_end,
+ADD COLUMN IF NOT EXISTS sla_status ENUM('on_track', 'at_risk', 'breached', 'met') NULL AFTER sla_policy,
+ADD COLUMN IF NOT EXISTS sla_evaluated_at TIMESTAMP NULL AFTER sla_status,
+ADD COLUMN IF NOT EXISTS sla_breached_at TIMESTAMP NULL AFTER sla_evaluated_at,
+ADD INDEX IF NOT EXISTS idx_sla_status (sla_status),
+ADD INDEX IF NOT EXISTS idx_promised_window_end (promised_window_end);
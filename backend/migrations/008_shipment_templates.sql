@@ -0,0 +1,8 @@
+-- LinkNode Recurring Shipments Migration
+-- Link shipments generated from a recurring template to the occurrence they were created for.
+-- shipment_templates and shipment_template_skips are created by ShipmentTemplateModel.createTable().
+
+ALTER TABLE shipments 
+ADD COLUMN IF NOT EXISTS template_id INT NULL AFTER chain_length,
+ADD COLUMN IF NOT EXISTS scheduled_for TIMESTAMP NULL AFTER template_id,
+ADD UNIQUE INDEX IF NOT EXISTS unique_template_occurrence (template_id, scheduled_for);
@@ -0,0 +1,6 @@
+-- LinkNode Return Shipments Migration
+-- Link a reverse (return) shipment to the shipment whose goods it brings back.
+
+ALTER TABLE shipments 
+ADD COLUMN IF NOT EXISTS parent_shipment_id INT NULL AFTER scheduled_for,
+ADD INDEX IF NOT EXISTS idx_parent_shipment_id (parent_shipment_id);
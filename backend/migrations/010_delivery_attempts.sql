@@ -0,0 +1,10 @@
+-- LinkNode Delivery Attempts Migration
+-- Count failed delivery attempts per shipment and tie attempt photos to their attempt.
+-- delivery_attempts is created by DeliveryAttemptModel.createTable(); run this afterwards.
+
+ALTER TABLE shipments 
+ADD COLUMN IF NOT EXISTS failed_attempts INT NOT NULL DEFAULT 0 AFTER chain_length;
+
+ALTER TABLE delivery_proofs 
+ADD COLUMN IF NOT EXISTS attempt_id INT NULL AFTER stop_id,
+ADD INDEX IF NOT EXISTS idx_proof_attempt (attempt_id);
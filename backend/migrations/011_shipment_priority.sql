@@ -0,0 +1,6 @@
+-- LinkNode Shipment Priority Migration
+-- Priority orders a driver's assigned list and tightens delay alerts for urgent loads.
+
+ALTER TABLE shipments 
+ADD COLUMN IF NOT EXISTS priority ENUM('standard', 'express', 'critical') NOT NULL DEFAULT 'standard' AFTER sla_policy,
+ADD INDEX IF NOT EXISTS idx_priority (priority);
@@ -0,0 +1,9 @@
+-- LinkNode Tracking Point Details Migration
+-- Store heading, altitude, the device's own timestamp and the server receive time per point.
+-- recorded_at now holds the device time when the client sends one.
+
+ALTER TABLE tracking_locations 
+ADD COLUMN IF NOT EXISTS heading DECIMAL(5, 2) NULL AFTER speed,
+ADD COLUMN IF NOT EXISTS altitude DECIMAL(8, 2) NULL AFTER heading,
+ADD COLUMN IF NOT EXISTS device_timestamp TIMESTAMP(3) NULL AFTER recorded_at,
+ADD COLUMN IF NOT EXISTS received_at TIMESTAMP(3) NULL AFTER device_timestamp;
@@ -0,0 +1,5 @@
+-- LinkNode Location Ingestion Migration
+-- Both tracking endpoints now store a 0-100 risk score; the original column only held up to 9.99.
+
+ALTER TABLE shipments 
+MODIFY COLUMN risk_score DECIMAL(5, 2) DEFAULT 0.00;
@@ -0,0 +1,9 @@
+-- LinkNode GPS Filter Migration
+-- Keep the filtered position next to the raw fix. The raw columns stay untouched (and hash-chained);
+-- filter_status NULL marks points stored before filtering existed.
+
+ALTER TABLE tracking_locations 
+ADD COLUMN IF NOT EXISTS filtered_latitude DECIMAL(10, 8) NULL AFTER received_at,
+ADD COLUMN IF NOT EXISTS filtered_longitude DECIMAL(11, 8) NULL AFTER filtered_latitude,
+ADD COLUMN IF NOT EXISTS filter_variance DECIMAL(12, 2) NULL AFTER filtered_longitude,
+ADD COLUMN IF NOT EXISTS filter_status ENUM('accepted', 'rejected_accuracy', 'rejected_speed') NULL AFTER filter_variance;
@@ -0,0 +1,5 @@
+-- LinkNode Tracking Import Source Migration
+-- Mark points that came from an uploaded GPX file instead of the driver's device.
+
+ALTER TABLE tracking_locations 
+ADD COLUMN IF NOT EXISTS source ENUM('device', 'import') NOT NULL DEFAULT 'device' AFTER filter_status;
@@ -0,0 +1,9 @@
+-- LinkNode Tracking Chain Version Migration
+-- Chain heading, altitude, device_timestamp, received_at, the GPS filter output and source
+-- with each new tracking point.
+-- Points keep the chain_version they were hashed with; existing rows stay NULL (version 1).
+-- recorded_at is the server time again; device time is read from device_timestamp.
+
+ALTER TABLE tracking_locations 
+ADD COLUMN IF NOT EXISTS chain_version TINYINT UNSIGNED NULL AFTER source,
+ADD INDEX IF NOT EXISTS idx_shipment_device_time (shipment_id, device_timestamp);
@@ -0,0 +1,52 @@
+const db = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { GENESIS_HASH, computeRecordHash } = require('../utils/hashChain');
+
+// Each shipment's tracking locations and status events form one hash chain.
+// The shipment row holds the chain head so removing the newest records is also detectable.
+class CustodyChainModel {
+  /**
+   * Reserve the next link for a record and move the shipment's chain head to it.
+   * Must run in the same transaction as the record's INSERT.
+   */
+  static async link(shipmentId, recordType, record, executor) {
+    if (!executor || executor === db) {
+      throw new Error('CustodyChainModel.link must run inside a transaction');
+    }
+
+    const rows = await executor.query(
+      'SELECT id, chain_head_hash, chain_length FROM shipments WHERE id = ? FOR UPDATE',
+      [shipmentId]
+    );
+
+    if (rows.length === 0) {
+      throw new AppError('Shipment not found', 404, 'SHIPMENT_NOT_FOUND');
+    }
+
+    const previousHash = rows[0].chain_head_hash || GENESIS_HASH;
+    const sequence = rows[0].chain_length + 1;
+    const recordHash = computeRecordHash(recordType, record, sequence, previousHash);
+
+    // Leave updated_at alone; appending to the chain is not an edit of the shipment
+    await executor.query(
+      'UPDATE shipments SET chain_head_hash = ?, chain_length = ?, updated_at = updated_at WHERE id = ?',
+      [recordHash, sequence, shipmentId]
+    );
+
+    return {
+      chain_seq: sequence,
+      previous_hash: previousHash,
+      record_hash: recordHash
+    };
+  }
+
+  static async getHead(shipmentId) {
+    const rows = await db.query(
+      'SELECT chain_head_hash, chain_length FROM shipments WHERE id = ? LIMIT 1',
+      [shipmentId]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  }
+}
+
+module.exports = CustodyChainModel;
@@ -0,0 +1,164 @@
+const db = require('../config/database');
+
+// Why the driver could not hand the shipment over
+const REASON_CODES = ['recipient_absent', 'address_not_found', 'refused', 'access_denied'];
+
+// What dispatch decided after the attempt
+const RESOLUTIONS = ['rescheduled', 'returned', 'reassigned'];
+
+class DeliveryAttemptModel {
+  static get REASON_CODES() {
+    return REASON_CODES;
+  }
+
+  static get RESOLUTIONS() {
+    return RESOLUTIONS;
+  }
+
+  static async create(attemptData, executor = db) {
+    const {
+      shipment_id,
+      stop_id = null,
+      attempt_number,
+      driver_id,
+      reason_code,
+      notes = null,
+      latitude = null,
+      longitude = null
+    } = attemptData;
+
+    const query = `
+      INSERT INTO delivery_attempts (
+        shipment_id, stop_id, attempt_number, driver_id, reason_code,
+        notes, latitude, longitude, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())
+    `;
+
+    const result = await executor.query(query, [
+      shipment_id,
+      stop_id,
+      attempt_number,
+      driver_id,
+      reason_code,
+      notes,
+      latitude,
+      longitude
+    ]);
+
+    return {
+      id: result.insertId,
+      shipment_id,
+      stop_id,
+      attempt_number,
+      driver_id,
+      reason_code,
+      notes,
+      latitude,
+      longitude,
+      resolution: null
+    };
+  }
+
+  static async findByShipment(shipmentId) {
+    const query = `
+      SELECT a.*,
+             d.name as driver_name,
+             r.name as resolved_by_name
+      FROM delivery_attempts a
+      LEFT JOIN users d ON a.driver_id = d.id
+      LEFT JOIN users r ON a.resolved_by = r.id
+      WHERE a.shipment_id = ?
+      ORDER BY a.attempt_number ASC
+    `;
+
+    return await db.query(query, [shipmentId]);
+  }
+
+  /**
+   * Record dispatch's decision on the shipment's open attempt, if there is one
+   */
+  static async resolveLatest(shipmentId, resolution, resolvedBy = null, executor = db) {
+    const query = `
+      UPDATE delivery_attempts
+      SET resolution = ?, resolved_by = ?, resolved_at = NOW()
+      WHERE shipment_id = ? AND resolution IS NULL
+      ORDER BY attempt_number DESC
+      LIMIT 1
+    `;
+
+    const result = await executor.query(query, [resolution, resolvedBy, shipmentId]);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Failed attempts per reason code. filters: { organization_id, driver_id, since }
+   */
+  static async summarize(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.organization_id) {
+      conditions.push('s.organization_id = ?');
+      params.push(filters.organization_id);
+    }
+    if (filters.driver_id) {
+      conditions.push('a.driver_id = ?');
+      params.push(filters.driver_id);
+    }
+    if (filters.since) {
+      conditions.push('a.created_at >= ?');
+      params.push(filters.since);
+    }
+
+    const query = `
+      SELECT a.reason_code,
+             COUNT(*) as attempts,
+             COUNT(DISTINCT a.shipment_id) as shipments
+      FROM delivery_attempts a
+      JOIN shipments s ON a.shipment_id = s.id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      GROUP BY a.reason_code
+    `;
+
+    const rows = await db.query(query, params);
+    const byReason = Object.fromEntries(REASON_CODES.map(code => [code, 0]));
+    let total = 0;
+
+    for (const row of rows) {
+      byReason[row.reason_code] = Number(row.attempts);
+      total += Number(row.attempts);
+    }
+
+    return { total_failed_attempts: total, by_reason: byReason };
+  }
+
+  static async createTable() {
+    const query = `
+      CREATE TABLE IF NOT EXISTS delivery_attempts (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        shipment_id INT NOT NULL,
+        stop_id INT NULL,
+        attempt_number INT NOT NULL,
+        driver_id INT NOT NULL,
+        reason_code ENUM('recipient_absent', 'address_not_found', 'refused', 'access_denied') NOT NULL,
+        notes TEXT NULL,
+        latitude DECIMAL(10, 8) NULL,
+        longitude DECIMAL(11, 8) NULL,
+        resolution ENUM('rescheduled', 'returned', 'reassigned') NULL,
+        resolved_by INT NULL,
+        resolved_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (shipment_id) REFERENCES shipments(id) ON DELETE CASCADE,
+        FOREIGN KEY (stop_id) REFERENCES shipment_stops(id) ON DELETE SET NULL,
+        FOREIGN KEY (driver_id) REFERENCES users(id),
+        FOREIGN KEY (resolved_by) REFERENCES users(id) ON DELETE SET NULL,
+        UNIQUE KEY unique_shipment_attempt (shipment_id, attempt_number),
+        INDEX idx_attempt_created_at (created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+
+    await db.query(query);
+  }
+}
+
+module.exports = DeliveryAttemptModel;
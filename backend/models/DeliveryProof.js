@@ -0,0 +1,111 @@
+const db = require('../config/database');
+
+class DeliveryProofModel {
+  static async create(proofData, executor = db) {
+    const {
+      shipment_id,
+      stop_id = null,
+      attempt_id = null,
+      proof_type,
+      storage_key,
+      content_type,
+      size_bytes,
+      uploaded_by = null
+    } = proofData;
+
+    const query = `
+      INSERT INTO delivery_proofs (
+        shipment_id, stop_id, attempt_id, proof_type, storage_key, content_type,
+        size_bytes, uploaded_by, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())
+    `;
+
+    const result = await executor.query(query, [
+      shipment_id,
+      stop_id,
+      attempt_id,
+      proof_type,
+      storage_key,
+      content_type,
+      size_bytes,
+      uploaded_by
+    ]);
+
+    return {
+      id: result.insertId,
+      shipment_id,
+      stop_id,
+      attempt_id,
+      proof_type,
+      storage_key,
+      content_type,
+      size_bytes,
+      uploaded_by
+    };
+  }
+
+  static async findById(proofId) {
+    const query = `
+      SELECT *
+      FROM delivery_proofs
+      WHERE id = ?
+      LIMIT 1
+    `;
+
+    const proofs = await db.query(query, [proofId]);
+    return proofs.length > 0 ? proofs[0] : null;
+  }
+
+  static async findByShipment(shipmentId) {
+    const query = `
+      SELECT p.*,
+             u.name as uploaded_by_name
+      FROM delivery_proofs p
+      LEFT JOIN users u ON p.uploaded_by = u.id
+      WHERE p.shipment_id = ?
+      ORDER BY p.created_at ASC, p.id ASC
+    `;
+
+    return await db.query(query, [shipmentId]);
+  }
+
+  /**
+   * Proofs of the delivery itself, leaving out doorstep photos from failed attempts
+   */
+  static async findDeliveryByShipment(shipmentId) {
+    const query = `
+      SELECT *
+      FROM delivery_proofs
+      WHERE shipment_id = ? AND attempt_id IS NULL
+      ORDER BY created_at ASC, id ASC
+    `;
+
+    return await db.query(query, [shipmentId]);
+  }
+
+  static async createTable() {
+    const query = `
+      CREATE TABLE IF NOT EXISTS delivery_proofs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        shipment_id INT NOT NULL,
+        stop_id INT NULL,
+        attempt_id INT NULL,
+        proof_type ENUM('photo', 'signature') NOT NULL,
+        storage_key VARCHAR(255) NOT NULL,
+        content_type VARCHAR(50) NOT NULL,
+        size_bytes INT NOT NULL,
+        uploaded_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (shipment_id) REFERENCES shipments(id) ON DELETE CASCADE,
+        FOREIGN KEY (stop_id) REFERENCES shipment_stops(id) ON DELETE SET NULL,
+        FOREIGN KEY (attempt_id) REFERENCES delivery_attempts(id) ON DELETE CASCADE,
+        FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_shipment_proofs (shipment_id, created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+
+    await db.query(query);
+  }
+}
+
+module.exports = DeliveryProofModel;
@@ -0,0 +1,18 @@
+const db = require('../config/database');
+
+// route_history is created by migrations/002_smart_logistics.sql
+class RouteHistoryModel {
+  static async findByShipment(shipmentId) {
+    const query = `
+      SELECT id, shipment_id, total_distance, total_time, average_speed, delay_minutes,
+             route_efficiency, performance_grade, max_speed, idle_time, created_at
+      FROM route_history
+      WHERE shipment_id = ?
+      ORDER BY created_at ASC, id ASC
+    `;
+
+    return await db.query(query, [shipmentId]);
+  }
+}
+
+module.exports = RouteHistoryModel;
@@ -1,53 +1,232 @@
+const crypto = require('crypto');
+const config = require('../config');
 const db = require('../config/database');
+const ShipmentStopModel = require('./ShipmentStop');
+const ShipmentItemModel = require('./ShipmentItem');
+const ShipmentStatusEventModel = require('./ShipmentStatusEvent');
+const DeliveryProofModel = require('./DeliveryProof');
+const DeliveryAttemptModel = require('./DeliveryAttempt');
 const { AppError } = require('../middleware/errorHandler');
+const { calculateDistance } = require('../utils/helpers');
+
+// Allowed lifecycle moves; delivered, cancelled and returned are terminal.
+// failed -> assigned is a reschedule by dispatch after a failed delivery attempt.
+const STATUS_TRANSITIONS = {
+  pending: ['assigned', 'picked_up', 'in_transit', 'cancelled'],
+  assigned: ['picked_up', 'in_transit', 'cancelled'],
+  picked_up: ['in_transit', 'failed', 'cancelled'],
+  in_transit: ['arriving', 'delivered', 'failed', 'cancelled'],
+  arriving: ['in_transit', 'delivered', 'failed', 'cancelled'],
+  failed: ['assigned', 'in_transit', 'returned', 'cancelled'],
+  delivered: [],
+  cancelled: [],
+  returned: []
+};
+
+const SHIPMENT_STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+// A return can be raised once delivery was completed or refused
+const RETURNABLE_STATUSES = ['delivered', 'failed'];
+
+// Set by the SLA evaluator for shipments with a promised window; met/breached are final once delivered
+const SLA_STATUSES = ['on_track', 'at_risk', 'breached', 'met'];
+
+// Dispatch priority, most urgent first; drivers see their assigned list in this order
+const PRIORITIES = ['critical', 'express', 'standard'];
+
+// Sort keys accepted by findAll, mapped to their columns
+const SORT_COLUMNS = {
+  created_at: 's.created_at',
+  updated_at: 's.updated_at',
+  estimated_delivery: 's.estimated_delivery'
+};
+
+// Columns that may be corrected after creation via update()
+const EDITABLE_FIELDS = [
+  'origin_address',
+  'destination_address',
+  'origin_latitude',
+  'origin_longitude',
+  'destination_latitude',
+  'destination_longitude',
+  'estimated_delivery',
+  'promised_window_start',
+  'promised_window_end',
+  'sla_policy',
+  'priority',
+  'smart_recommendations_enabled',
+  'notes'
+];
 
 class ShipmentModel {
+  static get STATUSES() {
+    return SHIPMENT_STATUSES;
+  }
+
+  static get SLA_STATUSES() {
+    return SLA_STATUSES;
+  }
+
+  static get PRIORITIES() {
+    return PRIORITIES;
+  }
+
+  static get RETURNABLE_STATUSES() {
+    return RETURNABLE_STATUSES;
+  }
+
+  static get EDITABLE_FIELDS() {
+    return EDITABLE_FIELDS;
+  }
+
+  static get SORT_KEYS() {
+    return Object.keys(SORT_COLUMNS);
+  }
+
+  static canTransition(fromStatus, toStatus) {
+    return (STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  static isTerminalStatus(status) {
+    return (STATUS_TRANSITIONS[status] || []).length === 0;
+  }
+
+  static assertTransition(fromStatus, toStatus) {
+    if (!this.canTransition(fromStatus, toStatus)) {
+      throw new AppError(
+        `Cannot change shipment status from ${fromStatus} to ${toStatus}`,
+        409,
+        'INVALID_STATUS_TRANSITION'
+      );
+    }
+  }
+
   static generateTrackingNumber() {
     const timestamp = Date.now().toString(36);
     const random = Math.random().toString(36).substr(2, 5);
     return `LN${timestamp.toUpperCase()}${random.toUpperCase()}`;
   }
 
-  static async create(shipmentData) {
+  static generateDeliveryPin() {
+    return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  }
+
+  static async create(shipmentData, executor = null) {
+    // Shipment, stops and manifest are written together or not at all
+    if (!executor) {
+      return await db.transaction((tx) => this.create(shipmentData, tx));
+    }
+
     const { 
       origin_address, 
       destination_address, 
+      origin_latitude = null,
+      origin_longitude = null,
+      destination_latitude = null,
+      destination_longitude = null,
       driver_id, 
       organization_id = null,
       estimated_delivery = null,
-      notes = null
+      promised_window_start = null,
+      promised_window_end = null,
+      sla_policy = null,
+      priority = 'standard',
+      notes = null,
+      stops = [],
+      items = [],
+      template_id = null,
+      scheduled_for = null,
+      parent_shipment_id = null,
+      created_by = null,
+      source = null,
+      reason = 'Shipment created'
     } = shipmentData;
 
     const tracking_number = this.generateTrackingNumber();
+    const delivery_pin = this.generateDeliveryPin();
 
     const query = `
       INSERT INTO shipments (
         tracking_number, origin_address, destination_address, 
+        origin_latitude, origin_longitude, destination_latitude, destination_longitude,
         driver_id, organization_id, status, estimated_delivery, 
-        notes, created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, 'pending', ?, ?, NOW(), NOW())
+        promised_window_start, promised_window_end, sla_policy, priority,
+        notes, delivery_pin, template_id, scheduled_for, parent_shipment_id, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
     `;
 
-    const result = await db.query(query, [
+    const result = await executor.query(query, [
       tracking_number,
       origin_address,
       destination_address,
+      origin_latitude,
+      origin_longitude,
+      destination_latitude,
+      destination_longitude,
       driver_id,
       organization_id,
       estimated_delivery,
-      notes
+      promised_window_start,
+      promised_window_end,
+      sla_policy,
+      priority,
+      notes,
+      delivery_pin,
+      template_id,
+      scheduled_for,
+      parent_shipment_id
     ]);
 
+    await ShipmentStatusEventModel.create({
+      shipment_id: result.insertId,
+      to_status: 'pending',
+      changed_by: created_by,
+      source: source || (created_by ? 'api' : 'system'),
+      reason
+    }, executor);
+
+    const createdStops = [];
+    for (const [index, stop] of stops.entries()) {
+      createdStops.push(await ShipmentStopModel.create(
+        result.insertId,
+        { ...stop, sequence: index + 1 },
+        executor
+      ));
+    }
+
+    const createdItems = [];
+    for (const [index, item] of items.entries()) {
+      createdItems.push(await ShipmentItemModel.create(
+        result.insertId,
+        { ...item, line_number: index + 1 },
+        executor
+      ));
+    }
+
     return {
       id: result.insertId,
       tracking_number,
       origin_address,
       destination_address,
+      origin_latitude,
+      origin_longitude,
+      destination_latitude,
+      destination_longitude,
       driver_id,
       organization_id,
       status: 'pending',
       estimated_delivery,
-      notes
+      promised_window_start,
+      promised_window_end,
+      sla_policy,
+      priority,
+      notes,
+      delivery_pin,
+      template_id,
+      scheduled_for,
+      parent_shipment_id,
+      stops: createdStops,
+      items: createdItems
     };
   }
 
@@ -72,6 +251,90 @@ class ShipmentModel {
     return shipments.length > 0 ? shipments[0] : null;
   }
 
+  /**
+   * The parent a shipment was returned from and the returns raised against it, as summaries
+   */
+  static async findLinkedShipments(shipment) {
+    const query = `
+      SELECT id, tracking_number, status, parent_shipment_id, created_at
+      FROM shipments
+      WHERE id = ? OR parent_shipment_id = ?
+      ORDER BY id ASC
+    `;
+
+    const rows = await db.query(query, [shipment.parent_shipment_id, shipment.id]);
+    return {
+      parent: rows.find(row => row.id === shipment.parent_shipment_id) || null,
+      returns: rows.filter(row => row.parent_shipment_id === shipment.id)
+    };
+  }
+
+  /**
+   * Create the reverse shipment for a refused or returned delivery: origin and destination
+   * swapped, manifest copied, linked to the parent. A failed parent is closed as returned.
+   * returnData: { driver_id, estimated_delivery, notes, reason }
+   */
+  static async createReturn(parentId, returnData = {}, context = {}) {
+    return await db.transaction(async (tx) => {
+      const rows = await tx.query('SELECT * FROM shipments WHERE id = ? FOR UPDATE', [parentId]);
+      if (rows.length === 0) {
+        throw new AppError('Shipment not found', 404, 'SHIPMENT_NOT_FOUND');
+      }
+
+      const parent = rows[0];
+      if (!RETURNABLE_STATUSES.includes(parent.status)) {
+        throw new AppError(
+          `Only ${RETURNABLE_STATUSES.join(' or ')} shipments can be returned`,
+          409,
+          'SHIPMENT_NOT_RETURNABLE'
+        );
+      }
+
+      const existing = await tx.query(
+        `SELECT tracking_number FROM shipments WHERE parent_shipment_id = ? AND status <> 'cancelled' LIMIT 1`,
+        [parent.id]
+      );
+      if (existing.length > 0) {
+        throw new AppError(
+          `Shipment already has an open return (${existing[0].tracking_number})`,
+          409,
+          'RETURN_ALREADY_EXISTS'
+        );
+      }
+
+      const items = await ShipmentItemModel.findByShipment(parent.id, tx);
+      const reason = returnData.reason
+        ? `Return of ${parent.tracking_number}: ${returnData.reason}`
+        : `Return of ${parent.tracking_number}`;
+
+      const created = await this.create({
+        origin_address: parent.destination_address,
+        destination_address: parent.origin_address,
+        origin_latitude: parent.destination_latitude,
+        origin_longitude: parent.destination_longitude,
+        destination_latitude: parent.origin_latitude,
+        destination_longitude: parent.origin_longitude,
+        driver_id: returnData.driver_id || parent.driver_id,
+        organization_id: parent.organization_id,
+        estimated_delivery: returnData.estimated_delivery || null,
+        notes: returnData.notes ?? null,
+        items,
+        parent_shipment_id: parent.id,
+        created_by: context.changed_by || null,
+        source: context.source,
+        reason
+      }, tx);
+
+      // The goods now travel on the return, so the refused outbound leg is closed
+      if (parent.status === 'failed') {
+        await this.updateStatus(parent.id, 'returned', { ...context, reason }, tx);
+        await DeliveryAttemptModel.resolveLatest(parent.id, 'returned', context.changed_by || null, tx);
+      }
+
+      return created;
+    });
+  }
+
   static async findByTrackingNumber(trackingNumber, userRole = null, userId = null) {
     let query = `
       SELECT s.*, 
@@ -93,7 +356,13 @@ class ShipmentModel {
     return shipments.length > 0 ? shipments[0] : null;
   }
 
-  static async findAll(userRole = null, userId = null, organizationId = null) {
+  /**
+   * filters: { status, driver_id, created_from, created_to, delivered_from, delivered_to,
+   *            search, sort, order, cursor, limit }
+   * cursor is a keyset position ({ value, id }) from getCursor(), so pages stay stable
+   * while shipments are being created
+   */
+  static async findAll(userRole = null, userId = null, organizationId = null, filters = {}) {
     let query = `
       SELECT s.*, 
              u.name as driver_name, 
@@ -115,11 +384,219 @@ class ShipmentModel {
       params.push(organizationId);
     }
 
-    query += ' ORDER BY s.created_at DESC';
+    if (filters.status) {
+      query += ' AND s.status = ?';
+      params.push(filters.status);
+    }
+
+    if (filters.driver_id) {
+      query += ' AND s.driver_id = ?';
+      params.push(filters.driver_id);
+    }
+
+    if (filters.sla_status) {
+      query += ' AND s.sla_status = ?';
+      params.push(filters.sla_status);
+    }
+
+    if (filters.priority) {
+      query += ' AND s.priority = ?';
+      params.push(filters.priority);
+    }
+
+    if (filters.created_from) {
+      query += ' AND s.created_at >= ?';
+      params.push(filters.created_from);
+    }
+
+    if (filters.created_to) {
+      query += ' AND s.created_at <= ?';
+      params.push(filters.created_to);
+    }
+
+    if (filters.delivered_from) {
+      query += ' AND s.delivered_at >= ?';
+      params.push(filters.delivered_from);
+    }
+
+    if (filters.delivered_to) {
+      query += ' AND s.delivered_at <= ?';
+      params.push(filters.delivered_to);
+    }
+
+    if (filters.search) {
+      const term = `%${filters.search.replace(/[\\%_]/g, '\\$&')}%`;
+      query += `
+        AND (s.tracking_number LIKE ? OR s.origin_address LIKE ?
+             OR s.destination_address LIKE ? OR u.name LIKE ?)
+      `;
+      params.push(term, term, term, term);
+    }
+
+    const sortColumn = SORT_COLUMNS[filters.sort] || SORT_COLUMNS.created_at;
+    const direction = filters.order === 'asc' ? 'ASC' : 'DESC';
+    const comparator = direction === 'ASC' ? '>' : '<';
+
+    // Rows without a value for the sort key (only possible for ETA) always come last
+    if (filters.cursor && filters.cursor.value === null) {
+      query += ` AND ${sortColumn} IS NULL AND s.id ${comparator} ?`;
+      params.push(filters.cursor.id);
+    } else if (filters.cursor) {
+      query += ` AND (${sortColumn} ${comparator} ? OR (${sortColumn} = ? AND s.id ${comparator} ?) OR ${sortColumn} IS NULL)`;
+      params.push(filters.cursor.value, filters.cursor.value, filters.cursor.id);
+    }
+
+    query += ` ORDER BY ${sortColumn} IS NULL, ${sortColumn} ${direction}, s.id ${direction}`;
+
+    if (filters.limit) {
+      query += ' LIMIT ?';
+      params.push(filters.limit);
+    }
 
     return await db.query(query, params);
   }
 
+  static getCursor(shipment, sort = 'created_at') {
+    const key = SORT_COLUMNS[sort] ? sort : 'created_at';
+    return { value: shipment[key] ?? null, id: shipment.id };
+  }
+
+  // Cursors are opaque to clients and only valid for the sort they were issued with
+  static encodeCursor(cursor, sort = 'created_at') {
+    const value = cursor.value instanceof Date ? cursor.value.toISOString() : cursor.value;
+    return Buffer.from(JSON.stringify({ s: sort, v: value, id: cursor.id })).toString('base64url');
+  }
+
+  static decodeCursor(encoded, sort = 'created_at') {
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new AppError('Invalid cursor', 400, 'INVALID_CURSOR');
+    }
+
+    if (!decoded || decoded.s !== sort || !Number.isInteger(decoded.id)) {
+      throw new AppError('Cursor does not match the requested sort', 400, 'INVALID_CURSOR');
+    }
+
+    return {
+      value: decoded.v === null ? null : new Date(decoded.v),
+      id: decoded.id
+    };
+  }
+
+  static async countByStatus(userRole = null, userId = null, organizationId = null) {
+    let query = `
+      SELECT status, COUNT(*) as count
+      FROM shipments
+      WHERE 1=1
+    `;
+
+    const params = [];
+
+    if (userRole === 'driver') {
+      query += ' AND driver_id = ?';
+      params.push(userId);
+    }
+
+    if (organizationId) {
+      query += ' AND organization_id = ?';
+      params.push(organizationId);
+    }
+
+    query += ' GROUP BY status';
+
+    const rows = await db.query(query, params);
+    return rows.reduce((counts, row) => {
+      counts[row.status] = Number(row.count);
+      return counts;
+    }, {});
+  }
+
+  /**
+   * SLA counts plus the compliance rate: met / (met + breached) over delivered shipments
+   */
+  static async getSlaSummary(userRole = null, userId = null, organizationId = null) {
+    let query = `
+      SELECT sla_status, COUNT(*) as count
+      FROM shipments
+      WHERE sla_status IS NOT NULL
+    `;
+
+    const params = [];
+
+    if (userRole === 'driver') {
+      query += ' AND driver_id = ?';
+      params.push(userId);
+    }
+
+    if (organizationId) {
+      query += ' AND organization_id = ?';
+      params.push(organizationId);
+    }
+
+    query += ' GROUP BY sla_status';
+
+    const rows = await db.query(query, params);
+    const counts = Object.fromEntries(SLA_STATUSES.map(status => [status, 0]));
+    for (const row of rows) {
+      counts[row.sla_status] = Number(row.count);
+    }
+
+    const delivered = counts.met + counts.breached;
+    return {
+      ...counts,
+      compliance_rate: delivered > 0 ? Math.round((counts.met / delivered) * 1000) / 10 : null
+    };
+  }
+
+  /**
+   * Shipments the SLA evaluator still has to look at, in id order from afterId.
+   * Terminal shipments drop out once their final SLA status is recorded.
+   */
+  static async findForSlaEvaluation(afterId = 0, limit = 500) {
+    const query = `
+      SELECT id, status, organization_id, estimated_delivery, predicted_eta, delivered_at,
+             promised_window_start, promised_window_end, sla_policy, sla_status
+      FROM shipments
+      WHERE promised_window_end IS NOT NULL
+        AND id > ?
+        AND (
+          status NOT IN ('delivered', 'cancelled', 'returned')
+          OR (status = 'delivered' AND (sla_status IS NULL OR sla_status NOT IN ('met', 'breached')))
+          OR (status IN ('cancelled', 'returned') AND sla_status IS NOT NULL)
+        )
+      ORDER BY id ASC
+      LIMIT ?
+    `;
+
+    return await db.query(query, [afterId, limit]);
+  }
+
+  static async updateSlaStatus(shipmentId, slaStatus) {
+    // Evaluation is not an edit of the shipment, so updated_at is left alone
+    const query = `
+      UPDATE shipments 
+      SET sla_status = ?,
+          sla_evaluated_at = NOW(),
+          sla_breached_at = IF(? = 'breached', COALESCE(sla_breached_at, NOW()), sla_breached_at),
+          updated_at = updated_at
+      WHERE id = ?
+    `;
+
+    await db.query(query, [slaStatus, slaStatus, shipmentId]);
+  }
+
+  static deliveryWindowError(windowStart, windowEnd) {
+    if (windowStart && !windowEnd) {
+      return 'promised_window_end is required when promised_window_start is set';
+    }
+    if (windowStart && windowEnd && new Date(windowEnd) <= new Date(windowStart)) {
+      return 'promised_window_end must be after promised_window_start';
+    }
+    return null;
+  }
+
   static async findByDriverId(driverId) {
     const query = `
       SELECT s.*, 
@@ -128,42 +605,259 @@ class ShipmentModel {
       FROM shipments s
       LEFT JOIN users u ON s.driver_id = u.id
       WHERE s.driver_id = ?
-      ORDER BY s.created_at DESC
+      ORDER BY FIELD(s.priority, ${PRIORITIES.map(() => '?').join(', ')}), s.created_at DESC
     `;
 
-    return await db.query(query, [driverId]);
+    return await db.query(query, [driverId, ...PRIORITIES]);
   }
 
-  static async updateStatus(shipmentId, status) {
+  /**
+   * Move a shipment along its lifecycle and record who did it, when and from where.
+   * context: { changed_by, actor_role, source, reason, latitude, longitude, ip_address }
+   */
+  static async updateStatus(shipmentId, status, context = {}, executor = null) {
+    if (!executor) {
+      return await db.transaction((tx) => this.updateStatus(shipmentId, status, context, tx));
+    }
+
+    const rows = await executor.query(
+      'SELECT id, status FROM shipments WHERE id = ? FOR UPDATE',
+      [shipmentId]
+    );
+
+    if (rows.length === 0) {
+      throw new AppError('Shipment not found', 404, 'SHIPMENT_NOT_FOUND');
+    }
+
+    const fromStatus = rows[0].status;
+    this.assertTransition(fromStatus, status);
+
     const query = `
       UPDATE shipments 
       SET status = ?, updated_at = NOW()
       WHERE id = ?
     `;
 
-    const [result] = await db.query(query, [status, shipmentId]);
-    return result.affectedRows > 0;
+    await executor.query(query, [status, shipmentId]);
+
+    const event = await ShipmentStatusEventModel.create({
+      ...context,
+      shipment_id: rows[0].id,
+      from_status: fromStatus,
+      to_status: status
+    }, executor);
+
+    return event;
   }
 
-  static async updateTimestamp(shipmentId) {
+  static async update(shipmentId, updates) {
+    const fields = Object.keys(updates).filter(field => EDITABLE_FIELDS.includes(field));
+
+    if (fields.length === 0) {
+      return await this.findById(shipmentId);
+    }
+
+    const query = `
+      UPDATE shipments 
+      SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = NOW()
+      WHERE id = ?
+    `;
+
+    await db.query(query, [...fields.map(field => updates[field]), shipmentId]);
+    return await this.findById(shipmentId);
+  }
+
+  static async reassign(shipmentId, driverId, context = {}) {
+    await db.transaction(async (tx) => {
+      const rows = await tx.query(
+        'SELECT id, status, driver_id FROM shipments WHERE id = ? FOR UPDATE',
+        [shipmentId]
+      );
+
+      if (rows.length === 0) {
+        throw new AppError('Shipment not found', 404, 'SHIPMENT_NOT_FOUND');
+      }
+
+      const { status, driver_id: previousDriverId } = rows[0];
+
+      if (this.isTerminalStatus(status)) {
+        throw new AppError(`Cannot reassign a ${status} shipment`, 400, 'INVALID_STATUS');
+      }
+
+      if (previousDriverId === driverId) {
+        throw new AppError('Shipment is already assigned to this driver', 400, 'SAME_DRIVER');
+      }
+
+      // After a failed delivery attempt the new driver starts over from assigned
+      const nextStatus = status === 'failed' ? 'assigned' : status;
+
+      await tx.query(
+        'UPDATE shipments SET driver_id = ?, status = ?, updated_at = NOW() WHERE id = ?',
+        [driverId, nextStatus, shipmentId]
+      );
+
+      if (status === 'failed') {
+        await DeliveryAttemptModel.resolveLatest(shipmentId, 'reassigned', context.changed_by || null, tx);
+      }
+
+      // Custody changes are part of the shipment's history even though the status usually stays put
+      await ShipmentStatusEventModel.create({
+        ...context,
+        shipment_id: rows[0].id,
+        from_status: status,
+        to_status: nextStatus,
+        reason: `Reassigned from driver #${previousDriverId} to driver #${driverId}` +
+          (context.reason ? `: ${context.reason}` : '')
+      }, tx);
+    });
+
+    return await this.findById(shipmentId);
+  }
+
+  static async getStatusHistory(shipmentId) {
+    return await ShipmentStatusEventModel.findByShipment(shipmentId);
+  }
+
+  /**
+   * Store the latest smart tracking prediction; updated_at is left alone like other background writes
+   */
+  static async updatePrediction(shipmentId, prediction) {
+    const query = `
+      UPDATE shipments
+      SET predicted_eta = ?, eta_confidence = ?, risk_score = ?, updated_at = updated_at
+      WHERE id = ?
+    `;
+
+    await db.query(query, [
+      prediction.predicted_eta,
+      prediction.eta_confidence,
+      prediction.risk_score,
+      shipmentId
+    ]);
+  }
+
+  static async updateTimestamp(shipmentId, executor = db) {
     const query = `
       UPDATE shipments 
       SET updated_at = NOW()
       WHERE id = ?
     `;
 
-    await db.query(query, [shipmentId]);
+    await executor.query(query, [shipmentId]);
+  }
+
+  // driverId is null when an admin confirms on the driver's behalf
+  static async confirmDelivery(shipmentId, driverId, deliveryData, context = {}) {
+    const { delivery_notes = null, proof_of_delivery_url = null, stop_id = null, proofs = [] } = deliveryData;
+
+    const shipment = await this.findById(shipmentId);
+    this.assertDeliverable(shipment, driverId);
+
+    // Multi-stop shipments are delivered one stop at a time
+    const nextStop = await ShipmentStopModel.getNextPendingStop(shipmentId);
+    if (nextStop) {
+      return await this.completeStop(shipmentId, stop_id || nextStop.id, driverId, deliveryData, context);
+    }
+
+    const verification = await this.verifyDeliveryAuthorization(shipment, deliveryData, context);
+    const location = this.assessDeliveryLocation(
+      { latitude: shipment.destination_latitude, longitude: shipment.destination_longitude },
+      deliveryData.latitude,
+      deliveryData.longitude
+    );
+
+    return {
+      shipment: await this.markDelivered(shipmentId, {
+        delivery_notes,
+        proof_of_delivery_url,
+        proofs,
+        verification,
+        location
+      }, context),
+      completed_stop: null,
+      next_stop: null
+    };
   }
 
-  static async confirmDelivery(shipmentId, driverId, deliveryData) {
-    const { delivery_notes = null, proof_of_delivery_url = null } = deliveryData;
+  static async completeStop(shipmentId, stopId, driverId, completionData = {}, context = {}) {
+    const { delivery_notes = null, proof_of_delivery_url = null, proofs = [] } = completionData;
 
     const shipment = await this.findById(shipmentId);
+    this.assertDeliverable(shipment, driverId);
+
+    const stop = await ShipmentStopModel.findById(stopId);
+    if (!stop || stop.shipment_id !== shipment.id) {
+      throw new AppError('Stop not found', 404, 'STOP_NOT_FOUND');
+    }
+
+    if (stop.status === 'completed') {
+      throw new AppError('Stop already completed', 400, 'STOP_ALREADY_COMPLETED');
+    }
+
+    const nextStop = await ShipmentStopModel.getNextPendingStop(shipmentId);
+    if (nextStop.id !== stop.id) {
+      throw new AppError('Stops must be completed in order', 400, 'STOP_OUT_OF_ORDER');
+    }
+
+    // The final stop delivers the shipment, so it needs the recipient's PIN
+    const isFinalStop = (await ShipmentStopModel.findByShipment(shipmentId))
+      .every(other => other.id === stop.id || other.status === 'completed');
+    const verification = isFinalStop
+      ? await this.verifyDeliveryAuthorization(shipment, completionData, context)
+      : null;
+
+    // Completing the stop, its proofs and the delivery stand or fall together
+    const remainingStop = await db.transaction(async (tx) => {
+      await tx.query('SELECT id FROM shipments WHERE id = ? FOR UPDATE', [shipment.id]);
+
+      const completed = await ShipmentStopModel.complete(stop.id, { notes: delivery_notes }, tx);
+      if (!completed) {
+        throw new AppError('Stop already completed', 400, 'STOP_ALREADY_COMPLETED');
+      }
+
+      await this.saveProofs(shipmentId, stop.id, proofs, context, tx);
+
+      const remaining = await ShipmentStopModel.getNextPendingStop(shipmentId, tx);
+      if (remaining) {
+        await this.updateTimestamp(shipmentId, tx);
+        return remaining;
+      }
+
+      // A stop added since the PIN check would have kept this from being the final stop
+      if (!isFinalStop) {
+        throw new AppError('Stops changed while completing this one; try again', 409, 'STOPS_CHANGED');
+      }
+
+      await this.markDelivered(shipmentId, {
+        delivery_notes,
+        proof_of_delivery_url,
+        verification,
+        // Stops without coordinates of their own are checked against the shipment's destination
+        location: this.assessDeliveryLocation(
+          stop.latitude != null && stop.longitude != null
+            ? { latitude: stop.latitude, longitude: stop.longitude }
+            : { latitude: shipment.destination_latitude, longitude: shipment.destination_longitude },
+          completionData.latitude,
+          completionData.longitude
+        )
+      }, context, tx);
+
+      return null;
+    });
+
+    return {
+      shipment: await this.findById(shipmentId),
+      completed_stop: await ShipmentStopModel.findById(stop.id),
+      next_stop: remainingStop
+    };
+  }
+
+  static assertDeliverable(shipment, driverId) {
     if (!shipment) {
       throw new AppError('Shipment not found', 404, 'SHIPMENT_NOT_FOUND');
     }
 
-    if (shipment.driver_id !== driverId) {
+    if (driverId !== null && shipment.driver_id !== driverId) {
       throw new AppError('You can only confirm delivery for your assigned shipments', 403, 'SHIPMENT_ACCESS_DENIED');
     }
 
@@ -171,29 +865,299 @@ class ShipmentModel {
       throw new AppError('Shipment already delivered', 400, 'ALREADY_DELIVERED');
     }
 
-    if (shipment.status !== 'in_transit') {
+    if (!this.canTransition(shipment.status, 'delivered')) {
       throw new AppError('Shipment must be in transit before confirming delivery', 400, 'INVALID_STATUS');
     }
+  }
+
+  /**
+   * Within a caller's transaction (executor) nothing is returned; read the shipment after it commits
+   */
+  static async markDelivered(shipmentId, deliveryData, context = {}, executor = null) {
+    if (!executor) {
+      await db.transaction((tx) => this.markDelivered(shipmentId, deliveryData, context, tx));
+      return await this.findById(shipmentId);
+    }
+
+    const {
+      delivery_notes = null,
+      proof_of_delivery_url = null,
+      proofs = [],
+      verification = null,
+      location = { latitude: null, longitude: null, distance_meters: null, check: null }
+    } = deliveryData;
+
+    await this.updateStatus(shipmentId, 'delivered', {
+      source: 'driver_app',
+      ...context,
+      reason: context.reason || this.describeDelivery(verification, location)
+    }, executor);
 
     const query = `
       UPDATE shipments 
-      SET status = 'delivered',
-          delivered_at = NOW(),
+      SET delivered_at = NOW(),
           delivery_notes = ?,
           proof_of_delivery_url = ?,
+          delivery_verification = ?,
+          delivery_override_reason = ?,
+          delivery_latitude = ?,
+          delivery_longitude = ?,
+          delivery_distance_meters = ?,
+          delivery_location_check = ?,
           updated_at = NOW()
       WHERE id = ?
     `;
 
-    const result = await db.query(query, [delivery_notes, proof_of_delivery_url, shipmentId]);
-    
+    const result = await executor.query(query, [
+      delivery_notes,
+      proof_of_delivery_url,
+      verification ? verification.method : null,
+      verification ? verification.override_reason : null,
+      location.latitude,
+      location.longitude,
+      location.distance_meters,
+      location.check,
+      shipmentId
+    ]);
+
     if (result.affectedRows === 0) {
       throw new AppError('Failed to confirm delivery', 500, 'DELIVERY_CONFIRMATION_FAILED');
     }
 
+    await this.saveProofs(shipmentId, null, proofs, context, executor);
+  }
+
+  /**
+   * Check the recipient's PIN, or accept an admin override that states a reason.
+   * Wrong PINs count towards a lockout that only an admin override can get past.
+   */
+  static async verifyDeliveryAuthorization(shipment, deliveryData, context = {}) {
+    const { delivery_pin = null, override_reason = null } = deliveryData;
+
+    if (context.actor_role === 'admin') {
+      if (!override_reason || !override_reason.trim()) {
+        throw new AppError('An override reason is required to confirm delivery without the recipient PIN', 400, 'OVERRIDE_REASON_REQUIRED');
+      }
+      return { method: 'admin_override', override_reason: override_reason.trim() };
+    }
+
+    // Shipments created before PINs existed have nothing to check against
+    if (!shipment.delivery_pin) {
+      return null;
+    }
+
+    const { maxPinAttempts } = config.deliveryVerification;
+    if (shipment.delivery_pin_attempts >= maxPinAttempts) {
+      throw new AppError('Too many incorrect PIN attempts; ask dispatch to confirm this delivery', 429, 'PIN_ATTEMPTS_EXCEEDED');
+    }
+
+    if (!delivery_pin) {
+      throw new AppError('The recipient\'s delivery PIN is required', 400, 'DELIVERY_PIN_REQUIRED');
+    }
+
+    // Claim an attempt before comparing, in the same statement as the limit check,
+    // so parallel guesses cannot all slip in under the limit
+    const claimed = await db.query(
+      'UPDATE shipments SET delivery_pin_attempts = delivery_pin_attempts + 1 WHERE id = ? AND delivery_pin_attempts < ?',
+      [shipment.id, maxPinAttempts]
+    );
+    if (claimed.affectedRows === 0) {
+      throw new AppError('Too many incorrect PIN attempts; ask dispatch to confirm this delivery', 429, 'PIN_ATTEMPTS_EXCEEDED');
+    }
+
+    const expected = Buffer.from(shipment.delivery_pin);
+    const given = Buffer.from(String(delivery_pin));
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      const [row] = await db.query('SELECT delivery_pin_attempts FROM shipments WHERE id = ?', [shipment.id]);
+      const remaining = Math.max(maxPinAttempts - row.delivery_pin_attempts, 0);
+      throw new AppError(`Incorrect delivery PIN (${remaining} attempts remaining)`, 400, 'INVALID_DELIVERY_PIN');
+    }
+
+    // Only wrong PINs count towards the lockout
+    await db.query(
+      'UPDATE shipments SET delivery_pin_attempts = GREATEST(delivery_pin_attempts - 1, 0) WHERE id = ?',
+      [shipment.id]
+    );
+
+    return { method: 'pin', override_reason: null };
+  }
+
+  /**
+   * Compare where delivery was confirmed with the coordinates it should have happened at
+   * (destination is { latitude, longitude }: the shipment's destination or the final stop)
+   */
+  static assessDeliveryLocation(destination, latitude, longitude) {
+    if (latitude == null || longitude == null) {
+      return { latitude: null, longitude: null, distance_meters: null, check: 'no_location' };
+    }
+
+    if (destination.latitude == null || destination.longitude == null) {
+      return { latitude, longitude, distance_meters: null, check: 'no_destination' };
+    }
+
+    const distance = Math.round(calculateDistance(
+      latitude,
+      longitude,
+      parseFloat(destination.latitude),
+      parseFloat(destination.longitude)
+    ));
+
+    return {
+      latitude,
+      longitude,
+      distance_meters: distance,
+      check: distance > config.deliveryVerification.maxDistanceMeters ? 'too_far' : 'ok'
+    };
+  }
+
+  static describeDelivery(verification, location) {
+    const parts = ['Delivery confirmed'];
+
+    if (verification && verification.method === 'admin_override') {
+      parts.push(`by admin override: ${verification.override_reason}`);
+    }
+
+    if (location.check === 'too_far') {
+      parts.push(`(${location.distance_meters}m from destination)`);
+    }
+
+    return parts.join(' ');
+  }
+
+  static assertAttemptable(shipment, driverId) {
+    if (!shipment) {
+      throw new AppError('Shipment not found', 404, 'SHIPMENT_NOT_FOUND');
+    }
+
+    if (driverId !== null && shipment.driver_id !== driverId) {
+      throw new AppError('You can only record attempts for your assigned shipments', 403, 'SHIPMENT_ACCESS_DENIED');
+    }
+
+    if (!this.canTransition(shipment.status, 'failed')) {
+      throw new AppError(`Cannot record a failed attempt for a ${shipment.status} shipment`, 409, 'INVALID_STATUS');
+    }
+  }
+
+  /**
+   * Record a failed delivery attempt and move the shipment to failed until dispatch
+   * reschedules, returns or reassigns it.
+   * attemptData: { reason_code, notes, latitude, longitude, stop_id, proofs }
+   */
+  static async recordFailedAttempt(shipmentId, driverId, attemptData, context = {}) {
+    const { reason_code, notes = null, latitude = null, longitude = null, proofs = [] } = attemptData;
+
+    const shipment = await this.findById(shipmentId);
+    this.assertAttemptable(shipment, driverId);
+
+    if (attemptData.stop_id) {
+      const stop = await ShipmentStopModel.findById(attemptData.stop_id);
+      if (!stop || stop.shipment_id !== shipment.id) {
+        throw new AppError('Stop not found', 404, 'STOP_NOT_FOUND');
+      }
+    }
+
+    // On multi-stop shipments the attempt belongs to the stop being delivered
+    const nextStop = await ShipmentStopModel.getNextPendingStop(shipmentId);
+    const stopId = attemptData.stop_id || (nextStop ? nextStop.id : null);
+
+    return await db.transaction(async (tx) => {
+      const rows = await tx.query(
+        'SELECT failed_attempts FROM shipments WHERE id = ? FOR UPDATE',
+        [shipment.id]
+      );
+      const attemptNumber = rows[0].failed_attempts + 1;
+
+      await this.updateStatus(shipment.id, 'failed', {
+        source: 'driver_app',
+        ...context,
+        latitude,
+        longitude,
+        reason: `Delivery attempt ${attemptNumber} failed: ${reason_code.replace(/_/g, ' ')}` +
+          (notes ? ` (${notes})` : '')
+      }, tx);
+
+      await tx.query(
+        'UPDATE shipments SET failed_attempts = ?, updated_at = NOW() WHERE id = ?',
+        [attemptNumber, shipment.id]
+      );
+
+      const attempt = await DeliveryAttemptModel.create({
+        shipment_id: shipment.id,
+        stop_id: stopId,
+        attempt_number: attemptNumber,
+        driver_id: shipment.driver_id,
+        reason_code,
+        notes,
+        latitude,
+        longitude
+      }, tx);
+
+      await this.saveProofs(
+        shipment.id,
+        stopId,
+        proofs.map(proof => ({ ...proof, attempt_id: attempt.id })),
+        context,
+        tx
+      );
+
+      return attempt;
+    });
+  }
+
+  /**
+   * Put a failed shipment back on the driver's list, optionally with a new ETA and window
+   * rescheduleData: { estimated_delivery, promised_window_start, promised_window_end, sla_policy }
+   */
+  static async reschedule(shipmentId, rescheduleData = {}, context = {}) {
+    await db.transaction(async (tx) => {
+      const rows = await tx.query('SELECT id, status FROM shipments WHERE id = ? FOR UPDATE', [shipmentId]);
+      if (rows.length === 0) {
+        throw new AppError('Shipment not found', 404, 'SHIPMENT_NOT_FOUND');
+      }
+
+      if (rows[0].status !== 'failed') {
+        throw new AppError('Only shipments with a failed delivery attempt can be rescheduled', 409, 'SHIPMENT_NOT_FAILED');
+      }
+
+      await this.updateStatus(shipmentId, 'assigned', {
+        ...context,
+        reason: context.reason ? `Rescheduled: ${context.reason}` : 'Rescheduled after failed delivery attempt'
+      }, tx);
+
+      const fields = ['estimated_delivery', 'promised_window_start', 'promised_window_end', 'sla_policy']
+        .filter(field => rescheduleData[field] !== undefined);
+      if (fields.length > 0) {
+        await tx.query(
+          `UPDATE shipments SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = NOW() WHERE id = ?`,
+          [...fields.map(field => rescheduleData[field]), shipmentId]
+        );
+      }
+
+      await DeliveryAttemptModel.resolveLatest(shipmentId, 'rescheduled', context.changed_by || null, tx);
+    });
+
     return await this.findById(shipmentId);
   }
 
+  static async getDeliveryAttempts(shipmentId) {
+    return await DeliveryAttemptModel.findByShipment(shipmentId);
+  }
+
+  static async saveProofs(shipmentId, stopId, proofs, context = {}, executor = db) {
+    for (const proof of proofs) {
+      await DeliveryProofModel.create({
+        ...proof,
+        shipment_id: shipmentId,
+        stop_id: stopId,
+        uploaded_by: context.changed_by || null
+      }, executor);
+    }
+  }
+
+  static async getDeliveryProofs(shipmentId) {
+    return await DeliveryProofModel.findByShipment(shipmentId);
+  }
+
   static async getFirstTrackingUpdate(shipmentId) {
     const query = `
       SELECT recorded_at
@@ -215,23 +1179,57 @@ class ShipmentModel {
         tracking_number VARCHAR(20) UNIQUE NOT NULL,
         origin_address TEXT NOT NULL,
         destination_address TEXT NOT NULL,
+        origin_latitude DECIMAL(10, 8) NULL,
+        origin_longitude DECIMAL(11, 8) NULL,
+        destination_latitude DECIMAL(10, 8) NULL,
+        destination_longitude DECIMAL(11, 8) NULL,
         driver_id INT NOT NULL,
         organization_id INT NULL,
-        status ENUM('pending', 'in_transit', 'delivered', 'cancelled') DEFAULT 'pending',
+        status ENUM('pending', 'assigned', 'picked_up', 'in_transit', 'arriving', 'delivered', 'failed', 'cancelled', 'returned') DEFAULT 'pending',
         estimated_delivery TIMESTAMP NULL,
+        predicted_eta TIMESTAMP NULL,
+        eta_confidence ENUM('low', 'medium', 'high') DEFAULT 'low',
+        risk_score DECIMAL(5, 2) DEFAULT 0.00,
+        smart_recommendations_enabled BOOLEAN DEFAULT TRUE,
+        promised_window_start TIMESTAMP NULL,
+        promised_window_end TIMESTAMP NULL,
+        sla_policy VARCHAR(30) NULL,
+        priority ENUM('standard', 'express', 'critical') NOT NULL DEFAULT 'standard',
+        sla_status ENUM('on_track', 'at_risk', 'breached', 'met') NULL,
+        sla_evaluated_at TIMESTAMP NULL,
+        sla_breached_at TIMESTAMP NULL,
         delivered_at TIMESTAMP NULL,
         delivery_notes TEXT NULL,
         proof_of_delivery_url VARCHAR(255) NULL,
+        delivery_pin VARCHAR(6) NULL,
+        delivery_pin_attempts INT NOT NULL DEFAULT 0,
+        delivery_verification ENUM('pin', 'admin_override') NULL,
+        delivery_override_reason TEXT NULL,
+        delivery_latitude DECIMAL(10, 8) NULL,
+        delivery_longitude DECIMAL(11, 8) NULL,
+        delivery_distance_meters INT NULL,
+        delivery_location_check ENUM('ok', 'too_far', 'no_location', 'no_destination') NULL,
+        chain_head_hash CHAR(64) NULL,
+        chain_length INT NOT NULL DEFAULT 0,
+        failed_attempts INT NOT NULL DEFAULT 0,
+        template_id INT NULL,
+        scheduled_for TIMESTAMP NULL,
+        parent_shipment_id INT NULL,
         notes TEXT NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         FOREIGN KEY (driver_id) REFERENCES users(id) ON DELETE RESTRICT,
         FOREIGN KEY (organization_id) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (parent_shipment_id) REFERENCES shipments(id) ON DELETE SET NULL,
         INDEX idx_tracking_number (tracking_number),
         INDEX idx_driver_id (driver_id),
         INDEX idx_status (status),
         INDEX idx_organization_id (organization_id),
-        INDEX idx_created_at (created_at)
+        INDEX idx_created_at (created_at),
+        INDEX idx_sla_status (sla_status),
+        INDEX idx_priority (priority),
+        INDEX idx_promised_window_end (promised_window_end),
+        UNIQUE KEY unique_template_occurrence (template_id, scheduled_for)
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
     `;
 
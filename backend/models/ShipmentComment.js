@@ -0,0 +1,124 @@
+const db = require('../config/database');
+
+class ShipmentCommentModel {
+  static async create(commentData) {
+    const {
+      shipment_id,
+      author_id,
+      author_role,
+      parent_id = null,
+      body
+    } = commentData;
+
+    const query = `
+      INSERT INTO shipment_comments (
+        shipment_id, parent_id, author_id, author_role, body, created_at
+      ) VALUES (?, ?, ?, ?, ?, NOW())
+    `;
+
+    const result = await db.query(query, [shipment_id, parent_id, author_id, author_role, body]);
+    return await this.findById(result.insertId);
+  }
+
+  static async findById(commentId) {
+    const query = `
+      SELECT c.*, u.name as author_name
+      FROM shipment_comments c
+      LEFT JOIN users u ON c.author_id = u.id
+      WHERE c.id = ?
+      LIMIT 1
+    `;
+
+    const comments = await db.query(query, [commentId]);
+    return comments.length > 0 ? comments[0] : null;
+  }
+
+  static async findByShipment(shipmentId) {
+    const query = `
+      SELECT c.*, u.name as author_name
+      FROM shipment_comments c
+      LEFT JOIN users u ON c.author_id = u.id
+      WHERE c.shipment_id = ?
+      ORDER BY c.id ASC
+    `;
+
+    return await db.query(query, [shipmentId]);
+  }
+
+  /**
+   * Move the user's read marker forward; it never moves back
+   */
+  static async markRead(shipmentId, userId, lastCommentId) {
+    const query = `
+      INSERT INTO shipment_comment_reads (shipment_id, user_id, last_read_comment_id, updated_at)
+      VALUES (?, ?, ?, NOW())
+      ON DUPLICATE KEY UPDATE
+        last_read_comment_id = GREATEST(last_read_comment_id, VALUES(last_read_comment_id)),
+        updated_at = NOW()
+    `;
+
+    await db.query(query, [shipmentId, userId, lastCommentId]);
+  }
+
+  /**
+   * Comments by others that the user has not read yet, per shipment id
+   */
+  static async countUnread(userId, shipmentIds) {
+    const counts = new Map(shipmentIds.map(id => [id, 0]));
+    if (shipmentIds.length === 0) {
+      return counts;
+    }
+
+    const query = `
+      SELECT c.shipment_id, COUNT(*) as unread
+      FROM shipment_comments c
+      LEFT JOIN shipment_comment_reads r
+        ON r.shipment_id = c.shipment_id AND r.user_id = ?
+      WHERE c.shipment_id IN (${shipmentIds.map(() => '?').join(', ')})
+        AND c.author_id <> ?
+        AND c.id > COALESCE(r.last_read_comment_id, 0)
+      GROUP BY c.shipment_id
+    `;
+
+    const rows = await db.query(query, [userId, ...shipmentIds, userId]);
+    for (const row of rows) {
+      counts.set(row.shipment_id, Number(row.unread));
+    }
+    return counts;
+  }
+
+  static async createTable() {
+    const commentsQuery = `
+      CREATE TABLE IF NOT EXISTS shipment_comments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        shipment_id INT NOT NULL,
+        parent_id INT NULL,
+        author_id INT NOT NULL,
+        author_role VARCHAR(20) NOT NULL,
+        body TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (shipment_id) REFERENCES shipments(id) ON DELETE CASCADE,
+        FOREIGN KEY (parent_id) REFERENCES shipment_comments(id) ON DELETE CASCADE,
+        FOREIGN KEY (author_id) REFERENCES users(id),
+        INDEX idx_shipment_comments (shipment_id, id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+
+    const readsQuery = `
+      CREATE TABLE IF NOT EXISTS shipment_comment_reads (
+        shipment_id INT NOT NULL,
+        user_id INT NOT NULL,
+        last_read_comment_id INT NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (shipment_id, user_id),
+        FOREIGN KEY (shipment_id) REFERENCES shipments(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+
+    await db.query(commentsQuery);
+    await db.query(readsQuery);
+  }
+}
+
+module.exports = ShipmentCommentModel;
@@ -0,0 +1,157 @@
+const db = require('../config/database');
+
+// Weight, dimensions and declared value are per unit; totals multiply by quantity
+class ShipmentItemModel {
+  static async create(shipmentId, itemData, executor = db) {
+    const {
+      line_number,
+      sku = null,
+      description,
+      quantity = 1,
+      weight_kg = null,
+      length_cm = null,
+      width_cm = null,
+      height_cm = null,
+      declared_value = null
+    } = itemData;
+
+    const query = `
+      INSERT INTO shipment_items (
+        shipment_id, line_number, sku, description, quantity, weight_kg,
+        length_cm, width_cm, height_cm, declared_value, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+    `;
+
+    const result = await executor.query(query, [
+      shipmentId,
+      line_number,
+      sku,
+      description,
+      quantity,
+      weight_kg,
+      length_cm,
+      width_cm,
+      height_cm,
+      declared_value
+    ]);
+
+    return {
+      id: result.insertId,
+      shipment_id: shipmentId,
+      line_number,
+      sku,
+      description,
+      quantity,
+      weight_kg,
+      length_cm,
+      width_cm,
+      height_cm,
+      declared_value
+    };
+  }
+
+  static async findByShipment(shipmentId, executor = db) {
+    const query = `
+      SELECT *
+      FROM shipment_items
+      WHERE shipment_id = ?
+      ORDER BY line_number ASC
+    `;
+
+    return await executor.query(query, [shipmentId]);
+  }
+
+  /**
+   * Items for several shipments at once, grouped by shipment id
+   */
+  static async findByShipments(shipmentIds) {
+    const grouped = new Map(shipmentIds.map(id => [id, []]));
+    if (shipmentIds.length === 0) {
+      return grouped;
+    }
+
+    const query = `
+      SELECT *
+      FROM shipment_items
+      WHERE shipment_id IN (${shipmentIds.map(() => '?').join(', ')})
+      ORDER BY shipment_id ASC, line_number ASC
+    `;
+
+    const items = await db.query(query, shipmentIds);
+    for (const item of items) {
+      grouped.get(item.shipment_id).push(item);
+    }
+    return grouped;
+  }
+
+  /**
+   * Manifest totals. Items missing a weight, dimension or value are left out of that total
+   * and counted so the reader knows the figure is incomplete.
+   */
+  static summarize(items) {
+    const totals = {
+      line_count: items.length,
+      total_quantity: 0,
+      total_weight_kg: 0,
+      total_volume_m3: 0,
+      total_declared_value: 0,
+      lines_without_weight: 0,
+      lines_without_dimensions: 0,
+      lines_without_value: 0
+    };
+
+    for (const item of items) {
+      const quantity = Number(item.quantity);
+      totals.total_quantity += quantity;
+
+      if (item.weight_kg == null) {
+        totals.lines_without_weight++;
+      } else {
+        totals.total_weight_kg += quantity * Number(item.weight_kg);
+      }
+
+      if (item.length_cm == null || item.width_cm == null || item.height_cm == null) {
+        totals.lines_without_dimensions++;
+      } else {
+        totals.total_volume_m3 += quantity * Number(item.length_cm) * Number(item.width_cm) * Number(item.height_cm) / 1e6;
+      }
+
+      if (item.declared_value == null) {
+        totals.lines_without_value++;
+      } else {
+        totals.total_declared_value += quantity * Number(item.declared_value);
+      }
+    }
+
+    totals.total_weight_kg = Math.round(totals.total_weight_kg * 1000) / 1000;
+    totals.total_volume_m3 = Math.round(totals.total_volume_m3 * 1000) / 1000;
+    totals.total_declared_value = Math.round(totals.total_declared_value * 100) / 100;
+    return totals;
+  }
+
+  static async createTable() {
+    const query = `
+      CREATE TABLE IF NOT EXISTS shipment_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        shipment_id INT NOT NULL,
+        line_number INT NOT NULL,
+        sku VARCHAR(64) NULL,
+        description VARCHAR(500) NOT NULL,
+        quantity INT NOT NULL DEFAULT 1,
+        weight_kg DECIMAL(10, 3) NULL,
+        length_cm DECIMAL(8, 2) NULL,
+        width_cm DECIMAL(8, 2) NULL,
+        height_cm DECIMAL(8, 2) NULL,
+        declared_value DECIMAL(12, 2) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (shipment_id) REFERENCES shipments(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_shipment_line (shipment_id, line_number),
+        INDEX idx_sku (sku)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+
+    await db.query(query);
+  }
+}
+
+module.exports = ShipmentItemModel;
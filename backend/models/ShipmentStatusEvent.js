@@ -0,0 +1,143 @@
+const db = require('../config/database');
+const CustodyChainModel = require('./CustodyChain');
+const { toDecimalString, chainTimestamp } = require('../utils/hashChain');
+
+class ShipmentStatusEventModel {
+  static async create(eventData, executor = db) {
+    // Chaining locks the shipment row, which needs a transaction
+    if (executor === db) {
+      return await db.transaction((tx) => this.create(eventData, tx));
+    }
+
+    const {
+      shipment_id,
+      from_status = null,
+      to_status,
+      changed_by = null,
+      actor_role = null,
+      source = 'system',
+      reason = null,
+      latitude = null,
+      longitude = null,
+      ip_address = null
+    } = eventData;
+
+    const record = {
+      shipment_id,
+      from_status,
+      to_status,
+      changed_by,
+      actor_role,
+      source,
+      reason,
+      latitude: toDecimalString(latitude, 8),
+      longitude: toDecimalString(longitude, 8),
+      ip_address,
+      created_at: chainTimestamp()
+    };
+
+    const link = await CustodyChainModel.link(shipment_id, 'status_event', record, executor);
+
+    const query = `
+      INSERT INTO shipment_status_events (
+        shipment_id, from_status, to_status, changed_by, actor_role, source,
+        reason, latitude, longitude, ip_address, created_at,
+        chain_seq, previous_hash, record_hash
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const result = await executor.query(query, [
+      record.shipment_id,
+      record.from_status,
+      record.to_status,
+      record.changed_by,
+      record.actor_role,
+      record.source,
+      record.reason,
+      record.latitude,
+      record.longitude,
+      record.ip_address,
+      record.created_at,
+      link.chain_seq,
+      link.previous_hash,
+      link.record_hash
+    ]);
+
+    return {
+      id: result.insertId,
+      shipment_id,
+      from_status,
+      to_status,
+      changed_by,
+      actor_role,
+      source,
+      reason,
+      latitude,
+      longitude,
+      created_at: record.created_at,
+      ...link
+    };
+  }
+
+  static async findByShipment(shipmentId) {
+    const query = `
+      SELECT e.*,
+             u.name as changed_by_name
+      FROM shipment_status_events e
+      LEFT JOIN users u ON e.changed_by = u.id
+      WHERE e.shipment_id = ?
+      ORDER BY e.created_at ASC, e.id ASC
+    `;
+
+    return await db.query(query, [shipmentId]);
+  }
+
+  static async findChainedByShipment(shipmentId) {
+    const query = `
+      SELECT *
+      FROM shipment_status_events
+      WHERE shipment_id = ? AND chain_seq IS NOT NULL
+      ORDER BY chain_seq ASC
+    `;
+
+    return await db.query(query, [shipmentId]);
+  }
+
+  static async countUnchained(shipmentId) {
+    const rows = await db.query(
+      'SELECT COUNT(*) as count FROM shipment_status_events WHERE shipment_id = ? AND chain_seq IS NULL',
+      [shipmentId]
+    );
+    return Number(rows[0].count);
+  }
+
+  static async createTable() {
+    const query = `
+      CREATE TABLE IF NOT EXISTS shipment_status_events (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        shipment_id INT NOT NULL,
+        from_status VARCHAR(20) NULL,
+        to_status VARCHAR(20) NOT NULL,
+        changed_by INT NULL,
+        actor_role VARCHAR(20) NULL,
+        source VARCHAR(30) NOT NULL DEFAULT 'system',
+        reason TEXT NULL,
+        latitude DECIMAL(10, 8) NULL,
+        longitude DECIMAL(11, 8) NULL,
+        ip_address VARCHAR(45) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        chain_seq INT NULL,
+        previous_hash CHAR(64) NULL,
+        record_hash CHAR(64) NULL,
+        FOREIGN KEY (shipment_id) REFERENCES shipments(id) ON DELETE CASCADE,
+        FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_shipment_created (shipment_id, created_at),
+        UNIQUE KEY uniq_shipment_chain_seq (shipment_id, chain_seq)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+
+    await db.query(query);
+  }
+}
+
+module.exports = ShipmentStatusEventModel;
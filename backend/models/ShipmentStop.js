@@ -0,0 +1,195 @@
+const db = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+
+class ShipmentStopModel {
+  static async create(shipmentId, stopData, executor = null) {
+    // Hold the shipment row so concurrent adds cannot both take the same next sequence
+    if (!executor) {
+      return await db.transaction(async (tx) => {
+        await this.lockShipment(shipmentId, tx);
+        return await this.create(shipmentId, stopData, tx);
+      });
+    }
+
+    const {
+      stop_type = 'dropoff',
+      address,
+      latitude = null,
+      longitude = null,
+      window_start = null,
+      window_end = null,
+      notes = null
+    } = stopData;
+
+    const sequence = stopData.sequence || await this.getNextSequence(shipmentId, executor);
+
+    const query = `
+      INSERT INTO shipment_stops (
+        shipment_id, sequence, stop_type, address, latitude, longitude,
+        window_start, window_end, status, notes, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, NOW(), NOW())
+    `;
+
+    const result = await executor.query(query, [
+      shipmentId,
+      sequence,
+      stop_type,
+      address,
+      latitude,
+      longitude,
+      window_start,
+      window_end,
+      notes
+    ]);
+
+    return {
+      id: result.insertId,
+      shipment_id: shipmentId,
+      sequence,
+      stop_type,
+      address,
+      latitude,
+      longitude,
+      window_start,
+      window_end,
+      status: 'pending',
+      notes
+    };
+  }
+
+  static async findById(stopId) {
+    const query = `
+      SELECT *
+      FROM shipment_stops
+      WHERE id = ?
+      LIMIT 1
+    `;
+
+    const stops = await db.query(query, [stopId]);
+    return stops.length > 0 ? stops[0] : null;
+  }
+
+  static async findByShipment(shipmentId, executor = db) {
+    const query = `
+      SELECT *
+      FROM shipment_stops
+      WHERE shipment_id = ?
+      ORDER BY sequence ASC
+    `;
+
+    return await executor.query(query, [shipmentId]);
+  }
+
+  static async lockShipment(shipmentId, executor) {
+    const rows = await executor.query('SELECT id FROM shipments WHERE id = ? FOR UPDATE', [shipmentId]);
+    if (rows.length === 0) {
+      throw new AppError('Shipment not found', 404, 'SHIPMENT_NOT_FOUND');
+    }
+  }
+
+  static async getNextPendingStop(shipmentId, executor = db) {
+    const query = `
+      SELECT *
+      FROM shipment_stops
+      WHERE shipment_id = ? AND status = 'pending'
+      ORDER BY sequence ASC
+      LIMIT 1
+    `;
+
+    const stops = await executor.query(query, [shipmentId]);
+    return stops.length > 0 ? stops[0] : null;
+  }
+
+  static async getNextSequence(shipmentId, executor = db) {
+    const query = `
+      SELECT COALESCE(MAX(sequence), 0) + 1 as next_sequence
+      FROM shipment_stops
+      WHERE shipment_id = ?
+    `;
+
+    const results = await executor.query(query, [shipmentId]);
+    return results[0].next_sequence;
+  }
+
+  static async reorder(shipmentId, stopIds) {
+    await db.transaction(async (tx) => {
+      // Check the order against the stops as they are once no other add or reorder can change them
+      await this.lockShipment(shipmentId, tx);
+      const stops = await this.findByShipment(shipmentId, tx);
+
+      const existingIds = stops.map(stop => stop.id).sort((a, b) => a - b);
+      const requestedIds = [...stopIds].sort((a, b) => a - b);
+
+      if (existingIds.length !== requestedIds.length ||
+          existingIds.some((id, index) => id !== requestedIds[index])) {
+        throw new AppError('stop_ids must list every stop of the shipment exactly once', 400, 'INVALID_STOP_ORDER');
+      }
+
+      const completed = stops.filter(stop => stop.status !== 'pending');
+      const completedInPlace = completed.every(stop => stopIds.indexOf(stop.id) === stop.sequence - 1);
+      if (!completedInPlace) {
+        throw new AppError('Completed stops cannot be moved', 400, 'STOP_ALREADY_COMPLETED');
+      }
+
+      // Shift out of the way first so the unique (shipment_id, sequence) key never collides
+      await tx.query(
+        'UPDATE shipment_stops SET sequence = sequence + 1000 WHERE shipment_id = ?',
+        [shipmentId]
+      );
+
+      for (const [index, stopId] of stopIds.entries()) {
+        await tx.query(
+          'UPDATE shipment_stops SET sequence = ?, updated_at = NOW() WHERE id = ? AND shipment_id = ?',
+          [index + 1, stopId, shipmentId]
+        );
+      }
+    });
+
+    return await this.findByShipment(shipmentId);
+  }
+
+  static async complete(stopId, completionData = {}, executor = db) {
+    const { notes = null } = completionData;
+
+    const query = `
+      UPDATE shipment_stops
+      SET status = 'completed',
+          completed_at = NOW(),
+          completion_notes = ?,
+          updated_at = NOW()
+      WHERE id = ? AND status = 'pending'
+    `;
+
+    const result = await executor.query(query, [notes, stopId]);
+    return result.affectedRows > 0;
+  }
+
+  static async createTable() {
+    const query = `
+      CREATE TABLE IF NOT EXISTS shipment_stops (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        shipment_id INT NOT NULL,
+        sequence INT NOT NULL,
+        stop_type ENUM('pickup', 'dropoff') NOT NULL DEFAULT 'dropoff',
+        address TEXT NOT NULL,
+        latitude DECIMAL(10, 8) NULL,
+        longitude DECIMAL(11, 8) NULL,
+        window_start TIMESTAMP NULL,
+        window_end TIMESTAMP NULL,
+        status ENUM('pending', 'completed') DEFAULT 'pending',
+        notes TEXT NULL,
+        completion_notes TEXT NULL,
+        completed_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (shipment_id) REFERENCES shipments(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_shipment_sequence (shipment_id, sequence),
+        INDEX idx_shipment_status (shipment_id, status)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+
+    await db.query(query);
+  }
+}
+
+module.exports = ShipmentStopModel;
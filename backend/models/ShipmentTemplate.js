@@ -0,0 +1,297 @@
+const db = require('../config/database');
+
+const TEMPLATE_STATUSES = ['active', 'paused'];
+
+// Fields an admin can set on create and change later
+const EDITABLE_FIELDS = [
+  'name',
+  'origin_address',
+  'destination_address',
+  'origin_latitude',
+  'origin_longitude',
+  'destination_latitude',
+  'destination_longitude',
+  'driver_id',
+  'notes',
+  'frequency',
+  'weekdays',
+  'day_of_month',
+  'time_of_day',
+  'delivery_offset_minutes',
+  'starts_on',
+  'ends_on'
+];
+
+// Changing any of these moves the next occurrence
+const RULE_FIELDS = ['frequency', 'weekdays', 'day_of_month', 'time_of_day', 'starts_on', 'ends_on'];
+
+// DATE columns come back as strings so they are not shifted by the connection time zone
+const SELECT_COLUMNS = `
+  t.*,
+  DATE_FORMAT(t.starts_on, '%Y-%m-%d') as starts_on,
+  DATE_FORMAT(t.ends_on, '%Y-%m-%d') as ends_on,
+  u.name as driver_name
+`;
+
+class ShipmentTemplateModel {
+  static get STATUSES() {
+    return TEMPLATE_STATUSES;
+  }
+
+  static get EDITABLE_FIELDS() {
+    return EDITABLE_FIELDS;
+  }
+
+  static get RULE_FIELDS() {
+    return RULE_FIELDS;
+  }
+
+  static async create(templateData) {
+    const {
+      name,
+      origin_address,
+      destination_address,
+      origin_latitude = null,
+      origin_longitude = null,
+      destination_latitude = null,
+      destination_longitude = null,
+      driver_id,
+      organization_id = null,
+      notes = null,
+      frequency,
+      weekdays = null,
+      day_of_month = null,
+      time_of_day,
+      delivery_offset_minutes = null,
+      starts_on = null,
+      ends_on = null,
+      next_occurrence_at,
+      created_by = null
+    } = templateData;
+
+    const query = `
+      INSERT INTO shipment_templates (
+        name, origin_address, destination_address,
+        origin_latitude, origin_longitude, destination_latitude, destination_longitude,
+        driver_id, organization_id, notes, frequency, weekdays, day_of_month, time_of_day,
+        delivery_offset_minutes, starts_on, ends_on, status, next_occurrence_at,
+        created_by, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'active', ?, ?, NOW(), NOW())
+    `;
+
+    const result = await db.query(query, [
+      name,
+      origin_address,
+      destination_address,
+      origin_latitude,
+      origin_longitude,
+      destination_latitude,
+      destination_longitude,
+      driver_id,
+      organization_id,
+      notes,
+      frequency,
+      this.serializeWeekdays(weekdays),
+      day_of_month,
+      time_of_day,
+      delivery_offset_minutes,
+      starts_on,
+      ends_on,
+      next_occurrence_at,
+      created_by
+    ]);
+
+    return await this.findById(result.insertId);
+  }
+
+  static async findById(id) {
+    const query = `
+      SELECT ${SELECT_COLUMNS}
+      FROM shipment_templates t
+      LEFT JOIN users u ON t.driver_id = u.id
+      WHERE t.id = ?
+      LIMIT 1
+    `;
+
+    const templates = await db.query(query, [id]);
+    return templates.length > 0 ? templates[0] : null;
+  }
+
+  static async findAll(organizationId = null) {
+    let query = `
+      SELECT ${SELECT_COLUMNS}
+      FROM shipment_templates t
+      LEFT JOIN users u ON t.driver_id = u.id
+    `;
+
+    const params = [];
+
+    if (organizationId) {
+      query += ' WHERE t.organization_id = ?';
+      params.push(organizationId);
+    }
+
+    query += ' ORDER BY t.name ASC, t.id ASC';
+
+    return await db.query(query, params);
+  }
+
+  /**
+   * Active templates whose next occurrence falls before the scheduling horizon
+   */
+  static async findDue(horizon, limit = 100) {
+    const query = `
+      SELECT id
+      FROM shipment_templates
+      WHERE status = 'active'
+        AND next_occurrence_at IS NOT NULL
+        AND next_occurrence_at <= ?
+      ORDER BY next_occurrence_at ASC
+      LIMIT ?
+    `;
+
+    return await db.query(query, [horizon, limit]);
+  }
+
+  /**
+   * Lock the template for the rest of the transaction so two schedulers cannot both generate it
+   */
+  static async lockById(id, executor) {
+    const rows = await executor.query(
+      `SELECT *, DATE_FORMAT(starts_on, '%Y-%m-%d') as starts_on, DATE_FORMAT(ends_on, '%Y-%m-%d') as ends_on
+       FROM shipment_templates WHERE id = ? FOR UPDATE`,
+      [id]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  static async update(id, updates) {
+    const fields = Object.keys(updates).filter(field =>
+      EDITABLE_FIELDS.includes(field) || ['status', 'next_occurrence_at'].includes(field)
+    );
+
+    if (fields.length === 0) {
+      return await this.findById(id);
+    }
+
+    const values = fields.map(field => (field === 'weekdays' ? this.serializeWeekdays(updates[field]) : updates[field]));
+
+    const query = `
+      UPDATE shipment_templates
+      SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = NOW()
+      WHERE id = ?
+    `;
+
+    await db.query(query, [...values, id]);
+    return await this.findById(id);
+  }
+
+  /**
+   * Record how far the scheduler got; a null next occurrence means the rule has ended
+   */
+  static async advance(id, nextOccurrenceAt, lastOccurrenceAt, executor = db) {
+    const query = `
+      UPDATE shipment_templates
+      SET next_occurrence_at = ?,
+          last_occurrence_at = ?,
+          updated_at = updated_at
+      WHERE id = ?
+    `;
+
+    await executor.query(query, [nextOccurrenceAt, lastOccurrenceAt, id]);
+  }
+
+  static async addSkip(id, occurrenceDate, createdBy = null) {
+    const query = `
+      INSERT IGNORE INTO shipment_template_skips (template_id, occurrence_date, created_by, created_at)
+      VALUES (?, ?, ?, NOW())
+    `;
+
+    await db.query(query, [id, occurrenceDate, createdBy]);
+  }
+
+  static async getSkipDates(id, fromDate, executor = db) {
+    const query = `
+      SELECT DATE_FORMAT(occurrence_date, '%Y-%m-%d') as occurrence_date
+      FROM shipment_template_skips
+      WHERE template_id = ? AND occurrence_date >= ?
+      ORDER BY occurrence_date ASC
+    `;
+
+    const rows = await executor.query(query, [id, fromDate]);
+    return rows.map(row => row.occurrence_date);
+  }
+
+  static toRule(template) {
+    return {
+      frequency: template.frequency,
+      weekdays: this.parseWeekdays(template.weekdays),
+      day_of_month: template.day_of_month,
+      time_of_day: template.time_of_day,
+      starts_on: template.starts_on,
+      ends_on: template.ends_on
+    };
+  }
+
+  // Weekdays are stored as a comma-separated list of ISO day numbers
+  static serializeWeekdays(weekdays) {
+    return Array.isArray(weekdays) && weekdays.length > 0
+      ? [...new Set(weekdays)].sort().join(',')
+      : null;
+  }
+
+  static parseWeekdays(value) {
+    return value ? String(value).split(',').map(Number) : [];
+  }
+
+  static async createTable() {
+    const templatesQuery = `
+      CREATE TABLE IF NOT EXISTS shipment_templates (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(120) NOT NULL,
+        origin_address TEXT NOT NULL,
+        destination_address TEXT NOT NULL,
+        origin_latitude DECIMAL(10, 8) NULL,
+        origin_longitude DECIMAL(11, 8) NULL,
+        destination_latitude DECIMAL(10, 8) NULL,
+        destination_longitude DECIMAL(11, 8) NULL,
+        driver_id INT NOT NULL,
+        organization_id INT NULL,
+        notes TEXT NULL,
+        frequency ENUM('daily', 'weekly', 'monthly') NOT NULL,
+        weekdays VARCHAR(20) NULL,
+        day_of_month TINYINT NULL,
+        time_of_day TIME NOT NULL,
+        delivery_offset_minutes INT NULL,
+        starts_on DATE NULL,
+        ends_on DATE NULL,
+        status ENUM('active', 'paused') NOT NULL DEFAULT 'active',
+        next_occurrence_at TIMESTAMP NULL,
+        last_occurrence_at TIMESTAMP NULL,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (driver_id) REFERENCES users(id),
+        INDEX idx_due (status, next_occurrence_at),
+        INDEX idx_organization (organization_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+
+    const skipsQuery = `
+      CREATE TABLE IF NOT EXISTS shipment_template_skips (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        template_id INT NOT NULL,
+        occurrence_date DATE NOT NULL,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (template_id) REFERENCES shipment_templates(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_template_date (template_id, occurrence_date)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+
+    await db.query(templatesQuery);
+    await db.query(skipsQuery);
+  }
+}
+
+module.exports = ShipmentTemplateModel;
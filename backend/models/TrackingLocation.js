@@ -1,26 +1,92 @@
 const db = require('../config/database');
+const CustodyChainModel = require('./CustodyChain');
 const { AppError } = require('../middleware/errorHandler');
+const { toDecimalString, chainTimestamp, CHAIN_VERSIONS } = require('../utils/hashChain');
+
+// When the device took the fix; rows without a device time fall back to when the server stored them
+const POINT_TIME = 'COALESCE(device_timestamp, recorded_at)';
 
 class TrackingLocationModel {
-  static async create(locationData) {
-    const { shipment_id, latitude, longitude, accuracy = null, speed = null } = locationData;
+  static async create(locationData, executor = db) {
+    const {
+      shipment_id,
+      latitude,
+      longitude,
+      accuracy = null,
+      speed = null,
+      heading = null,
+      altitude = null,
+      device_timestamp = null,
+      filtered_latitude = null,
+      filtered_longitude = null,
+      filter_variance = null,
+      filter_status = null,
+      source = 'device'
+    } = locationData;
 
     if (!this.isValidLatitude(latitude) || !this.isValidLongitude(longitude)) {
       throw new AppError('Invalid GPS coordinates', 400, 'INVALID_COORDINATES');
     }
 
+    // Chaining locks the shipment row, which needs a transaction
+    if (executor === db) {
+      return await db.transaction((tx) => this.create(locationData, tx));
+    }
+
+    const receivedAt = new Date();
+    const deviceTimestamp = device_timestamp ? new Date(device_timestamp) : null;
+
+    const record = {
+      chain_version: CHAIN_VERSIONS.tracking_location,
+      shipment_id,
+      latitude: toDecimalString(latitude, 8),
+      longitude: toDecimalString(longitude, 8),
+      accuracy: toDecimalString(accuracy, 2),
+      speed: toDecimalString(speed, 2),
+      heading: toDecimalString(heading, 2),
+      altitude: toDecimalString(altitude, 2),
+      // Always the server's clock: the device time is chained alongside it but cannot replace it
+      recorded_at: chainTimestamp(receivedAt),
+      device_timestamp: deviceTimestamp,
+      received_at: receivedAt,
+      filtered_latitude: toDecimalString(filtered_latitude, 8),
+      filtered_longitude: toDecimalString(filtered_longitude, 8),
+      filter_variance: toDecimalString(filter_variance, 2),
+      filter_status,
+      source
+    };
+
+    const link = await CustodyChainModel.link(shipment_id, 'tracking_location', record, executor);
+
     const query = `
       INSERT INTO tracking_locations (
-        shipment_id, latitude, longitude, accuracy, speed, recorded_at
-      ) VALUES (?, ?, ?, ?, ?, NOW())
+        shipment_id, latitude, longitude, accuracy, speed, heading, altitude,
+        recorded_at, device_timestamp, received_at,
+        filtered_latitude, filtered_longitude, filter_variance, filter_status, source,
+        chain_version, chain_seq, previous_hash, record_hash
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
-    const result = await db.query(query, [
-      shipment_id,
-      latitude,
-      longitude,
-      accuracy,
-      speed
+    const result = await executor.query(query, [
+      record.shipment_id,
+      record.latitude,
+      record.longitude,
+      record.accuracy,
+      record.speed,
+      record.heading,
+      record.altitude,
+      record.recorded_at,
+      record.device_timestamp,
+      record.received_at,
+      record.filtered_latitude,
+      record.filtered_longitude,
+      record.filter_variance,
+      record.filter_status,
+      record.source,
+      record.chain_version,
+      link.chain_seq,
+      link.previous_hash,
+      link.record_hash
     ]);
 
     return {
@@ -29,16 +95,72 @@ class TrackingLocationModel {
       latitude,
       longitude,
       accuracy,
-      speed
+      speed,
+      heading,
+      altitude,
+      recorded_at: record.recorded_at,
+      device_timestamp: deviceTimestamp,
+      received_at: receivedAt,
+      filtered_latitude,
+      filtered_longitude,
+      filter_variance,
+      filter_status,
+      source,
+      chain_version: record.chain_version,
+      ...link
     };
   }
 
+  /**
+   * Insert a batch of points in one transaction, skipping points already stored.
+   * A point is a duplicate when its second, latitude and longitude match; points must be in time order.
+   */
+  static async createBatch(shipmentId, points) {
+    const pointKey = (point) => [
+      chainTimestamp(new Date(point.device_timestamp || point.recorded_at)).getTime(),
+      toDecimalString(point.latitude, 8),
+      toDecimalString(point.longitude, 8)
+    ].join('|');
+
+    return await db.transaction(async (tx) => {
+      // Lock the chain head first so a retried upload cannot interleave with this one
+      await tx.query('SELECT id FROM shipments WHERE id = ? FOR UPDATE', [shipmentId]);
+
+      const existing = await tx.query(`
+        SELECT latitude, longitude, recorded_at, device_timestamp
+        FROM tracking_locations
+        WHERE shipment_id = ? AND ${POINT_TIME} >= ? AND ${POINT_TIME} < ?
+      `, [
+        shipmentId,
+        chainTimestamp(new Date(points[0].device_timestamp)),
+        new Date(chainTimestamp(new Date(points[points.length - 1].device_timestamp)).getTime() + 1000)
+      ]);
+
+      const seen = new Set(existing.map(pointKey));
+      const locations = [];
+      let duplicates = 0;
+
+      for (const point of points) {
+        const key = pointKey(point);
+        if (seen.has(key)) {
+          duplicates++;
+          continue;
+        }
+
+        seen.add(key);
+        locations.push(await this.create({ ...point, shipment_id: shipmentId }, tx));
+      }
+
+      return { locations, duplicates };
+    });
+  }
+
   static async getLatestByShipment(shipmentId) {
     const query = `
       SELECT *
       FROM tracking_locations
       WHERE shipment_id = ?
-      ORDER BY recorded_at DESC
+      ORDER BY ${POINT_TIME} DESC, id DESC
       LIMIT 1
     `;
 
@@ -46,12 +168,28 @@ class TrackingLocationModel {
     return locations.length > 0 ? locations[0] : null;
   }
 
+  /**
+   * The last fix the GPS filter accepted at or before the given time, which seeds the filter for the next one
+   */
+  static async getFilterState(shipmentId, before) {
+    const query = `
+      SELECT filtered_latitude, filtered_longitude, filter_variance, filter_status, recorded_at, device_timestamp
+      FROM tracking_locations
+      WHERE shipment_id = ? AND filter_status = 'accepted' AND ${POINT_TIME} <= ?
+      ORDER BY ${POINT_TIME} DESC, id DESC
+      LIMIT 1
+    `;
+
+    const locations = await db.query(query, [shipmentId, before]);
+    return locations.length > 0 ? locations[0] : null;
+  }
+
   static async getAllByShipment(shipmentId, limit = 100) {
     const query = `
       SELECT *
       FROM tracking_locations
       WHERE shipment_id = ?
-      ORDER BY recorded_at DESC
+      ORDER BY ${POINT_TIME} DESC, id DESC
       LIMIT ?
     `;
 
@@ -68,16 +206,17 @@ class TrackingLocationModel {
     const params = [shipmentId];
 
     if (startDate) {
-      query += ' AND recorded_at >= ?';
+      query += ` AND ${POINT_TIME} >= ?`;
       params.push(startDate);
     }
 
     if (endDate) {
-      query += ' AND recorded_at <= ?';
+      query += ` AND ${POINT_TIME} <= ?`;
       params.push(endDate);
     }
 
-    query += ' ORDER BY recorded_at ASC';
+    // Device time, so points replayed after an offline stretch fall in where they were recorded
+    query += ` ORDER BY ${POINT_TIME} ASC, id ASC`;
 
     return await db.query(query, params);
   }
@@ -86,8 +225,8 @@ class TrackingLocationModel {
     const query = `
       SELECT 
         COUNT(*) as total_updates,
-        MIN(recorded_at) as first_update,
-        MAX(recorded_at) as last_update,
+        MIN(${POINT_TIME}) as first_update,
+        MAX(${POINT_TIME}) as last_update,
         MIN(latitude) as min_lat,
         MAX(latitude) as max_lat,
         MIN(longitude) as min_lng,
@@ -100,6 +239,25 @@ class TrackingLocationModel {
     return results.length > 0 ? results[0] : null;
   }
 
+  static async findChainedByShipment(shipmentId) {
+    const query = `
+      SELECT *
+      FROM tracking_locations
+      WHERE shipment_id = ? AND chain_seq IS NOT NULL
+      ORDER BY chain_seq ASC
+    `;
+
+    return await db.query(query, [shipmentId]);
+  }
+
+  static async countUnchained(shipmentId) {
+    const rows = await db.query(
+      'SELECT COUNT(*) as count FROM tracking_locations WHERE shipment_id = ? AND chain_seq IS NULL',
+      [shipmentId]
+    );
+    return Number(rows[0].count);
+  }
+
   static async deleteOldLocations(daysOld = 90) {
     const query = `
       DELETE FROM tracking_locations
@@ -127,11 +285,26 @@ class TrackingLocationModel {
         longitude DECIMAL(11, 8) NOT NULL,
         accuracy DECIMAL(8, 2) NULL,
         speed DECIMAL(8, 2) NULL,
+        heading DECIMAL(5, 2) NULL,
+        altitude DECIMAL(8, 2) NULL,
         recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        device_timestamp TIMESTAMP(3) NULL,
+        received_at TIMESTAMP(3) NULL,
+        filtered_latitude DECIMAL(10, 8) NULL,
+        filtered_longitude DECIMAL(11, 8) NULL,
+        filter_variance DECIMAL(12, 2) NULL,
+        filter_status ENUM('accepted', 'rejected_accuracy', 'rejected_speed') NULL,
+        source ENUM('device', 'import') NOT NULL DEFAULT 'device',
+        chain_version TINYINT UNSIGNED NULL,
+        chain_seq INT NULL,
+        previous_hash CHAR(64) NULL,
+        record_hash CHAR(64) NULL,
         FOREIGN KEY (shipment_id) REFERENCES shipments(id) ON DELETE CASCADE,
         INDEX idx_shipment_id (shipment_id),
         INDEX idx_recorded_at (recorded_at),
-        INDEX idx_shipment_recorded (shipment_id, recorded_at)
+        INDEX idx_shipment_recorded (shipment_id, recorded_at),
+        INDEX idx_shipment_device_time (shipment_id, device_timestamp),
+        UNIQUE KEY uniq_shipment_chain_seq (shipment_id, chain_seq)
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
     `;
 
@@ -5,14 +5,18 @@ const healthRoutes = require('./healthRoutes');
 const authRoutes = require('./authRoutes');
 const userRoutes = require('./userRoutes');
 const shipmentRoutes = require('./shipmentRoutes');
+const shipmentTemplateRoutes = require('./shipmentTemplateRoutes');
 const trackingRoutes = require('./trackingRoutes');
 const smartTrackingRoutes = require('./smartTrackingRoutes');
+const publicRoutes = require('./publicRoutes');
 
 router.use('/', healthRoutes);
 router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
 router.use('/shipments', shipmentRoutes);
+router.use('/shipment-templates', shipmentTemplateRoutes);
 router.use('/tracking', trackingRoutes);
 router.use('/smart', smartTrackingRoutes); // New smart tracking endpoints
+router.use('/public', publicRoutes);
 
 module.exports = router;
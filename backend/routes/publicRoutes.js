@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const config = require('../config');
+const { asyncHandler } = require('../middleware/errorHandler');
+const publicTrackingController = require('../controllers/publicTrackingController');
+const { rateLimit } = require('../middleware/rateLimit');
+const { 
+  publicTrackingValidation,
+  publicProofFileValidation
+} = require('../validators/shipmentValidators');
+
+// No login here; access is granted by the share token and throttled per client
+router.use(rateLimit({
+  windowMs: config.publicTracking.rateLimitWindow,
+  max: config.publicTracking.rateLimitMax
+}));
+
+router.get('/tracking/:tracking_number', 
+  publicTrackingValidation, 
+  asyncHandler(publicTrackingController.getPublicTracking)
+);
+
+router.get('/tracking/:tracking_number/proofs/:proofId', 
+  publicProofFileValidation, 
+  asyncHandler(publicTrackingController.getPublicProofFile)
+);
+
+module.exports = router;
@@ -1,14 +1,33 @@
 const express = require('express');
 const router = express.Router();
+const config = require('../config');
 const { asyncHandler } = require('../middleware/errorHandler');
 const shipmentController = require('../controllers/shipmentController');
 const { authenticate, authorize } = require('../middleware/auth');
+const { deliveryProofUpload, attemptPhotoUpload, coerceNumericFields } = require('../middleware/upload');
 const { 
   createShipmentValidation, 
+  importShipmentsValidation,
   queryValidation,
+  exportShipmentsValidation,
   shipmentIdValidation,
   trackingNumberValidation,
-  confirmDeliveryValidation
+  confirmDeliveryValidation,
+  updateStatusValidation,
+  updateShipmentValidation,
+  reassignShipmentValidation,
+  cancelShipmentValidation,
+  createReturnValidation,
+  deliveryAttemptValidation,
+  rescheduleShipmentValidation,
+  verifyChainValidation,
+  shareShipmentValidation,
+  addCommentValidation,
+  markCommentsReadValidation,
+  addStopValidation,
+  reorderStopsValidation,
+  completeStopValidation,
+  deliveryProofFileValidation
 } = require('../validators/shipmentValidators');
 
 router.post('/', 
@@ -18,12 +37,27 @@ router.post('/',
   asyncHandler(shipmentController.createShipment)
 );
 
+router.post('/import', 
+  authenticate, 
+  authorize('admin'), 
+  express.text({ type: ['text/csv', 'text/plain'], limit: config.shipmentImport.maxFileSize }), 
+  importShipmentsValidation, 
+  asyncHandler(shipmentController.importShipments)
+);
+
 router.get('/', 
   authenticate, 
   queryValidation, 
   asyncHandler(shipmentController.getShipments)
 );
 
+router.get('/export', 
+  authenticate, 
+  authorize('admin'), 
+  exportShipmentsValidation, 
+  asyncHandler(shipmentController.exportShipments)
+);
+
 router.get('/tracking/:tracking_number', 
   authenticate, 
   trackingNumberValidation, 
@@ -32,11 +66,144 @@ router.get('/tracking/:tracking_number',
 
 router.post('/:id/confirm-delivery', 
   authenticate, 
-  authorize('driver'), 
+  authorize('driver', 'admin'), 
+  deliveryProofUpload, 
+  coerceNumericFields(['stop_id', 'latitude', 'longitude']), 
   confirmDeliveryValidation, 
   asyncHandler(shipmentController.confirmDelivery)
 );
 
+router.post('/:id/attempts', 
+  authenticate, 
+  authorize('driver', 'admin'), 
+  attemptPhotoUpload, 
+  coerceNumericFields(['stop_id', 'latitude', 'longitude']), 
+  deliveryAttemptValidation, 
+  asyncHandler(shipmentController.recordDeliveryAttempt)
+);
+
+router.get('/:id/attempts', 
+  authenticate, 
+  shipmentIdValidation, 
+  asyncHandler(shipmentController.getDeliveryAttempts)
+);
+
+router.post('/:id/reschedule', 
+  authenticate, 
+  authorize('admin'), 
+  rescheduleShipmentValidation, 
+  asyncHandler(shipmentController.rescheduleShipment)
+);
+
+router.post('/:id/status', 
+  authenticate, 
+  updateStatusValidation, 
+  asyncHandler(shipmentController.updateShipmentStatus)
+);
+
+router.post('/:id/reassign', 
+  authenticate, 
+  authorize('admin'), 
+  reassignShipmentValidation, 
+  asyncHandler(shipmentController.reassignShipment)
+);
+
+router.post('/:id/cancel', 
+  authenticate, 
+  authorize('admin'), 
+  cancelShipmentValidation, 
+  asyncHandler(shipmentController.cancelShipment)
+);
+
+router.post('/:id/return', 
+  authenticate, 
+  authorize('admin'), 
+  createReturnValidation, 
+  asyncHandler(shipmentController.createReturnShipment)
+);
+
+router.post('/:id/verify', 
+  authenticate, 
+  authorize('admin'), 
+  verifyChainValidation, 
+  asyncHandler(shipmentController.verifyShipmentChain)
+);
+
+router.post('/:id/share', 
+  authenticate, 
+  authorize('admin'), 
+  shareShipmentValidation, 
+  asyncHandler(shipmentController.shareShipment)
+);
+
+router.get('/:id/history', 
+  authenticate, 
+  shipmentIdValidation, 
+  asyncHandler(shipmentController.getShipmentHistory)
+);
+
+router.get('/:id/proofs', 
+  authenticate, 
+  shipmentIdValidation, 
+  asyncHandler(shipmentController.getDeliveryProofs)
+);
+
+router.get('/:id/proofs/:proofId/file', 
+  authenticate, 
+  deliveryProofFileValidation, 
+  asyncHandler(shipmentController.getDeliveryProofFile)
+);
+
+router.get('/:id/comments', 
+  authenticate, 
+  authorize('driver', 'admin'), 
+  shipmentIdValidation, 
+  asyncHandler(shipmentController.getShipmentComments)
+);
+
+router.post('/:id/comments', 
+  authenticate, 
+  authorize('driver', 'admin'), 
+  addCommentValidation, 
+  asyncHandler(shipmentController.addShipmentComment)
+);
+
+router.post('/:id/comments/read', 
+  authenticate, 
+  authorize('driver', 'admin'), 
+  markCommentsReadValidation, 
+  asyncHandler(shipmentController.markShipmentCommentsRead)
+);
+
+router.get('/:id/stops', 
+  authenticate, 
+  shipmentIdValidation, 
+  asyncHandler(shipmentController.getShipmentStops)
+);
+
+router.post('/:id/stops', 
+  authenticate, 
+  authorize('admin'), 
+  addStopValidation, 
+  asyncHandler(shipmentController.addShipmentStop)
+);
+
+router.put('/:id/stops/order', 
+  authenticate, 
+  authorize('admin'), 
+  reorderStopsValidation, 
+  asyncHandler(shipmentController.reorderShipmentStops)
+);
+
+router.post('/:id/stops/:stopId/complete', 
+  authenticate, 
+  authorize('driver', 'admin'), 
+  deliveryProofUpload, 
+  coerceNumericFields(['latitude', 'longitude']), 
+  completeStopValidation, 
+  asyncHandler(shipmentController.completeShipmentStop)
+);
+
 router.get('/assigned', 
   authenticate, 
   authorize('driver'), 
@@ -56,4 +223,11 @@ router.get('/:id',
   asyncHandler(shipmentController.getShipment)
 );
 
+router.patch('/:id', 
+  authenticate, 
+  authorize('admin'), 
+  updateShipmentValidation, 
+  asyncHandler(shipmentController.updateShipment)
+);
+
 module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const { asyncHandler } = require('../middleware/errorHandler');
+const shipmentTemplateController = require('../controllers/shipmentTemplateController');
+const { authenticate, authorize } = require('../middleware/auth');
+const {
+  createTemplateValidation,
+  updateTemplateValidation,
+  templateIdValidation,
+  skipOccurrenceValidation
+} = require('../validators/shipmentTemplateValidators');
+
+router.get('/', 
+  authenticate, 
+  authorize('admin'), 
+  asyncHandler(shipmentTemplateController.getTemplates)
+);
+
+router.post('/', 
+  authenticate, 
+  authorize('admin'), 
+  createTemplateValidation, 
+  asyncHandler(shipmentTemplateController.createTemplate)
+);
+
+router.get('/:id', 
+  authenticate, 
+  authorize('admin'), 
+  templateIdValidation, 
+  asyncHandler(shipmentTemplateController.getTemplate)
+);
+
+router.patch('/:id', 
+  authenticate, 
+  authorize('admin'), 
+  updateTemplateValidation, 
+  asyncHandler(shipmentTemplateController.updateTemplate)
+);
+
+router.post('/:id/pause', 
+  authenticate, 
+  authorize('admin'), 
+  templateIdValidation, 
+  asyncHandler(shipmentTemplateController.pauseTemplate)
+);
+
+router.post('/:id/resume', 
+  authenticate, 
+  authorize('admin'), 
+  templateIdValidation, 
+  asyncHandler(shipmentTemplateController.resumeTemplate)
+);
+
+router.post('/:id/skip', 
+  authenticate, 
+  authorize('admin'), 
+  skipOccurrenceValidation, 
+  asyncHandler(shipmentTemplateController.skipOccurrence)
+);
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
+const { authenticate, authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { updateLocationValidation } = require('../validators/shipmentValidators');
 
 const {
     updateLocation,
@@ -24,15 +27,13 @@ const handleValidationErrors = (req, res, next) => {
     next();
 };
 
-// Smart location update with recommendations
-router.post('/location/update', [
-    body('shipment_id').isInt({ min: 1 }).withMessage('Shipment ID must be a positive integer'),
-    body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
-    body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
-    body('accuracy').optional().isFloat({ min: 0 }).withMessage('Accuracy must be a positive number'),
-    body('speed').optional().isFloat({ min: 0, max: 200 }).withMessage('Speed must be between 0 and 200 m/s'),
-    body('heading').optional().isFloat({ min: 0, max: 360 }).withMessage('Heading must be between 0 and 360 degrees')
-], handleValidationErrors, updateLocation);
+// Smart location update with recommendations; same checks and pipeline as /tracking/update
+router.post('/location/update',
+    authenticate,
+    authorize('driver'),
+    updateLocationValidation,
+    asyncHandler(updateLocation)
+);
 
 // Get enhanced tracking data with analysis
 router.get('/tracking/:shipmentId', getTrackingData);
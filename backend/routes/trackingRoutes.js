@@ -1,11 +1,15 @@
 const express = require('express');
 const router = express.Router();
+const config = require('../config');
 const { asyncHandler } = require('../middleware/errorHandler');
 const trackingController = require('../controllers/trackingController');
 const { authenticate, authorize } = require('../middleware/auth');
 const { 
   updateLocationValidation,
+  batchLocationValidation,
   trackingHistoryValidation,
+  trackImportValidation,
+  trackExportValidation,
   shipmentIdValidation
 } = require('../validators/shipmentValidators');
 
@@ -16,6 +20,13 @@ router.post('/update',
   asyncHandler(trackingController.updateLocation)
 );
 
+router.post('/batch', 
+  authenticate, 
+  authorize('driver'), 
+  batchLocationValidation, 
+  asyncHandler(trackingController.batchUpdateLocation)
+);
+
 router.get('/:shipment_id', 
   authenticate, 
   shipmentIdValidation, 
@@ -28,4 +39,21 @@ router.get('/:shipment_id/history',
   asyncHandler(trackingController.getLocationHistory)
 );
 
+router.post('/:shipment_id/import', 
+  authenticate, 
+  authorize('admin'), 
+  express.text({
+    type: ['application/gpx+xml', 'application/xml', 'text/xml', 'text/plain'],
+    limit: config.tracking.importMaxFileSize
+  }), 
+  trackImportValidation, 
+  asyncHandler(trackingController.importTrack)
+);
+
+router.get('/:shipment_id/export', 
+  authenticate, 
+  trackExportValidation, 
+  asyncHandler(trackingController.exportTrack)
+);
+
 module.exports = router;
@@ -1,12 +1,26 @@
 const db = require('../config/database');
 const UserModel = require('../models/User');
 const ShipmentModel = require('../models/Shipment');
+const ShipmentStopModel = require('../models/ShipmentStop');
+const ShipmentItemModel = require('../models/ShipmentItem');
+const ShipmentTemplateModel = require('../models/ShipmentTemplate');
+const ShipmentCommentModel = require('../models/ShipmentComment');
+const ShipmentStatusEventModel = require('../models/ShipmentStatusEvent');
+const DeliveryAttemptModel = require('../models/DeliveryAttempt');
+const DeliveryProofModel = require('../models/DeliveryProof');
 const TrackingLocationModel = require('../models/TrackingLocation');
 
 const initializeDatabase = async () => {
   try {
     await UserModel.createTable();
     await ShipmentModel.createTable();
+    await ShipmentStopModel.createTable();
+    await ShipmentItemModel.createTable();
+    await ShipmentTemplateModel.createTable();
+    await ShipmentCommentModel.createTable();
+    await ShipmentStatusEventModel.createTable();
+    await DeliveryAttemptModel.createTable();
+    await DeliveryProofModel.createTable();
     await TrackingLocationModel.createTable();
     console.log('Database tables initialized successfully');
   } catch (error) {
@@ -13,13 +13,20 @@ const { errorHandler } = require('./middleware/errorHandler');
 const routes = require('./routes');
 const logger = require('./utils/logger');
 const SocketHandler = require('./socket');
+const SlaService = require('./services/slaService');
+const RecurringShipmentService = require('./services/recurringShipmentService');
 
 let server;
 let io;
 let socketHandler;
+const slaService = new SlaService();
+const recurringShipmentService = new RecurringShipmentService();
 
 const app = express();
 
+// Client IPs (rate limits, audit trail) come from X-Forwarded-For only for trusted proxies
+app.set('trust proxy', config.trustProxy);
+
 app.use(helmet());
 
 app.use(cors(config.cors));
@@ -28,7 +35,22 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Serve static files from parent directory (frontend)
-app.use(express.static(path.join(__dirname, '..')));
+const staticRoot = path.join(__dirname, '..');
+const serveFrontend = express.static(staticRoot);
+
+// Local proof uploads can sit inside the served tree; they are only reachable through the authenticated proofs endpoints
+const isStoragePath = (requestPath) => {
+  let filePath;
+  try {
+    filePath = path.join(staticRoot, decodeURIComponent(requestPath));
+  } catch (error) {
+    return false;
+  }
+  const storageRoot = path.resolve(config.storage.local.rootDir);
+  return filePath === storageRoot || filePath.startsWith(storageRoot + path.sep);
+};
+
+app.use((req, res, next) => (isStoragePath(req.path) ? next() : serveFrontend(req, res, next)));
 
 app.use((req, res, next) => {
   req.requestId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
@@ -63,6 +85,9 @@ app.use(errorHandler);
 const gracefulShutdown = (signal) => {
   logger.info(`${signal} received. Starting graceful shutdown...`);
 
+  slaService.stop();
+  recurringShipmentService.stop();
+
   server.close(async () => {
     logger.info('HTTP server closed');
 
@@ -99,6 +124,14 @@ const startServer = async () => {
     app.set('io', io);
     app.set('socketHandler', socketHandler);
 
+    slaService.start((change) => {
+      socketHandler.emitSlaStatusChanged(change.shipment_id, change);
+    });
+
+    recurringShipmentService.start((shipment) => {
+      socketHandler.emitNewShipment(shipment);
+    });
+
     server.listen(config.port, () => {
       logger.info('Server started', {
         port: config.port,
@@ -0,0 +1,106 @@
+/**
+ * LinkNode Custody Chain Service
+ * Recomputes a shipment's hash chain of tracking locations and status events
+ */
+
+const CustodyChainModel = require('../models/CustodyChain');
+const TrackingLocationModel = require('../models/TrackingLocation');
+const ShipmentStatusEventModel = require('../models/ShipmentStatusEvent');
+const { GENESIS_HASH, computeRecordHash } = require('../utils/hashChain');
+
+class CustodyChainService {
+    /**
+     * Walk the chain in sequence order and report the first link that does not hold.
+     * expectedHash is a record hash shared earlier (e.g. with a customer); the report says
+     * whether it is still part of the intact chain.
+     */
+    async verifyShipment(shipmentId, { expectedHash = null } = {}) {
+        const head = await CustodyChainModel.getHead(shipmentId);
+
+        const [locations, events, unchainedLocations, unchainedEvents] = await Promise.all([
+            TrackingLocationModel.findChainedByShipment(shipmentId),
+            ShipmentStatusEventModel.findChainedByShipment(shipmentId),
+            TrackingLocationModel.countUnchained(shipmentId),
+            ShipmentStatusEventModel.countUnchained(shipmentId)
+        ]);
+
+        const records = [
+            ...locations.map(record => ({ type: 'tracking_location', record })),
+            ...events.map(record => ({ type: 'status_event', record }))
+        ].sort((a, b) => a.record.chain_seq - b.record.chain_seq);
+
+        let previousHash = GENESIS_HASH;
+        let expectedSequence = 1;
+        let expectedHashFound = false;
+        let brokenLink = null;
+
+        for (const { type, record } of records) {
+            brokenLink = this.checkLink(type, record, expectedSequence, previousHash);
+            if (brokenLink) break;
+
+            if (record.record_hash === expectedHash) {
+                expectedHashFound = true;
+            }
+            previousHash = record.record_hash;
+            expectedSequence++;
+        }
+
+        // Records removed from the end of the chain leave the shipment's head pointing past them
+        if (!brokenLink && (head.chain_length !== records.length || (head.chain_head_hash || GENESIS_HASH) !== previousHash)) {
+            brokenLink = {
+                chain_seq: expectedSequence,
+                record_type: null,
+                record_id: null,
+                reason: 'head_mismatch',
+                expected_hash: head.chain_head_hash,
+                actual_hash: previousHash
+            };
+        }
+
+        return {
+            valid: brokenLink === null,
+            record_count: records.length,
+            chain_length: head.chain_length,
+            head_hash: head.chain_head_hash,
+            first_broken_link: brokenLink,
+            expected_hash_found: expectedHash ? expectedHashFound : undefined,
+            unchained_records: {
+                tracking_locations: unchainedLocations,
+                status_events: unchainedEvents
+            },
+            verified_at: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Return a description of what is wrong with this link, or null if it holds
+     */
+    checkLink(type, record, expectedSequence, previousHash) {
+        const broken = (reason, expected, actual) => ({
+            chain_seq: expectedSequence,
+            record_type: type,
+            record_id: record.id,
+            reason,
+            expected_hash: expected,
+            actual_hash: actual
+        });
+
+        // A gap means a record was deleted; a repeat means one was inserted out of band
+        if (record.chain_seq !== expectedSequence) {
+            return broken(record.chain_seq > expectedSequence ? 'missing_record' : 'duplicate_sequence', previousHash, record.previous_hash);
+        }
+
+        if (record.previous_hash !== previousHash) {
+            return broken('previous_hash_mismatch', previousHash, record.previous_hash);
+        }
+
+        const recomputed = computeRecordHash(type, record, record.chain_seq, previousHash);
+        if (recomputed !== record.record_hash) {
+            return broken('record_modified', recomputed, record.record_hash);
+        }
+
+        return null;
+    }
+}
+
+module.exports = CustodyChainService;
@@ -0,0 +1,98 @@
+/**
+ * LinkNode Delivery Proof Service
+ * Checks and stores proof-of-delivery photos and signatures
+ */
+
+const crypto = require('crypto');
+const StorageService = require('./storageService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// Identify images by their leading bytes rather than trusting the client's Content-Type
+const IMAGE_SIGNATURES = [
+    { contentType: 'image/jpeg', extension: 'jpg', matches: (b) => b[0] === 0xFF && b[1] === 0xD8 && b[2] === 0xFF },
+    { contentType: 'image/png', extension: 'png', matches: (b) => b.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) },
+    { contentType: 'image/webp', extension: 'webp', matches: (b) => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' }
+];
+
+const PROOF_TYPES = ['photo', 'signature'];
+
+class DeliveryProofService {
+    constructor(storage = null) {
+        this.storage = storage || new StorageService();
+    }
+
+    /**
+     * Store uploaded multer files ({ photo: [file], signature: [file] }) and return proof records
+     * ready for DeliveryProofModel.create
+     */
+    async storeUploads(shipmentId, files = {}) {
+        const uploads = PROOF_TYPES
+            .filter(type => files[type] && files[type][0])
+            .map(type => ({ type, file: files[type][0] }));
+
+        const prepared = uploads.map(({ type, file }) => {
+            const image = this.detectImageType(file.buffer);
+            if (!image) {
+                throw new AppError(`${type} must be a JPEG, PNG or WebP image`, 400, 'INVALID_UPLOAD');
+            }
+            return { type, file, image };
+        });
+
+        const stored = [];
+        try {
+            for (const { type, file, image } of prepared) {
+                const key = this.buildKey(shipmentId, type, image.extension);
+                await this.storage.save(key, file.buffer);
+                stored.push({
+                    proof_type: type,
+                    storage_key: key,
+                    content_type: image.contentType,
+                    size_bytes: file.size
+                });
+            }
+        } catch (error) {
+            await this.discard(stored);
+            throw error;
+        }
+
+        return stored;
+    }
+
+    /**
+     * Remove stored files whose delivery confirmation did not go through
+     */
+    async discard(proofs) {
+        for (const proof of proofs) {
+            try {
+                await this.storage.delete(proof.storage_key);
+            } catch (error) {
+                logger.warn('Failed to remove orphaned delivery proof', {
+                    key: proof.storage_key,
+                    error: error.message
+                });
+            }
+        }
+    }
+
+    async open(proof) {
+        if (!(await this.storage.exists(proof.storage_key))) {
+            throw new AppError('Proof file is missing from storage', 404, 'PROOF_FILE_NOT_FOUND');
+        }
+        return this.storage.createReadStream(proof.storage_key);
+    }
+
+    detectImageType(buffer) {
+        if (!buffer || buffer.length < 12) {
+            return null;
+        }
+        return IMAGE_SIGNATURES.find(signature => signature.matches(buffer)) || null;
+    }
+
+    buildKey(shipmentId, type, extension) {
+        const suffix = crypto.randomBytes(8).toString('hex');
+        return `proofs/${shipmentId}/${Date.now()}-${type}-${suffix}.${extension}`;
+    }
+}
+
+module.exports = DeliveryProofService;
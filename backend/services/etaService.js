@@ -3,6 +3,8 @@
  * Dynamic ETA calculation and prediction
  */
 
+const { filteredPosition, filteredTrace, isRejected } = require('../utils/gpsFilter');
+
 class ETAService {
     constructor() {
         this.defaultSpeed = 10; // m/s (36 km/h)
@@ -22,11 +24,24 @@ class ETAService {
                 return new Date(Date.now() + 2 * 60 * 60 * 1000); // Default 2 hours
             }
 
-            // 1. Calculate remaining distance
-            const remainingDistance = this.calculateRemainingDistance(
-                currentLocation, 
-                shipment
-            );
+            // Work from the GPS-filtered trace so a single noisy fix does not move the ETA
+            trackingHistory = filteredTrace(trackingHistory || []);
+            currentLocation = isRejected(currentLocation) && trackingHistory.length > 0
+                ? trackingHistory[trackingHistory.length - 1]
+                : filteredPosition(currentLocation);
+
+            // 1. Calculate remaining distance, leg by leg through any pending stops
+            const legs = this.calculateLegDistances(currentLocation, shipment);
+            const remainingDistance = legs.length > 0 ? legs[legs.length - 1].distance : null;
+
+            // Without destination coordinates there is nothing to measure against
+            if (remainingDistance === null) {
+                return {
+                    eta: new Date(Date.now() + 2 * 60 * 60 * 1000),
+                    remaining_distance: null,
+                    confidence: 'low'
+                };
+            }
 
             // 2. Analyze current speed patterns
             const avgSpeed = this.analyzeCurrentSpeed(trackingHistory);
@@ -40,15 +55,22 @@ class ETAService {
             // 5. Calculate adjusted speed
             const adjustedSpeed = avgSpeed * trafficFactor * historicalFactor;
             
-            // 6. Calculate ETA
-            const estimatedTime = remainingDistance / (adjustedSpeed || this.defaultSpeed);
-            const eta = new Date(Date.now() + estimatedTime * 1000);
+            // 6. Calculate ETA for every remaining stop; the last one is the shipment ETA
+            const speed = adjustedSpeed || this.defaultSpeed;
+            const stopEtas = legs.map(leg => ({
+                stop_id: leg.stop_id,
+                remaining_distance: leg.distance,
+                eta: new Date(Date.now() + (leg.distance / speed) * 1000)
+            }));
+            const eta = stopEtas[stopEtas.length - 1].eta;
             
             return {
                 eta,
                 remaining_distance: remainingDistance,
                 estimated_speed: adjustedSpeed,
-                confidence: this.calculateConfidence(trackingHistory.length)
+                confidence: this.calculateConfidence(trackingHistory.length),
+                next_stop: stopEtas[0].stop_id ? stopEtas[0] : null,
+                stops: stopEtas.filter(leg => leg.stop_id)
             };
         } catch (error) {
             console.error('Error calculating ETA:', error);
@@ -60,25 +82,60 @@ class ETAService {
     }
 
     /**
-     * Calculate remaining distance to destination
+     * Calculate remaining distance to destination, or null if it has no coordinates
      */
     calculateRemainingDistance(currentLocation, shipment) {
-        const destLat = parseFloat(
-            shipment.destination_latitude || 
-            shipment.destination_lat || 
-            shipment.destination?.latitude
-        );
-        const destLng = parseFloat(
-            shipment.destination_longitude || 
-            shipment.destination_lng || 
-            shipment.destination?.longitude
-        );
+        const legs = this.calculateLegDistances(currentLocation, shipment);
+        return legs.length > 0 ? legs[legs.length - 1].distance : null;
+    }
+
+    /**
+     * Cumulative distance from the current location to each remaining waypoint
+     */
+    calculateLegDistances(currentLocation, shipment) {
+        const legs = [];
+        let previous = {
+            latitude: parseFloat(currentLocation.latitude),
+            longitude: parseFloat(currentLocation.longitude)
+        };
+        let cumulative = 0;
+
+        for (const waypoint of this.getRemainingWaypoints(shipment)) {
+            cumulative += this.haversineDistance(
+                previous.latitude,
+                previous.longitude,
+                waypoint.latitude,
+                waypoint.longitude
+            );
+            legs.push({ stop_id: waypoint.stop_id, distance: cumulative });
+            previous = waypoint;
+        }
+
+        return legs;
+    }
+
+    /**
+     * Pending stops in sequence order, or the final destination for single-drop shipments
+     */
+    getRemainingWaypoints(shipment) {
+        const hasStops = Array.isArray(shipment.stops) && shipment.stops.length > 0;
+
+        const waypoints = hasStops
+            ? shipment.stops
+                .filter(stop => stop.status === 'pending')
+                .map(stop => ({
+                    stop_id: stop.id,
+                    latitude: parseFloat(stop.latitude),
+                    longitude: parseFloat(stop.longitude)
+                }))
+            : [{
+                stop_id: null,
+                latitude: parseFloat(shipment.destination_latitude),
+                longitude: parseFloat(shipment.destination_longitude)
+            }];
 
-        return this.haversineDistance(
-            currentLocation.latitude,
-            currentLocation.longitude,
-            destLat,
-            destLng
+        return waypoints.filter(waypoint =>
+            Number.isFinite(waypoint.latitude) && Number.isFinite(waypoint.longitude)
         );
     }
 
@@ -183,12 +240,12 @@ class ETAService {
                 VALUES (?, ?, ?, ?, ?)
             `;
             
-            await db.execute(query, [
+            await db.query(query, [
                 shipmentId,
                 routeData.total_distance,
                 routeData.total_time,
                 routeData.average_speed,
-                routeData.delay_minutes
+                routeData.delay_minutes ?? 0
             ]);
             
             return true;
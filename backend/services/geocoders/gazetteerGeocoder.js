@@ -0,0 +1,79 @@
+/**
+ * LinkNode Gazetteer Geocoder
+ * Offline geocoding provider backed by a CSV gazetteer of known places
+ */
+
+const fs = require('fs');
+
+class GazetteerGeocoder {
+    constructor(options = {}) {
+        this.name = 'gazetteer';
+        this.filePath = options.filePath;
+        this.entries = null;
+    }
+
+    /**
+     * Resolve an address to coordinates using the most specific place name it mentions
+     */
+    async geocode(address) {
+        if (!address || typeof address !== 'string') {
+            return null;
+        }
+
+        const haystack = ` ${this.normalize(address)} `;
+        let bestMatch = null;
+
+        for (const entry of this.getEntries()) {
+            if (!haystack.includes(` ${entry.key} `)) continue;
+
+            // Prefer longer names so "Andheri East" wins over "Mumbai"
+            if (!bestMatch || entry.key.length > bestMatch.key.length) {
+                bestMatch = entry;
+            }
+        }
+
+        if (!bestMatch) {
+            return null;
+        }
+
+        return {
+            latitude: bestMatch.latitude,
+            longitude: bestMatch.longitude,
+            matched: bestMatch.name
+        };
+    }
+
+    /**
+     * Lazily load and cache the gazetteer file
+     */
+    getEntries() {
+        if (this.entries) {
+            return this.entries;
+        }
+
+        const contents = fs.readFileSync(this.filePath, 'utf8');
+        const lines = contents.split(/\r?\n/).filter(line => line.trim() !== '');
+
+        // First line is the "name,latitude,longitude" header
+        this.entries = lines.slice(1).map(line => {
+            const [name, latitude, longitude] = line.split(',').map(value => value.trim());
+            return {
+                name,
+                key: this.normalize(name),
+                latitude: parseFloat(latitude),
+                longitude: parseFloat(longitude)
+            };
+        }).filter(entry => entry.key && Number.isFinite(entry.latitude) && Number.isFinite(entry.longitude));
+
+        return this.entries;
+    }
+
+    normalize(value) {
+        return value
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+}
+
+module.exports = GazetteerGeocoder;
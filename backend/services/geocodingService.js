@@ -0,0 +1,89 @@
+/**
+ * LinkNode Geocoding Service
+ * Resolves shipment addresses to coordinates through a pluggable provider
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const GazetteerGeocoder = require('./geocoders/gazetteerGeocoder');
+
+// Providers implement `async geocode(address)` returning { latitude, longitude } or null
+const providers = {
+    gazetteer: GazetteerGeocoder
+};
+
+class GeocodingService {
+    constructor(provider = null) {
+        this.provider = provider || GeocodingService.createProvider(config.geocoding.provider);
+    }
+
+    static registerProvider(name, Provider) {
+        providers[name] = Provider;
+    }
+
+    static createProvider(name) {
+        const Provider = providers[name];
+        if (!Provider) {
+            throw new Error(`Unknown geocoding provider: ${name}`);
+        }
+        return new Provider(config.geocoding[name] || {});
+    }
+
+    /**
+     * Geocode a single address, never throwing on provider failure
+     */
+    async geocode(address) {
+        try {
+            return await this.provider.geocode(address);
+        } catch (error) {
+            logger.warn('Geocoding failed', {
+                provider: this.provider.name,
+                error: error.message
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Fill in origin/destination coordinates, keeping any that were supplied explicitly
+     */
+    async resolveShipmentCoordinates(shipmentData) {
+        const [origin, destination] = await Promise.all([
+            this.resolvePoint(shipmentData, 'origin'),
+            this.resolvePoint(shipmentData, 'destination')
+        ]);
+
+        return {
+            origin_latitude: origin.latitude,
+            origin_longitude: origin.longitude,
+            destination_latitude: destination.latitude,
+            destination_longitude: destination.longitude
+        };
+    }
+
+    async resolvePoint(shipmentData, prefix) {
+        return await this.resolveCoordinates(
+            shipmentData[`${prefix}_address`],
+            shipmentData[`${prefix}_latitude`],
+            shipmentData[`${prefix}_longitude`]
+        );
+    }
+
+    /**
+     * Use explicit coordinates when both are given, otherwise geocode the address
+     */
+    async resolveCoordinates(address, latitude = null, longitude = null) {
+        if (latitude != null && longitude != null) {
+            return { latitude, longitude };
+        }
+
+        const result = await this.geocode(address);
+        if (!result) {
+            return { latitude: null, longitude: null };
+        }
+
+        return { latitude: result.latitude, longitude: result.longitude };
+    }
+}
+
+module.exports = GeocodingService;
@@ -0,0 +1,364 @@
+/**
+ * LinkNode Location Ingestion Service
+ * Single path for driver GPS points: check access, store, analyze and broadcast
+ */
+
+const config = require('../config');
+const ShipmentModel = require('../models/Shipment');
+const ShipmentStopModel = require('../models/ShipmentStop');
+const TrackingLocationModel = require('../models/TrackingLocation');
+const RecommendationService = require('./recommendationService');
+const ETAService = require('./etaService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+const { stateFromPoint, filterPoint, filteredPosition, filteredTrace } = require('../utils/gpsFilter');
+
+// Statuses that move to in_transit on the first GPS fix
+const PRE_TRANSIT_STATUSES = ['pending', 'assigned', 'picked_up'];
+
+// Recent points the ETA and recommendation analyses look at
+const ANALYSIS_HISTORY_LIMIT = 20;
+
+// Risk each recommendation adds to the shipment's score, which is capped at 100
+const RISK_WEIGHTS = {
+    high: 30,
+    medium: 15,
+    low: 5
+};
+
+class LocationIngestionService {
+    constructor(recommendationService = null, etaService = null) {
+        this.recommendationService = recommendationService || new RecommendationService();
+        this.etaService = etaService || new ETAService();
+    }
+
+    /**
+     * Position fields sent to live views; device_timestamp is when the fix was taken (null when the
+     * client did not send one) and recorded_at when the server stored it.
+     * latitude/longitude are the raw fix, the filtered_* pair is null when the GPS filter rejected it.
+     */
+    static liveLocation(location) {
+        return {
+            latitude: location.latitude,
+            longitude: location.longitude,
+            filtered_latitude: location.filtered_latitude,
+            filtered_longitude: location.filtered_longitude,
+            filter_status: location.filter_status,
+            accuracy: location.accuracy,
+            speed: location.speed,
+            heading: location.heading,
+            altitude: location.altitude,
+            source: location.source,
+            device_timestamp: location.device_timestamp,
+            recorded_at: location.recorded_at
+        };
+    }
+
+    /**
+     * Store one live point, then analyze and broadcast it.
+     * actor: { id, role, organizationId, ip }
+     * Returns { shipment, location, status, analysis }; analysis is null when smart recommendations are off
+     */
+    async ingest(actor, point, socketHandler = null) {
+        const shipment = await this.findTrackableShipment(actor, point.shipment_id);
+
+        const [filteredPoint] = await this.filterPoints(shipment.id, [{
+            latitude: point.latitude,
+            longitude: point.longitude,
+            accuracy: point.accuracy ?? null,
+            speed: point.speed ?? null,
+            heading: point.heading ?? null,
+            altitude: point.altitude ?? null,
+            device_timestamp: this.parseDeviceTimestamp(point.timestamp, 'timestamp')
+        }]);
+
+        const location = await TrackingLocationModel.create({ ...filteredPoint, shipment_id: shipment.id });
+
+        const latest = await TrackingLocationModel.getLatestByShipment(shipment.id);
+        const startsTransit = Boolean(latest && latest.id === location.id) &&
+            PRE_TRANSIT_STATUSES.includes(shipment.status);
+
+        return await this.finish(actor, shipment, [location], startsTransit, socketHandler);
+    }
+
+    /**
+     * Store points queued while the driver was offline in one transaction, skipping ones already stored.
+     * Returns { shipment, locations, duplicates, status, analysis }
+     */
+    async ingestBatch(actor, shipmentId, points, socketHandler = null) {
+        const shipment = await this.findTrackableShipment(actor, shipmentId);
+        const orderedPoints = this.orderPoints(points, 'device');
+
+        const hadLocations = Boolean(await TrackingLocationModel.getLatestByShipment(shipment.id));
+        const { locations, duplicates } = await TrackingLocationModel.createBatch(
+            shipment.id,
+            await this.filterPoints(shipment.id, orderedPoints)
+        );
+
+        const startsTransit = !hadLocations && locations.length > 0 &&
+            PRE_TRANSIT_STATUSES.includes(shipment.status);
+
+        const result = await this.finish(actor, shipment, locations, startsTransit, socketHandler);
+        return { ...result, locations, duplicates };
+    }
+
+    /**
+     * Store a track uploaded from a file, marked as imported. Long tracks are stored in chunks of
+     * TRACKING_BATCH_MAX_POINTS, each in its own transaction, so the shipment row is never locked for
+     * the whole file. Live views get one track_imported summary instead of every point.
+     * Returns { shipment, location, accepted, duplicates, status, analysis }
+     */
+    async ingestImport(actor, shipmentId, points, socketHandler = null) {
+        const shipment = await this.findTrackableShipment(actor, shipmentId);
+        const orderedPoints = this.orderPoints(points, 'import');
+        const chunkSize = config.tracking.batchMaxPoints;
+
+        const hadLocations = Boolean(await TrackingLocationModel.getLatestByShipment(shipment.id));
+        let first = null;
+        let latest = null;
+        let accepted = 0;
+        let duplicates = 0;
+
+        // Each chunk's filter continues from the last fix the previous chunk stored
+        for (let start = 0; start < orderedPoints.length; start += chunkSize) {
+            const chunk = await TrackingLocationModel.createBatch(
+                shipment.id,
+                await this.filterPoints(shipment.id, orderedPoints.slice(start, start + chunkSize))
+            );
+
+            if (chunk.locations.length > 0) {
+                first = first || chunk.locations[0];
+                latest = chunk.locations[chunk.locations.length - 1];
+            }
+            accepted += chunk.locations.length;
+            duplicates += chunk.duplicates;
+        }
+
+        if (accepted === 0) {
+            return { shipment, location: null, accepted, duplicates, status: shipment.status, analysis: null };
+        }
+
+        const startsTransit = !hadLocations && PRE_TRANSIT_STATUSES.includes(shipment.status);
+        const analysis = await this.record(actor, shipment, first, latest, startsTransit);
+
+        if (socketHandler) {
+            socketHandler.emitTrackImported(shipment.id, {
+                driver_id: shipment.driver_id,
+                accepted,
+                duplicates,
+                first_timestamp: first.device_timestamp,
+                last_timestamp: latest.device_timestamp,
+                latest: LocationIngestionService.liveLocation(latest),
+                eta: analysis ? analysis.eta.eta : null,
+                confidence: analysis ? analysis.eta.confidence : null
+            });
+            this.broadcastAnalysis(socketHandler, shipment, startsTransit, analysis);
+        }
+
+        return {
+            shipment,
+            location: latest,
+            accepted,
+            duplicates,
+            status: startsTransit ? 'in_transit' : shipment.status,
+            analysis
+        };
+    }
+
+    // Checked device times, oldest first
+    orderPoints(points, source) {
+        const orderedPoints = points.map((point, index) => ({
+            latitude: point.latitude,
+            longitude: point.longitude,
+            accuracy: point.accuracy ?? null,
+            speed: point.speed ?? null,
+            heading: point.heading ?? null,
+            altitude: point.altitude ?? null,
+            device_timestamp: this.parseDeviceTimestamp(point.timestamp, `points[${index}].timestamp`),
+            source
+        }));
+
+        // Queues are sent in the order they were recorded; sorting guards against clients that interleave
+        return orderedPoints.sort((a, b) => a.device_timestamp - b.device_timestamp);
+    }
+
+    async finish(actor, shipment, locations, startsTransit, socketHandler) {
+        if (locations.length === 0) {
+            return { shipment, location: null, status: shipment.status, analysis: null };
+        }
+
+        const latest = locations[locations.length - 1];
+
+        const analysis = await this.record(actor, shipment, locations[0], latest, startsTransit);
+        this.broadcast(socketHandler, shipment, locations, startsTransit, analysis);
+
+        return {
+            shipment,
+            location: latest,
+            status: startsTransit ? 'in_transit' : shipment.status,
+            analysis
+        };
+    }
+
+    /**
+     * Status change for the first fix, then the shipment's timestamp and analysis of the newest one
+     */
+    async record(actor, shipment, first, latest, startsTransit) {
+        if (startsTransit) {
+            await ShipmentModel.updateStatus(shipment.id, 'in_transit', {
+                changed_by: actor.id,
+                actor_role: actor.role,
+                source: 'tracking',
+                reason: 'First GPS update received',
+                latitude: first.latitude,
+                longitude: first.longitude,
+                ip_address: actor.ip
+            });
+        }
+
+        await ShipmentModel.updateTimestamp(shipment.id);
+
+        return await this.analyze(shipment, latest);
+    }
+
+    /**
+     * Run points (in time order) through the shipment's GPS filter, continuing from the last fix it accepted.
+     * Rejected points are still stored with their raw position so the trail stays complete.
+     */
+    async filterPoints(shipmentId, points) {
+        const firstTime = points[0].device_timestamp || new Date();
+        let state = stateFromPoint(await TrackingLocationModel.getFilterState(shipmentId, firstTime));
+
+        return points.map((point) => {
+            const { state: nextState, ...filtered } = filterPoint(state, point, config.tracking.filter);
+            state = nextState;
+            return { ...point, ...filtered };
+        });
+    }
+
+    async findTrackableShipment(actor, shipmentId) {
+        const shipment = await ShipmentModel.findById(shipmentId);
+        if (!shipment) {
+            throw new AppError('Shipment not found', 404, 'SHIPMENT_NOT_FOUND');
+        }
+
+        if (actor.role === 'driver' && shipment.driver_id !== actor.id) {
+            throw new AppError('You can only update your assigned shipments', 403, 'SHIPMENT_ACCESS_DENIED');
+        }
+
+        if (actor.role === 'admin' && actor.organizationId &&
+            shipment.organization_id && shipment.organization_id !== actor.organizationId) {
+            throw new AppError('Access denied to this shipment', 403, 'ORGANIZATION_ACCESS_DENIED');
+        }
+
+        return shipment;
+    }
+
+    // A device clock far ahead of ours would place the point after everything recorded later
+    parseDeviceTimestamp(value, field) {
+        if (value == null) {
+            return null;
+        }
+
+        const timestamp = new Date(value);
+        if (Number.isNaN(timestamp.getTime())) {
+            throw new AppError(`${field} is not a valid date`, 400, 'VALIDATION_ERROR');
+        }
+        if (timestamp.getTime() > Date.now() + config.tracking.maxClockSkewSeconds * 1000) {
+            throw new AppError(`${field} is in the future`, 400, 'VALIDATION_ERROR');
+        }
+
+        return timestamp;
+    }
+
+    // The column defaults to on; shipments created before it existed count as enabled
+    isSmartEnabled(shipment) {
+        return shipment.smart_recommendations_enabled !== 0 && shipment.smart_recommendations_enabled !== false;
+    }
+
+    /**
+     * ETA and recommendations for the newest point, saved on the shipment.
+     * The point is already stored, so a failing analysis is logged rather than failing the upload.
+     */
+    async analyze(shipment, location) {
+        if (!this.isSmartEnabled(shipment)) {
+            return null;
+        }
+
+        try {
+            // Oldest first, so the last entry is the most recent fix; rejected fixes stay out of the analysis
+            const recentLocations = await TrackingLocationModel.getAllByShipment(shipment.id, ANALYSIS_HISTORY_LIMIT);
+            const trackingHistory = filteredTrace(recentLocations.reverse());
+            const position = trackingHistory.length > 0
+                ? trackingHistory[trackingHistory.length - 1]
+                : filteredPosition(location);
+            const routedShipment = { ...shipment, stops: await ShipmentStopModel.findByShipment(shipment.id) };
+
+            const recommendations = await this.recommendationService.analyzeTrackingData(
+                routedShipment,
+                position,
+                trackingHistory
+            );
+            const eta = await this.etaService.calculateETA(routedShipment, position, trackingHistory);
+            const riskScore = this.calculateRiskScore(recommendations);
+
+            await ShipmentModel.updatePrediction(shipment.id, {
+                predicted_eta: eta.eta,
+                eta_confidence: eta.confidence,
+                risk_score: riskScore
+            });
+
+            for (const recommendation of recommendations) {
+                await this.recommendationService.saveRecommendation(shipment.id, recommendation);
+            }
+
+            return { eta, recommendations, risk_score: riskScore };
+        } catch (error) {
+            logger.error('Location analysis failed', {
+                shipmentId: shipment.id,
+                error: error.message
+            });
+            return null;
+        }
+    }
+
+    calculateRiskScore(recommendations) {
+        const score = recommendations.reduce((total, recommendation) => total + (RISK_WEIGHTS[recommendation.severity] || 0), 0);
+        return Math.min(score, 100);
+    }
+
+    broadcast(socketHandler, shipment, locations, startsTransit, analysis) {
+        if (!socketHandler) {
+            return;
+        }
+
+        const extra = {
+            driver_id: shipment.driver_id,
+            eta: analysis ? analysis.eta.eta : null,
+            confidence: analysis ? analysis.eta.confidence : null
+        };
+
+        if (locations.length === 1) {
+            socketHandler.emitLocationUpdate(shipment.id, {
+                ...extra,
+                ...LocationIngestionService.liveLocation(locations[0])
+            });
+        } else {
+            socketHandler.emitLocationBatch(shipment.id, locations.map(LocationIngestionService.liveLocation), extra);
+        }
+
+        this.broadcastAnalysis(socketHandler, shipment, startsTransit, analysis);
+    }
+
+    broadcastAnalysis(socketHandler, shipment, startsTransit, analysis) {
+        if (startsTransit) {
+            socketHandler.emitShipmentStatusUpdate(shipment.id, 'in_transit');
+        }
+
+        if (analysis && analysis.recommendations.length > 0) {
+            socketHandler.emitRecommendationAlert(shipment, analysis.recommendations);
+        }
+    }
+}
+
+module.exports = LocationIngestionService;
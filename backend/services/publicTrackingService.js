@@ -0,0 +1,135 @@
+/**
+ * LinkNode Public Tracking Service
+ * Share tokens and the customer-facing view of a shipment
+ */
+
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const ShipmentStopModel = require('../models/ShipmentStop');
+const ShipmentStatusEventModel = require('../models/ShipmentStatusEvent');
+const TrackingLocationModel = require('../models/TrackingLocation');
+const DeliveryProofModel = require('../models/DeliveryProof');
+const ETAService = require('./etaService');
+const { AppError } = require('../middleware/errorHandler');
+
+const TOKEN_AUDIENCE = 'public-tracking';
+
+// Position is only shared while the shipment is on the road
+const MOVING_STATUSES = ['picked_up', 'in_transit', 'arriving'];
+
+// Enough recent points for the ETA speed estimate; none of them leave the server
+const ETA_HISTORY_POINTS = 20;
+
+class PublicTrackingService {
+    constructor(etaService = null) {
+        this.etaService = etaService || new ETAService();
+        this.options = config.publicTracking;
+    }
+
+    /**
+     * Sign a share token bound to one shipment and tracking number
+     */
+    issueShareToken(shipment, ttlHours = this.options.defaultTtlHours) {
+        const hours = Math.min(ttlHours, this.options.maxTtlHours);
+        const token = jwt.sign(
+            { sid: shipment.id, tn: shipment.tracking_number },
+            this.options.tokenSecret,
+            { expiresIn: `${hours}h`, audience: TOKEN_AUDIENCE }
+        );
+
+        return {
+            token,
+            expires_at: new Date(Date.now() + hours * 60 * 60 * 1000).toISOString()
+        };
+    }
+
+    /**
+     * Check a share token against the tracking number it is being used for
+     */
+    verifyShareToken(token, trackingNumber) {
+        let payload;
+        try {
+            payload = jwt.verify(token, this.options.tokenSecret, { audience: TOKEN_AUDIENCE });
+        } catch (error) {
+            if (error.name === 'TokenExpiredError') {
+                throw new AppError('This tracking link has expired', 401, 'SHARE_TOKEN_EXPIRED');
+            }
+            throw new AppError('Invalid tracking link', 401, 'INVALID_SHARE_TOKEN');
+        }
+
+        // Same answer as an unknown tracking number so tokens cannot be used to probe others
+        if (payload.tn !== trackingNumber) {
+            throw new AppError('Shipment not found', 404, 'SHIPMENT_NOT_FOUND');
+        }
+
+        return payload;
+    }
+
+    /**
+     * Build the public view. Leaves out driver identity, raw GPS trail and internal notes.
+     */
+    async getTrackingView(shipment) {
+        const [stops, events, proofs] = await Promise.all([
+            ShipmentStopModel.findByShipment(shipment.id),
+            ShipmentStatusEventModel.findByShipment(shipment.id),
+            DeliveryProofModel.findDeliveryByShipment(shipment.id)
+        ]);
+
+        const isMoving = MOVING_STATUSES.includes(shipment.status);
+        const history = isMoving
+            ? await TrackingLocationModel.getAllByShipment(shipment.id, ETA_HISTORY_POINTS)
+            : [];
+        const latest = history[0] || null;
+
+        return {
+            tracking_number: shipment.tracking_number,
+            status: shipment.status,
+            origin_address: shipment.origin_address,
+            destination_address: shipment.destination_address,
+            estimated_delivery: shipment.estimated_delivery,
+            eta: latest ? await this.estimateArrival({ ...shipment, stops }, latest, history) : null,
+            last_position: latest ? this.coarsenPosition(latest) : null,
+            stops: {
+                total: stops.length,
+                completed: stops.filter(stop => stop.status === 'completed').length
+            },
+            // Reassignments keep the status and name drivers in their reason, so only real moves are listed
+            status_history: events
+                .filter(event => event.from_status !== event.to_status)
+                .map(event => ({ status: event.to_status, at: event.created_at })),
+            delivered_at: shipment.delivered_at || null,
+            proofs: proofs.map(proof => ({
+                id: proof.id,
+                proof_type: proof.proof_type,
+                created_at: proof.created_at
+            }))
+        };
+    }
+
+    async estimateArrival(shipment, latest, history) {
+        const estimate = await this.etaService.calculateETA(shipment, latest, [...history].reverse());
+        if (!estimate || !estimate.eta) {
+            return null;
+        }
+
+        return {
+            eta: estimate.eta,
+            confidence: estimate.confidence || 'low'
+        };
+    }
+
+    /**
+     * Round to a grid (2 decimals is roughly 1km) so the exact vehicle position is not revealed
+     */
+    coarsenPosition(location) {
+        const precision = this.options.positionPrecision;
+        return {
+            latitude: Number(parseFloat(location.latitude).toFixed(precision)),
+            longitude: Number(parseFloat(location.longitude).toFixed(precision)),
+            approximate_radius_meters: Math.round(111000 * Math.pow(10, -precision) / 2),
+            updated_at: location.recorded_at
+        };
+    }
+}
+
+module.exports = PublicTrackingService;
@@ -3,8 +3,8 @@
  * Intelligent logistics recommendation system
  */
 
-const { getShipmentById } = require('../controllers/shipmentController');
-const { getTrackingData } = require('../controllers/trackingController');
+const config = require('../config');
+const db = require('../config/database');
 
 class RecommendationService {
     constructor() {
@@ -25,13 +25,11 @@ class RecommendationService {
     }
 
     /**
-     * Analyze real-time tracking data and generate recommendations
+     * Analyze real-time tracking data and generate recommendations.
+     * trackingHistory is oldest first, so the last entry is the most recent fix.
      */
-    async analyzeTrackingData(shipmentId, locationData) {
+    async analyzeTrackingData(shipment, locationData, trackingHistory) {
         try {
-            const shipment = await getShipmentById(shipmentId);
-            const trackingHistory = await getTrackingData(shipmentId);
-            
             const recommendations = [];
             
             // 1. Check route deviation
@@ -73,10 +71,14 @@ class RecommendationService {
         const startLocation = trackingHistory[0];
         const deviation = this.calculateDeviation(
             startLocation, 
-            shipment.destination_address, 
+            shipment, 
             currentLocation
         );
 
+        if (deviation === null) {
+            return null;
+        }
+
         if (deviation > 1000) { // 1km deviation threshold
             return {
                 type: this.recommendationTypes.ROUTE_DEVIATION,
@@ -94,24 +96,28 @@ class RecommendationService {
     }
 
     /**
-     * Analyze probability of shipment delay
+     * Analyze probability of shipment delay; higher-priority loads alert at a smaller delay
      */
     async analyzeDelayProbability(shipment, trackingHistory) {
-        if (!shipment || trackingHistory.length < 5) {
+        if (!shipment || !shipment.estimated_delivery || trackingHistory.length < 5) {
             return null;
         }
 
         const eta = await this.calculateDynamicETA(shipment, trackingHistory);
-        const plannedETA = new Date(shipment.planned_delivery_time);
+        const plannedETA = new Date(shipment.estimated_delivery);
         const delayMinutes = (eta - plannedETA) / (1000 * 60);
+        const priority = shipment.priority || 'standard';
+        const thresholdMinutes = config.priority.delayAlertMinutes[priority];
 
-        if (delayMinutes > 30) { // 30 minute delay threshold
+        if (delayMinutes > thresholdMinutes) {
             return {
                 type: this.recommendationTypes.DELAY_ALERT,
-                message: `Shipment expected to be ${Math.round(delayMinutes)} minutes late. Consider notifying customer.`,
-                severity: delayMinutes > 60 ? this.severityLevels.HIGH : this.severityLevels.MEDIUM,
+                message: `Shipment (${priority} priority) expected to be ${Math.round(delayMinutes)} minutes late. Consider notifying customer.`,
+                severity: delayMinutes > thresholdMinutes * 2 ? this.severityLevels.HIGH : this.severityLevels.MEDIUM,
                 data: {
                     delay_minutes: Math.round(delayMinutes),
+                    threshold_minutes: thresholdMinutes,
+                    priority,
                     current_eta: eta,
                     planned_eta: plannedETA
                 }
@@ -161,7 +167,7 @@ class RecommendationService {
         // Check last 10 minutes of tracking data
         const tenMinutesAgo = new Date(Date.now() - 10 * 60 * 1000);
         const recentTracking = trackingHistory.filter(t => 
-            new Date(t.timestamp) > tenMinutesAgo
+            new Date(t.device_timestamp || t.recorded_at) > tenMinutesAgo
         );
 
         const hasMovement = recentTracking.some(t => t.speed > 5);
@@ -173,7 +179,7 @@ class RecommendationService {
                 severity: this.severityLevels.MEDIUM,
                 data: {
                     idle_duration_minutes: 10,
-                    last_moving_time: new Date(recentTracking[0].timestamp)
+                    last_moving_time: new Date(recentTracking[0].device_timestamp || recentTracking[0].recorded_at)
                 }
             };
         }
@@ -205,10 +211,14 @@ class RecommendationService {
     /**
      * Calculate deviation from optimal route
      */
-    calculateDeviation(start, destination, current) {
+    calculateDeviation(start, shipment, current) {
         // Simplified deviation calculation (straight-line distance)
-        const destLat = parseFloat(destination.latitude || destination.lat);
-        const destLng = parseFloat(destination.longitude || destination.lng);
+        const destLat = parseFloat(shipment.destination_latitude);
+        const destLng = parseFloat(shipment.destination_longitude);
+
+        if (!Number.isFinite(destLat) || !Number.isFinite(destLng)) {
+            return null;
+        }
         
         const distanceToDest = this.haversineDistance(
             current.latitude, current.longitude,
@@ -235,8 +245,12 @@ class RecommendationService {
         const avgSpeed = recentSpeeds.reduce((a, b) => a + b, 0) / recentSpeeds.length;
         
         const currentLocation = trackingHistory[trackingHistory.length - 1];
-        const destLat = parseFloat(shipment.destination_latitude || shipment.destination_lat);
-        const destLng = parseFloat(shipment.destination_longitude || shipment.destination_lng);
+        const destLat = parseFloat(shipment.destination_latitude);
+        const destLng = parseFloat(shipment.destination_longitude);
+
+        if (!Number.isFinite(destLat) || !Number.isFinite(destLng)) {
+            return new Date(Date.now() + 2 * 60 * 60 * 1000); // Default 2 hours
+        }
         
         const remainingDistance = this.haversineDistance(
             currentLocation.latitude, currentLocation.longitude,
@@ -272,14 +286,13 @@ class RecommendationService {
      */
     async saveRecommendation(shipmentId, recommendation) {
         try {
-            const db = require('../config/database');
             const query = `
                 INSERT INTO recommended_actions 
                 (shipment_id, recommendation_type, message, severity, created_at)
                 VALUES (?, ?, ?, ?, NOW())
             `;
             
-            await db.execute(query, [
+            await db.query(query, [
                 shipmentId,
                 recommendation.type,
                 recommendation.message,
@@ -298,7 +311,6 @@ class RecommendationService {
      */
     async getRecommendations(shipmentId, limit = 10) {
         try {
-            const db = require('../config/database');
             const query = `
                 SELECT * FROM recommended_actions 
                 WHERE shipment_id = ? 
@@ -306,7 +318,7 @@ class RecommendationService {
                 LIMIT ?
             `;
             
-            const [rows] = await db.execute(query, [shipmentId, limit]);
+            const rows = await db.query(query, [shipmentId, limit]);
             return rows;
         } catch (error) {
             console.error('Error getting recommendations:', error);
@@ -319,15 +331,14 @@ class RecommendationService {
      */
     async acknowledgeRecommendation(recommendationId) {
         try {
-            const db = require('../config/database');
             const query = `
                 UPDATE recommended_actions 
-                SET acknowledged = TRUE 
+                SET acknowledged = TRUE, acknowledged_at = NOW()
                 WHERE id = ?
             `;
             
-            await db.execute(query, [recommendationId]);
-            return true;
+            const result = await db.query(query, [recommendationId]);
+            return result.affectedRows > 0;
         } catch (error) {
             console.error('Error acknowledging recommendation:', error);
             return false;
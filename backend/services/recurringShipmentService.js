@@ -0,0 +1,158 @@
+/**
+ * LinkNode Recurring Shipment Service
+ * Creates shipments ahead of time from recurring shipment templates
+ */
+
+const config = require('../config');
+const db = require('../config/database');
+const ShipmentModel = require('../models/Shipment');
+const ShipmentTemplateModel = require('../models/ShipmentTemplate');
+const { toDateKey, nextOccurrence, listOccurrences } = require('../utils/recurrence');
+const logger = require('../utils/logger');
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+class RecurringShipmentService {
+    constructor(options = config.recurringShipments) {
+        this.options = options;
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * First occurrence to schedule from now on. Occurrences before `now` that were never
+     * generated (a paused template, or the server was down) are not created late.
+     */
+    firstOccurrence(template, now = new Date()) {
+        const lastGenerated = template.last_occurrence_at ? new Date(template.last_occurrence_at) : null;
+        const after = lastGenerated && lastGenerated > now ? lastGenerated : now;
+        return nextOccurrence(ShipmentTemplateModel.toRule(template), after);
+    }
+
+    /**
+     * Upcoming occurrences for display, flagging the ones an admin has skipped
+     */
+    async previewOccurrences(template, now = new Date()) {
+        const first = template.status === 'active' && template.next_occurrence_at
+            ? new Date(template.next_occurrence_at)
+            : this.firstOccurrence(template, now);
+        if (!first) return [];
+
+        const rule = ShipmentTemplateModel.toRule(template);
+        const occurrences = [first, ...listOccurrences(rule, first, this.options.previewCount - 1)];
+        const skipped = new Set(await ShipmentTemplateModel.getSkipDates(template.id, toDateKey(first)));
+
+        return occurrences.map(occurrence => ({
+            scheduled_for: occurrence.toISOString(),
+            date: toDateKey(occurrence),
+            skipped: skipped.has(toDateKey(occurrence))
+        }));
+    }
+
+    /**
+     * Generate every due occurrence across all active templates
+     */
+    async generateDue(now = new Date()) {
+        const horizon = new Date(now.getTime() + this.options.leadHours * HOUR);
+        const due = await ShipmentTemplateModel.findDue(horizon);
+        const created = [];
+
+        // One failing template (e.g. a removed driver) must not hold up the others
+        for (const { id } of due) {
+            try {
+                created.push(...await this.generateForTemplate(id, horizon, now));
+            } catch (error) {
+                logger.error('Recurring shipment generation failed', { templateId: id, error: error.message });
+            }
+        }
+
+        return created;
+    }
+
+    async generateForTemplate(templateId, horizon, now = new Date()) {
+        return await db.transaction(async (tx) => {
+            const template = await ShipmentTemplateModel.lockById(templateId, tx);
+            if (!template || template.status !== 'active' || !template.next_occurrence_at) {
+                return [];
+            }
+
+            const rule = ShipmentTemplateModel.toRule(template);
+            let next = new Date(template.next_occurrence_at);
+            let last = template.last_occurrence_at;
+            const skipped = new Set(await ShipmentTemplateModel.getSkipDates(templateId, toDateKey(next), tx));
+            const created = [];
+
+            while (next && next <= horizon) {
+                if (next < now) {
+                    logger.warn('Recurring shipment occurrence missed', { templateId, scheduledFor: next.toISOString() });
+                } else if (!skipped.has(toDateKey(next))) {
+                    created.push(await ShipmentModel.create(this.buildShipment(template, next), tx));
+                }
+
+                last = next;
+                next = nextOccurrence(rule, next);
+            }
+
+            await ShipmentTemplateModel.advance(templateId, next, last, tx);
+            return created;
+        });
+    }
+
+    buildShipment(template, occurrence) {
+        return {
+            origin_address: template.origin_address,
+            destination_address: template.destination_address,
+            origin_latitude: template.origin_latitude,
+            origin_longitude: template.origin_longitude,
+            destination_latitude: template.destination_latitude,
+            destination_longitude: template.destination_longitude,
+            driver_id: template.driver_id,
+            organization_id: template.organization_id,
+            estimated_delivery: template.delivery_offset_minutes != null
+                ? new Date(occurrence.getTime() + template.delivery_offset_minutes * MINUTE)
+                : null,
+            notes: template.notes,
+            template_id: template.id,
+            scheduled_for: occurrence,
+            created_by: template.created_by,
+            source: 'recurring_template'
+        };
+    }
+
+    /**
+     * Run the scheduler in the background; onCreated receives each generated shipment
+     */
+    start(onCreated = () => {}) {
+        if (this.timer) return;
+
+        const tick = async () => {
+            if (this.running) return;
+            this.running = true;
+
+            try {
+                const created = await this.generateDue();
+                created.forEach(shipment => onCreated(shipment));
+
+                if (created.length > 0) {
+                    logger.info('Recurring shipments created', { created: created.length });
+                }
+            } catch (error) {
+                logger.error('Recurring shipment scheduling failed', { error: error.message });
+            } finally {
+                this.running = false;
+            }
+        };
+
+        this.timer = setInterval(tick, this.options.intervalMs);
+        this.timer.unref();
+        tick();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = RecurringShipmentService;
@@ -3,6 +3,17 @@
  * Advanced route performance and optimization analysis
  */
 
+const { filteredTrace } = require('../utils/gpsFilter');
+
+// When the device took the fix; rows stored before device times were kept fall back to recorded_at
+const pointTime = (point) => new Date(point.device_timestamp || point.recorded_at);
+
+// Points replayed after an offline stretch arrive late, so analysis always works in device time
+const orderByDeviceTime = (trackingData) => [...trackingData].sort((a, b) => pointTime(a) - pointTime(b));
+
+// Analysis runs on the GPS-filtered trace: rejected fixes are dropped and the rest use their smoothed position
+const analysisTrace = (trackingData) => filteredTrace(orderByDeviceTime(trackingData));
+
 class RouteAnalysisService {
     constructor() {
         this.performanceMetrics = {
@@ -18,7 +29,9 @@ class RouteAnalysisService {
      */
     async analyzeRoutePerformance(shipmentId, trackingData) {
         try {
-            if (!trackingData || trackingData.length < 2) {
+            trackingData = analysisTrace(trackingData || []);
+
+            if (trackingData.length < 2) {
                 return null;
             }
 
@@ -31,6 +44,7 @@ class RouteAnalysisService {
                 idle_time: this.calculateIdleTime(trackingData),
                 route_efficiency: 0,
                 performance_grade: 'AVERAGE',
+                anomalies: this.detectAnomalies(trackingData),
                 recommendations: []
             };
 
@@ -71,8 +85,8 @@ class RouteAnalysisService {
     calculateTotalTime(trackingData) {
         if (trackingData.length < 2) return 0;
         
-        const startTime = new Date(trackingData[0].timestamp);
-        const endTime = new Date(trackingData[trackingData.length - 1].timestamp);
+        const startTime = pointTime(trackingData[0]);
+        const endTime = pointTime(trackingData[trackingData.length - 1]);
         
         return (endTime - startTime) / 1000; // seconds
     }
@@ -97,7 +111,7 @@ class RouteAnalysisService {
             const prev = trackingData[i - 1];
             
             if (curr.speed <= idleThreshold) {
-                const timeDiff = (new Date(curr.timestamp) - new Date(prev.timestamp)) / 1000;
+                const timeDiff = (pointTime(curr) - pointTime(prev)) / 1000;
                 idleTime += timeDiff;
             }
         }
@@ -222,6 +236,7 @@ class RouteAnalysisService {
      */
     detectAnomalies(trackingData) {
         const anomalies = [];
+        trackingData = analysisTrace(trackingData);
         
         // Speed spikes
         const speedAnomalies = this.detectSpeedAnomalies(trackingData);
@@ -255,7 +270,7 @@ class RouteAnalysisService {
                     value: speeds[i],
                     previous_value: speeds[i-1],
                     change: speedChange,
-                    timestamp: trackingData[i].timestamp
+                    timestamp: pointTime(trackingData[i])
                 });
             }
         }
@@ -275,7 +290,7 @@ class RouteAnalysisService {
                 trackingData[i].latitude, trackingData[i].longitude
             );
             
-            const timeDiff = (new Date(trackingData[i].timestamp) - new Date(trackingData[i-2].timestamp)) / 1000;
+            const timeDiff = (pointTime(trackingData[i]) - pointTime(trackingData[i-2])) / 1000;
             const impliedSpeed = distance / timeDiff;
             
             if (impliedSpeed > 50) { // Impossibly fast movement
@@ -284,7 +299,7 @@ class RouteAnalysisService {
                     index: i,
                     distance: distance,
                     implied_speed: impliedSpeed,
-                    timestamp: trackingData[i].timestamp
+                    timestamp: pointTime(trackingData[i])
                 });
             }
         }
@@ -299,14 +314,14 @@ class RouteAnalysisService {
         const anomalies = [];
         
         for (let i = 1; i < trackingData.length; i++) {
-            const timeDiff = (new Date(trackingData[i].timestamp) - new Date(trackingData[i-1].timestamp)) / 1000;
+            const timeDiff = (pointTime(trackingData[i]) - pointTime(trackingData[i-1])) / 1000;
             
             if (timeDiff > 300) { // Gap > 5 minutes
                 anomalies.push({
                     type: 'time_gap',
                     index: i,
                     gap_duration: timeDiff,
-                    timestamp: trackingData[i].timestamp
+                    timestamp: pointTime(trackingData[i])
                 });
             }
         }
@@ -0,0 +1,197 @@
+/**
+ * LinkNode Shipment Export Service
+ * Streams shipment extracts as CSV or NDJSON, reading the database in keyset batches
+ */
+
+const config = require('../config');
+const ShipmentModel = require('../models/Shipment');
+const TrackingLocationModel = require('../models/TrackingLocation');
+const RouteHistoryModel = require('../models/RouteHistory');
+const { formatCsvRow } = require('../utils/csv');
+
+const SHIPMENT_COLUMNS = [
+    'id',
+    'tracking_number',
+    'status',
+    'origin_address',
+    'origin_latitude',
+    'origin_longitude',
+    'destination_address',
+    'destination_latitude',
+    'destination_longitude',
+    'driver_id',
+    'driver_name',
+    'driver_email',
+    'organization_id',
+    'estimated_delivery',
+    'promised_window_start',
+    'promised_window_end',
+    'sla_policy',
+    'sla_status',
+    'priority',
+    'delivered_at',
+    'delivery_notes',
+    'notes',
+    'created_at',
+    'updated_at'
+];
+
+const STATS_COLUMNS = [
+    'total_updates',
+    'first_update',
+    'last_update',
+    'min_lat',
+    'max_lat',
+    'min_lng',
+    'max_lng'
+];
+
+// CSV has one line per shipment, so only the latest route_history entry is flattened in
+const ROUTE_COLUMNS = [
+    'total_distance',
+    'total_time',
+    'average_speed',
+    'delay_minutes',
+    'route_efficiency',
+    'performance_grade',
+    'max_speed',
+    'idle_time'
+];
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+class ShipmentExportService {
+    constructor() {
+        this.batchSize = config.shipmentExport.batchSize;
+    }
+
+    getContentType(format) {
+        return CONTENT_TYPES[format];
+    }
+
+    /**
+     * Write the export to a writable stream, respecting backpressure.
+     * include: subset of ['stats', 'route_history']
+     */
+    async streamExport(output, { user, filters = {}, format = 'csv', include = [] }) {
+        const options = {
+            stats: include.includes('stats'),
+            routeHistory: include.includes('route_history')
+        };
+
+        if (format === 'csv') {
+            await this.write(output, formatCsvRow(this.getCsvHeader(options)));
+        }
+
+        let exported = 0;
+
+        for await (const shipment of this.iterateShipments(user, filters)) {
+            if (output.destroyed) break;
+
+            const record = await this.buildRecord(shipment, options);
+            const chunk = format === 'csv'
+                ? formatCsvRow(this.toCsvValues(record, options))
+                : `${JSON.stringify(record)}\n`;
+
+            await this.write(output, chunk);
+            exported++;
+        }
+
+        output.end();
+        return exported;
+    }
+
+    /**
+     * Yield shipments one at a time while only holding a single batch in memory
+     */
+    async *iterateShipments(user, filters) {
+        let cursor = null;
+
+        while (true) {
+            const batch = await ShipmentModel.findAll(user.role, user.id, user.organizationId, {
+                ...filters,
+                cursor,
+                limit: this.batchSize
+            });
+
+            yield* batch;
+
+            if (batch.length < this.batchSize) return;
+
+            cursor = ShipmentModel.getCursor(batch[batch.length - 1], filters.sort);
+        }
+    }
+
+    async buildRecord(shipment, options) {
+        const record = {};
+        for (const column of SHIPMENT_COLUMNS) {
+            record[column] = shipment[column] ?? null;
+        }
+
+        if (options.stats) {
+            record.tracking_stats = await TrackingLocationModel.getShipmentStats(shipment.id);
+        }
+
+        if (options.routeHistory) {
+            record.route_history = await RouteHistoryModel.findByShipment(shipment.id);
+        }
+
+        return record;
+    }
+
+    getCsvHeader(options) {
+        const header = [...SHIPMENT_COLUMNS];
+
+        if (options.stats) {
+            header.push(...STATS_COLUMNS.map(column => `tracking_${column}`));
+        }
+
+        if (options.routeHistory) {
+            header.push('route_history_count', ...ROUTE_COLUMNS.map(column =>
+                column.startsWith('route_') ? column : `route_${column}`
+            ));
+        }
+
+        return header;
+    }
+
+    toCsvValues(record, options) {
+        const values = SHIPMENT_COLUMNS.map(column => record[column]);
+
+        if (options.stats) {
+            const stats = record.tracking_stats || {};
+            values.push(...STATS_COLUMNS.map(column => stats[column]));
+        }
+
+        if (options.routeHistory) {
+            const latest = record.route_history[record.route_history.length - 1] || {};
+            values.push(record.route_history.length, ...ROUTE_COLUMNS.map(column => latest[column]));
+        }
+
+        return values;
+    }
+
+    /**
+     * Resolve once the chunk is flushed or the client has gone away
+     */
+    write(output, chunk) {
+        if (output.write(chunk)) {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => {
+            const done = () => {
+                output.off('drain', done);
+                output.off('close', done);
+                resolve();
+            };
+            output.on('drain', done);
+            output.on('close', done);
+        });
+    }
+}
+
+module.exports = ShipmentExportService;
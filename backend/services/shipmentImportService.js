@@ -0,0 +1,213 @@
+/**
+ * LinkNode Shipment Import Service
+ * Bulk-creates shipments from a dispatcher's CSV, validating every row independently
+ */
+
+const config = require('../config');
+const db = require('../config/database');
+const ShipmentModel = require('../models/Shipment');
+const UserModel = require('../models/User');
+const GeocodingService = require('./geocodingService');
+const { AppError } = require('../middleware/errorHandler');
+const { validateObject } = require('../middleware/validator');
+const { createShipmentRules } = require('../validators/shipmentValidators');
+const { parseCsvObjects } = require('../utils/csv');
+
+const REQUIRED_COLUMNS = ['origin_address', 'destination_address', 'driver_email'];
+
+// Columns copied from the CSV into the shipment, validated with the createShipment rules
+const SHIPMENT_COLUMNS = [
+    'origin_address',
+    'destination_address',
+    'origin_latitude',
+    'origin_longitude',
+    'destination_latitude',
+    'destination_longitude',
+    'estimated_delivery',
+    'promised_window_start',
+    'promised_window_end',
+    'sla_policy',
+    'priority',
+    'notes'
+];
+
+class ShipmentImportService {
+    constructor(geocodingService = null) {
+        this.geocodingService = geocodingService || new GeocodingService();
+        this.maxRows = config.shipmentImport.maxRows;
+    }
+
+    /**
+     * Validate every row, then create the valid ones in a single transaction unless dryRun is set
+     */
+    async importCsv(csvText, { user, dryRun = false }) {
+        const { columns, rows } = parseCsvObjects(csvText || '');
+
+        const missingColumns = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+        if (missingColumns.length > 0) {
+            throw new AppError(`CSV is missing required columns: ${missingColumns.join(', ')}`, 400, 'INVALID_CSV');
+        }
+
+        if (rows.length === 0) {
+            throw new AppError('CSV contains no shipment rows', 400, 'INVALID_CSV');
+        }
+
+        if (rows.length > this.maxRows) {
+            throw new AppError(`CSV exceeds the limit of ${this.maxRows} rows`, 400, 'INVALID_CSV');
+        }
+
+        const drivers = await this.resolveDrivers(rows);
+        const results = [];
+
+        for (const row of rows) {
+            results.push(await this.prepareRow(row, drivers, user));
+        }
+
+        const validRows = results.filter(result => result.errors.length === 0);
+
+        if (!dryRun && validRows.length > 0) {
+            await db.transaction(async (tx) => {
+                for (const result of validRows) {
+                    const shipment = await ShipmentModel.create(result.shipmentData, tx);
+                    result.shipment = {
+                        id: shipment.id,
+                        tracking_number: shipment.tracking_number,
+                        delivery_pin: shipment.delivery_pin
+                    };
+                }
+            });
+        }
+
+        return {
+            dry_run: dryRun,
+            total_rows: results.length,
+            valid_rows: validRows.length,
+            invalid_rows: results.length - validRows.length,
+            created: dryRun ? 0 : validRows.length,
+            rows: results.map(result => this.formatResult(result, dryRun))
+        };
+    }
+
+    /**
+     * Look up each distinct driver email once
+     */
+    async resolveDrivers(rows) {
+        const emails = [...new Set(rows
+            .map(row => row.data.driver_email.toLowerCase())
+            .filter(Boolean))];
+
+        const drivers = new Map();
+        for (const email of emails) {
+            drivers.set(email, await UserModel.findByEmail(email));
+        }
+
+        return drivers;
+    }
+
+    async prepareRow(row, drivers, user) {
+        const shipmentData = this.coerceRow(row.data);
+        const errors = [];
+
+        const driverEmail = row.data.driver_email.toLowerCase();
+        const driver = driverEmail ? drivers.get(driverEmail) : null;
+
+        if (!driverEmail) {
+            errors.push('driver_email is required');
+        } else if (!driver) {
+            errors.push(`No user found with email ${row.data.driver_email}`);
+        } else if (driver.role !== 'driver') {
+            errors.push(`${row.data.driver_email} is not a driver`);
+        } else if (!driver.is_active) {
+            errors.push(`${row.data.driver_email} is deactivated`);
+        } else if (user.organizationId && driver.organization_id &&
+                   driver.organization_id !== user.organizationId) {
+            errors.push(`${row.data.driver_email} belongs to a different organization`);
+        } else {
+            shipmentData.driver_id = driver.id;
+        }
+
+        errors.push(...validateObject(shipmentData, this.getRowRules(), 'row')
+            .map(error => error.replace(/^row\./, '')));
+
+        for (const prefix of ['origin', 'destination']) {
+            if ((shipmentData[`${prefix}_latitude`] == null) !== (shipmentData[`${prefix}_longitude`] == null)) {
+                errors.push(`${prefix}_latitude and ${prefix}_longitude must be provided together`);
+            }
+        }
+
+        const windowError = ShipmentModel.deliveryWindowError(
+            shipmentData.promised_window_start,
+            shipmentData.promised_window_end
+        );
+        if (windowError) {
+            errors.push(windowError);
+        }
+
+        if (shipmentData.promised_window_end && !shipmentData.sla_policy) {
+            shipmentData.sla_policy = config.sla.defaultPolicy;
+        }
+
+        if (errors.length === 0) {
+            Object.assign(shipmentData, await this.geocodingService.resolveShipmentCoordinates(shipmentData));
+        }
+
+        return {
+            line: row.line,
+            errors,
+            driver_email: row.data.driver_email,
+            shipmentData: {
+                ...shipmentData,
+                organization_id: user.organizationId || null,
+                created_by: user.id,
+                source: 'csv_import'
+            }
+        };
+    }
+
+    /**
+     * CSV values are all strings: convert numeric columns and treat blanks as absent
+     */
+    coerceRow(data) {
+        const rules = this.getRowRules();
+
+        return SHIPMENT_COLUMNS.reduce((shipmentData, column) => {
+            const value = data[column];
+            if (value === undefined || value === '') {
+                return shipmentData;
+            }
+
+            shipmentData[column] = rules[column].type === 'number' ? Number(value) : value;
+            return shipmentData;
+        }, {});
+    }
+
+    // driver_id is left out: drivers are resolved from driver_email and reported above
+    getRowRules() {
+        const rules = {};
+        for (const column of SHIPMENT_COLUMNS) {
+            rules[column] = createShipmentRules[column];
+        }
+        return rules;
+    }
+
+    formatResult(result, dryRun) {
+        const valid = result.errors.length === 0;
+        const data = result.shipmentData;
+
+        return {
+            line: result.line,
+            status: !valid ? 'invalid' : (dryRun ? 'valid' : 'created'),
+            errors: result.errors,
+            driver_email: result.driver_email,
+            origin_address: data.origin_address || null,
+            destination_address: data.destination_address || null,
+            origin_latitude: data.origin_latitude ?? null,
+            origin_longitude: data.origin_longitude ?? null,
+            destination_latitude: data.destination_latitude ?? null,
+            destination_longitude: data.destination_longitude ?? null,
+            shipment: result.shipment || null
+        };
+    }
+}
+
+module.exports = ShipmentImportService;
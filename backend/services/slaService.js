@@ -0,0 +1,123 @@
+/**
+ * LinkNode SLA Service
+ * Compares predicted arrival against each shipment's promised delivery window
+ */
+
+const config = require('../config');
+const ShipmentModel = require('../models/Shipment');
+const logger = require('../utils/logger');
+
+const MINUTE = 60 * 1000;
+
+class SlaService {
+    constructor(options = config.sla) {
+        this.options = options;
+        this.timer = null;
+        this.running = false;
+    }
+
+    getPolicy(name) {
+        return this.options.policies[name] || this.options.policies[this.options.defaultPolicy];
+    }
+
+    /**
+     * SLA status for one shipment at the given time, or null when no SLA applies
+     */
+    evaluate(shipment, now = new Date()) {
+        if (!shipment.promised_window_end || ['cancelled', 'returned'].includes(shipment.status)) {
+            return null;
+        }
+
+        const policy = this.getPolicy(shipment.sla_policy);
+        const deadline = new Date(shipment.promised_window_end).getTime() + policy.graceMinutes * MINUTE;
+
+        if (shipment.status === 'delivered') {
+            return new Date(shipment.delivered_at).getTime() <= deadline ? 'met' : 'breached';
+        }
+
+        if (now.getTime() > deadline) {
+            return 'breached';
+        }
+
+        if (shipment.status === 'failed') {
+            return 'at_risk';
+        }
+
+        // Fall back to the planned time until live tracking has produced a prediction
+        const eta = shipment.predicted_eta || shipment.estimated_delivery;
+        const safeBy = new Date(shipment.promised_window_end).getTime() - policy.atRiskMinutes * MINUTE;
+        const expected = eta ? new Date(eta).getTime() : now.getTime();
+
+        return expected > safeBy ? 'at_risk' : 'on_track';
+    }
+
+    /**
+     * Re-evaluate every open shipment with a window and persist the ones that changed
+     */
+    async evaluateAll(now = new Date()) {
+        const changes = [];
+        let afterId = 0;
+        let evaluated = 0;
+
+        for (;;) {
+            const batch = await ShipmentModel.findForSlaEvaluation(afterId, this.options.batchSize);
+            if (batch.length === 0) break;
+
+            for (const shipment of batch) {
+                const slaStatus = this.evaluate(shipment, now);
+                evaluated++;
+
+                if (slaStatus !== shipment.sla_status) {
+                    await ShipmentModel.updateSlaStatus(shipment.id, slaStatus);
+                    changes.push({
+                        shipment_id: shipment.id,
+                        organization_id: shipment.organization_id,
+                        previous_status: shipment.sla_status,
+                        sla_status: slaStatus
+                    });
+                }
+            }
+
+            afterId = batch[batch.length - 1].id;
+        }
+
+        return { evaluated, changes };
+    }
+
+    /**
+     * Run the evaluator in the background; onChange receives each status change
+     */
+    start(onChange = () => {}) {
+        if (this.timer) return;
+
+        const tick = async () => {
+            // Skip a tick rather than overlap with a slow previous run
+            if (this.running) return;
+            this.running = true;
+
+            try {
+                const { evaluated, changes } = await this.evaluateAll();
+                changes.forEach(change => onChange(change));
+
+                if (changes.length > 0) {
+                    logger.info('SLA statuses updated', { evaluated, changed: changes.length });
+                }
+            } catch (error) {
+                logger.error('SLA evaluation failed', { error: error.message });
+            } finally {
+                this.running = false;
+            }
+        };
+
+        this.timer = setInterval(tick, this.options.evaluationIntervalMs);
+        this.timer.unref();
+        tick();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = SlaService;
@@ -0,0 +1,54 @@
+/**
+ * LinkNode Local Disk Storage
+ * Storage adapter that keeps uploaded files under a directory on the server
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class LocalDiskStorage {
+    constructor(options = {}) {
+        this.name = 'local';
+        this.rootDir = path.resolve(options.rootDir);
+    }
+
+    /**
+     * Write a buffer under the given key, creating directories as needed
+     */
+    async save(key, buffer) {
+        const filePath = this.resolve(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+        return { key, size: buffer.length };
+    }
+
+    async exists(key) {
+        try {
+            await fs.promises.access(this.resolve(key));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    createReadStream(key) {
+        return fs.createReadStream(this.resolve(key));
+    }
+
+    async delete(key) {
+        await fs.promises.rm(this.resolve(key), { force: true });
+    }
+
+    /**
+     * Map a key to a path, refusing anything that would escape the root directory
+     */
+    resolve(key) {
+        const filePath = path.resolve(this.rootDir, key);
+        if (!filePath.startsWith(this.rootDir + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+}
+
+module.exports = LocalDiskStorage;
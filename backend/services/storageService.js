@@ -0,0 +1,48 @@
+/**
+ * LinkNode Storage Service
+ * Stores uploaded files through a pluggable adapter
+ */
+
+const config = require('../config');
+const LocalDiskStorage = require('./storage/localDiskStorage');
+
+// Adapters implement save(key, buffer), exists(key), createReadStream(key) and delete(key)
+const adapters = {
+    local: LocalDiskStorage
+};
+
+class StorageService {
+    constructor(adapter = null) {
+        this.adapter = adapter || StorageService.createAdapter(config.storage.driver);
+    }
+
+    static registerAdapter(name, Adapter) {
+        adapters[name] = Adapter;
+    }
+
+    static createAdapter(name) {
+        const Adapter = adapters[name];
+        if (!Adapter) {
+            throw new Error(`Unknown storage driver: ${name}`);
+        }
+        return new Adapter(config.storage[name] || {});
+    }
+
+    async save(key, buffer) {
+        return await this.adapter.save(key, buffer);
+    }
+
+    async exists(key) {
+        return await this.adapter.exists(key);
+    }
+
+    createReadStream(key) {
+        return this.adapter.createReadStream(key);
+    }
+
+    async delete(key) {
+        return await this.adapter.delete(key);
+    }
+}
+
+module.exports = StorageService;
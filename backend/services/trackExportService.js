@@ -0,0 +1,262 @@
+/**
+ * LinkNode Track Export Service
+ * Builds GPX 1.1, KML and GeoJSON documents of a shipment's recorded track for GIS tools
+ */
+
+const TrackingLocationModel = require('../models/TrackingLocation');
+const ShipmentStopModel = require('../models/ShipmentStop');
+const ShipmentStatusEventModel = require('../models/ShipmentStatusEvent');
+const DeliveryAttemptModel = require('../models/DeliveryAttempt');
+
+const FORMATS = {
+    gpx: { contentType: 'application/gpx+xml; charset=utf-8', extension: 'gpx' },
+    kml: { contentType: 'application/vnd.google-earth.kml+xml; charset=utf-8', extension: 'kml' },
+    geojson: { contentType: 'application/geo+json; charset=utf-8', extension: 'geojson' }
+};
+
+// Namespace of the per-point GPX extensions (speed, accuracy, heading)
+const GPX_EXTENSION_NAMESPACE = 'https://mohit0b.github.io/linknode/gpx/1';
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const toNumber = (value) => (value == null ? null : Number(value));
+
+const toIsoTime = (value) => (value == null ? null : new Date(value).toISOString());
+
+// Optional XML element; omitted entirely when there is no value
+const xmlElement = (name, value) => (value == null ? '' : `<${name}>${escapeXml(value)}</${name}>`);
+
+const hasPosition = (record) => record.latitude != null && record.longitude != null;
+
+class TrackExportService {
+    getContentType(format) {
+        return FORMATS[format].contentType;
+    }
+
+    getFilename(shipment, format) {
+        return `${shipment.tracking_number || `shipment-${shipment.id}`}-track.${FORMATS[format].extension}`;
+    }
+
+    /**
+     * The export document for a shipment, as a string in the requested format
+     */
+    async buildExport(shipment, format) {
+        const points = (await TrackingLocationModel.getLocationHistory(shipment.id)).map(location => ({
+            latitude: toNumber(location.latitude),
+            longitude: toNumber(location.longitude),
+            altitude: toNumber(location.altitude),
+            time: toIsoTime(location.device_timestamp || location.recorded_at),
+            speed: toNumber(location.speed),
+            accuracy: toNumber(location.accuracy),
+            heading: toNumber(location.heading)
+        }));
+        const waypoints = await this.getWaypoints(shipment.id);
+        const name = `Shipment ${shipment.tracking_number || shipment.id}`;
+
+        switch (format) {
+            case 'gpx':
+                return this.toGpx(name, points, waypoints);
+            case 'kml':
+                return this.toKml(name, points, waypoints);
+            default:
+                return JSON.stringify(this.toGeoJson(shipment, name, points, waypoints), null, 2);
+        }
+    }
+
+    /**
+     * Stops, status changes and failed delivery attempts that have a position, in time order
+     */
+    async getWaypoints(shipmentId) {
+        const stops = await ShipmentStopModel.findByShipment(shipmentId);
+        const events = await ShipmentStatusEventModel.findByShipment(shipmentId);
+        const attempts = await DeliveryAttemptModel.findByShipment(shipmentId);
+
+        const waypoints = [
+            ...stops.filter(hasPosition).map(stop => ({
+                type: 'stop',
+                name: `Stop ${stop.sequence} (${stop.stop_type})`,
+                description: stop.address,
+                status: stop.status,
+                latitude: toNumber(stop.latitude),
+                longitude: toNumber(stop.longitude),
+                time: toIsoTime(stop.completed_at)
+            })),
+            ...events.filter(hasPosition).map(event => ({
+                type: 'status_change',
+                name: `Status: ${event.to_status}`,
+                description: event.reason,
+                status: event.to_status,
+                latitude: toNumber(event.latitude),
+                longitude: toNumber(event.longitude),
+                time: toIsoTime(event.created_at)
+            })),
+            ...attempts.filter(hasPosition).map(attempt => ({
+                type: 'delivery_attempt',
+                name: `Failed attempt ${attempt.attempt_number}`,
+                description: attempt.notes ? `${attempt.reason_code}: ${attempt.notes}` : attempt.reason_code,
+                status: attempt.resolution,
+                latitude: toNumber(attempt.latitude),
+                longitude: toNumber(attempt.longitude),
+                time: toIsoTime(attempt.created_at)
+            }))
+        ];
+
+        // Pending stops have no time yet and go last, in sequence order
+        return waypoints.sort((a, b) => {
+            if (a.time === b.time) return 0;
+            if (a.time === null) return 1;
+            if (b.time === null) return -1;
+            return a.time.localeCompare(b.time);
+        });
+    }
+
+    toGpx(name, points, waypoints) {
+        const wpts = waypoints.map(waypoint => [
+            `  <wpt lat="${waypoint.latitude}" lon="${waypoint.longitude}">`,
+            `    ${xmlElement('time', waypoint.time)}${xmlElement('name', waypoint.name)}` +
+                `${xmlElement('desc', waypoint.description)}${xmlElement('type', waypoint.type)}`,
+            '  </wpt>'
+        ].join('\n'));
+
+        const trkpts = points.map(point => {
+            const extensions = xmlElement('linknode:speed', point.speed) +
+                xmlElement('linknode:accuracy', point.accuracy) +
+                xmlElement('linknode:heading', point.heading);
+
+            return `      <trkpt lat="${point.latitude}" lon="${point.longitude}">` +
+                `${xmlElement('ele', point.altitude)}${xmlElement('time', point.time)}` +
+                `${extensions ? `<extensions>${extensions}</extensions>` : ''}</trkpt>`;
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gpx version="1.1" creator="LinkNode"',
+            '     xmlns="http://www.topografix.com/GPX/1/1"',
+            `     xmlns:linknode="${GPX_EXTENSION_NAMESPACE}"`,
+            '     xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+            '     xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">',
+            `  <metadata>${xmlElement('name', name)}${xmlElement('time', new Date().toISOString())}</metadata>`,
+            ...wpts,
+            '  <trk>',
+            `    ${xmlElement('name', name)}`,
+            '    <trkseg>',
+            ...trkpts,
+            '    </trkseg>',
+            '  </trk>',
+            '</gpx>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * KML has no per-vertex data on a LineString, so the fixes are repeated as a gx:Track
+     * that carries each one's time, speed and accuracy for tools that can replay it
+     */
+    toKml(name, points, waypoints) {
+        const coordinate = (point) => [point.longitude, point.latitude, point.altitude ?? 0].join(',');
+        const arrayData = (field) => [
+            `        <gx:SimpleArrayData name="${field}">`,
+            ...points.map(point => `          <gx:value>${point[field] ?? ''}</gx:value>`),
+            '        </gx:SimpleArrayData>'
+        ];
+
+        const placemarks = waypoints.map(waypoint => [
+            '    <Placemark>',
+            `      ${xmlElement('name', waypoint.name)}${xmlElement('description', waypoint.description)}`,
+            waypoint.time ? `      <TimeStamp><when>${waypoint.time}</when></TimeStamp>` : null,
+            `      <ExtendedData><Data name="type"><value>${waypoint.type}</value></Data></ExtendedData>`,
+            `      <Point><coordinates>${coordinate(waypoint)}</coordinates></Point>`,
+            '    </Placemark>'
+        ].filter(line => line !== null).join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+            '  <Document>',
+            `    ${xmlElement('name', name)}`,
+            '    <Schema id="fix" name="fix">',
+            '      <gx:SimpleArrayField name="speed" type="float"><displayName>Speed (m/s)</displayName></gx:SimpleArrayField>',
+            '      <gx:SimpleArrayField name="accuracy" type="float"><displayName>Accuracy (m)</displayName></gx:SimpleArrayField>',
+            '    </Schema>',
+            '    <Placemark>',
+            '      <name>Route</name>',
+            '      <LineString>',
+            '        <tessellate>1</tessellate>',
+            `        <coordinates>${points.map(coordinate).join(' ')}</coordinates>`,
+            '      </LineString>',
+            '    </Placemark>',
+            '    <Placemark>',
+            '      <name>Fixes</name>',
+            '      <gx:Track>',
+            ...points.map(point => `        <when>${point.time}</when>`),
+            ...points.map(point => `        <gx:coord>${coordinate(point).replace(/,/g, ' ')}</gx:coord>`),
+            '        <ExtendedData>',
+            '          <SchemaData schemaUrl="#fix">',
+            ...arrayData('speed').map(line => `    ${line}`),
+            ...arrayData('accuracy').map(line => `    ${line}`),
+            '          </SchemaData>',
+            '        </ExtendedData>',
+            '      </gx:Track>',
+            '    </Placemark>',
+            ...placemarks,
+            '  </Document>',
+            '</kml>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * One LineString feature with per-vertex values in coordinateProperties, then a Point per waypoint
+     */
+    toGeoJson(shipment, name, points, waypoints) {
+        const position = (point) => (point.altitude == null
+            ? [point.longitude, point.latitude]
+            : [point.longitude, point.latitude, point.altitude]);
+
+        return {
+            type: 'FeatureCollection',
+            features: [
+                {
+                    type: 'Feature',
+                    geometry: {
+                        type: 'LineString',
+                        coordinates: points.map(position)
+                    },
+                    properties: {
+                        type: 'track',
+                        name,
+                        shipment_id: shipment.id,
+                        tracking_number: shipment.tracking_number,
+                        coordinateProperties: {
+                            times: points.map(point => point.time),
+                            speed: points.map(point => point.speed),
+                            accuracy: points.map(point => point.accuracy),
+                            heading: points.map(point => point.heading)
+                        }
+                    }
+                },
+                ...waypoints.map(waypoint => ({
+                    type: 'Feature',
+                    geometry: {
+                        type: 'Point',
+                        coordinates: position(waypoint)
+                    },
+                    properties: {
+                        type: waypoint.type,
+                        name: waypoint.name,
+                        description: waypoint.description,
+                        status: waypoint.status,
+                        time: waypoint.time
+                    }
+                }))
+            ]
+        };
+    }
+}
+
+module.exports = TrackExportService;
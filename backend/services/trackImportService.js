@@ -0,0 +1,129 @@
+/**
+ * LinkNode Track Import Service
+ * Replays a GPX track onto a shipment through the normal location ingestion pipeline
+ */
+
+const config = require('../config');
+const TrackingLocationModel = require('../models/TrackingLocation');
+const LocationIngestionService = require('./locationIngestionService');
+const RouteAnalysisService = require('./routeAnalysisService');
+const ETAService = require('./etaService');
+const { AppError } = require('../middleware/errorHandler');
+const { validateObject } = require('../middleware/validator');
+const { locationPointRules } = require('../validators/shipmentValidators');
+const { isGpx, parseTrackPoints } = require('../utils/gpx');
+
+// Enough point errors to fix a file without flooding the response
+const MAX_REPORTED_ERRORS = 20;
+
+// Batch upload rules for everything but the time, which GPX carries as <time> and is checked on its own
+const POSITION_RULES = Object.fromEntries(
+    Object.entries(locationPointRules).filter(([field]) => field !== 'timestamp')
+);
+
+class TrackImportService {
+    constructor(locationIngestionService = null, routeAnalysisService = null, etaService = null) {
+        this.locationIngestionService = locationIngestionService || new LocationIngestionService();
+        this.routeAnalysisService = routeAnalysisService || new RouteAnalysisService();
+        this.etaService = etaService || new ETAService();
+        this.maxPoints = config.tracking.importMaxPoints;
+    }
+
+    /**
+     * Validate every track point, then store them all as imported points.
+     * startAt moves the whole track so its first point falls at that time, e.g. to replay a demo trip today.
+     * Returns the ingestion result plus { parsed, route_analysis }
+     */
+    async importGpx(actor, shipmentId, gpxText, { startAt = null, socketHandler = null } = {}) {
+        if (!isGpx(gpxText || '')) {
+            throw new AppError('File is not a GPX document', 400, 'INVALID_GPX');
+        }
+
+        const trackPoints = parseTrackPoints(gpxText, { maxPoints: this.maxPoints });
+
+        if (trackPoints.length === 0) {
+            throw new AppError('GPX contains no track points', 400, 'INVALID_GPX');
+        }
+
+        if (trackPoints.length > this.maxPoints) {
+            throw new AppError(`GPX exceeds the limit of ${this.maxPoints} track points`, 400, 'INVALID_GPX');
+        }
+
+        const points = this.toLocationPoints(trackPoints, startAt);
+
+        const result = await this.locationIngestionService.ingestImport(actor, shipmentId, points, socketHandler);
+
+        const routeAnalysis = result.accepted > 0
+            ? await this.recordRouteHistory(result.shipment.id)
+            : null;
+
+        return { ...result, parsed: trackPoints.length, route_analysis: routeAnalysis };
+    }
+
+    /**
+     * Track points as ingestion points, checked with the same rules as a batch upload
+     */
+    toLocationPoints(trackPoints, startAt) {
+        const errors = [];
+
+        const points = trackPoints.map((trackPoint) => {
+            const label = `trkpt[${trackPoint.index + 1}]`;
+            const time = trackPoint.time ? new Date(trackPoint.time) : null;
+
+            // A point without its own time cannot be placed in the trail
+            if (!time) {
+                errors.push(`${label}.time is required`);
+            } else if (Number.isNaN(time.getTime())) {
+                errors.push(`${label}.time is not a valid date`);
+            }
+
+            const point = {
+                latitude: trackPoint.latitude,
+                longitude: trackPoint.longitude,
+                accuracy: trackPoint.accuracy,
+                speed: trackPoint.speed,
+                heading: trackPoint.heading,
+                altitude: trackPoint.altitude,
+                timestamp: time && !Number.isNaN(time.getTime()) ? time.toISOString() : null
+            };
+
+            errors.push(...validateObject(point, POSITION_RULES, label));
+
+            return point;
+        });
+
+        if (errors.length > 0) {
+            const shown = errors.slice(0, MAX_REPORTED_ERRORS).join(', ');
+            const more = errors.length > MAX_REPORTED_ERRORS ? ` and ${errors.length - MAX_REPORTED_ERRORS} more` : '';
+            throw new AppError(`Invalid track points: ${shown}${more}`, 400, 'INVALID_GPX');
+        }
+
+        return startAt ? this.shiftTimes(points, new Date(startAt)) : points;
+    }
+
+    shiftTimes(points, startAt) {
+        const first = Math.min(...points.map(point => Date.parse(point.timestamp)));
+        const offset = startAt.getTime() - first;
+
+        return points.map(point => ({
+            ...point,
+            timestamp: new Date(Date.parse(point.timestamp) + offset).toISOString()
+        }));
+    }
+
+    /**
+     * Analyze the shipment's whole trail, now including the imported points, and keep it in route_history
+     */
+    async recordRouteHistory(shipmentId) {
+        const trackingData = await TrackingLocationModel.getLocationHistory(shipmentId);
+        const analysis = await this.routeAnalysisService.analyzeRoutePerformance(shipmentId, trackingData);
+
+        if (analysis) {
+            await this.etaService.saveRouteHistory(shipmentId, analysis);
+        }
+
+        return analysis;
+    }
+}
+
+module.exports = TrackImportService;
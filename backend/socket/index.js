@@ -62,6 +62,14 @@ class SocketHandler {
       connectedAt: new Date()
     });
 
+    // Personal room so a driver hears about shipments they have not joined yet
+    socket.join(`user_${user.id}`);
+
+    // Dashboard-wide alerts go to the admins who can see the organization's shipments
+    if (user.role === 'admin') {
+      socket.join(this.adminRoom(user.organizationId));
+    }
+
     logger.info('User connected via socket', {
       socketId: socket.id,
       userId: user.id,
@@ -215,6 +223,41 @@ class SocketHandler {
     });
   }
 
+  // One update for a replayed batch: the newest point at the top level, the whole trail in points
+  emitLocationBatch(shipmentId, points, extra = {}) {
+    const roomName = `shipment_${shipmentId}`;
+    const latest = points[points.length - 1];
+
+    this.io.to(roomName).emit('location_update', {
+      shipment_id: shipmentId,
+      ...extra,
+      ...latest,
+      points
+    });
+
+    logger.debug('Location batch emitted', {
+      shipmentId,
+      room: roomName,
+      points: points.length
+    });
+  }
+
+  // A GPX import is summarized rather than replayed point by point; viewers reload the trail
+  emitTrackImported(shipmentId, importData) {
+    const roomName = `shipment_${shipmentId}`;
+
+    this.io.to(roomName).emit('track_imported', {
+      shipment_id: shipmentId,
+      ...importData
+    });
+
+    logger.debug('Track import emitted', {
+      shipmentId,
+      room: roomName,
+      points: importData.accepted
+    });
+  }
+
   emitShipmentDelivered(shipmentId, deliveryData) {
     const roomName = `shipment_${shipmentId}`;
     
@@ -229,6 +272,36 @@ class SocketHandler {
     });
   }
 
+  emitStopCompleted(shipmentId, stopData) {
+    const roomName = `shipment_${shipmentId}`;
+    
+    this.io.to(roomName).emit('stop_completed', {
+      shipment_id: shipmentId,
+      ...stopData
+    });
+
+    logger.info('Stop completed event emitted', {
+      shipmentId,
+      room: roomName,
+      stopId: stopData.stop.id
+    });
+  }
+
+  emitStopsUpdated(shipmentId, stops) {
+    const roomName = `shipment_${shipmentId}`;
+    
+    this.io.to(roomName).emit('shipment_stops_updated', {
+      shipment_id: shipmentId,
+      stops
+    });
+
+    logger.info('Shipment stops update emitted', {
+      shipmentId,
+      room: roomName,
+      stopCount: stops.length
+    });
+  }
+
   emitShipmentStatusUpdate(shipmentId, status) {
     const roomName = `shipment_${shipmentId}`;
     
@@ -245,6 +318,162 @@ class SocketHandler {
     });
   }
 
+  emitShipmentUpdated(shipmentId, driverId, updateData) {
+    const roomName = `shipment_${shipmentId}`;
+
+    this.io.to(roomName).to(`user_${driverId}`).emit('shipment_updated', {
+      shipment_id: shipmentId,
+      ...updateData
+    });
+
+    logger.info('Shipment update emitted', {
+      shipmentId,
+      room: roomName,
+      changes: updateData.changes
+    });
+  }
+
+  emitShipmentReassigned(shipmentId, reassignmentData) {
+    const roomName = `shipment_${shipmentId}`;
+    const previousDriverRoom = `user_${reassignmentData.previous_driver_id}`;
+
+    this.io
+      .to(roomName)
+      .to(previousDriverRoom)
+      .to(`user_${reassignmentData.driver_id}`)
+      .emit('shipment_reassigned', {
+        shipment_id: shipmentId,
+        ...reassignmentData
+      });
+
+    // The previous driver no longer has access to the shipment's live updates
+    this.io.in(previousDriverRoom).socketsLeave(roomName);
+
+    logger.info('Shipment reassignment emitted', {
+      shipmentId,
+      room: roomName,
+      previousDriverId: reassignmentData.previous_driver_id,
+      driverId: reassignmentData.driver_id
+    });
+  }
+
+  emitShipmentCancelled(shipmentId, driverId, cancellationData) {
+    const roomName = `shipment_${shipmentId}`;
+
+    this.io.to(roomName).to(`user_${driverId}`).emit('shipment_cancelled', {
+      shipment_id: shipmentId,
+      ...cancellationData
+    });
+
+    logger.info('Shipment cancellation emitted', {
+      shipmentId,
+      room: roomName
+    });
+  }
+
+  emitNewShipment(shipment) {
+    this.io.to(`user_${shipment.driver_id}`).emit('new_shipment', {
+      shipment_id: shipment.id,
+      tracking_number: shipment.tracking_number,
+      scheduled_for: shipment.scheduled_for
+    });
+
+    logger.info('New shipment emitted', {
+      shipmentId: shipment.id,
+      driverId: shipment.driver_id
+    });
+  }
+
+  emitDeliveryAttemptFailed(shipment, attempt) {
+    const roomName = `shipment_${shipment.id}`;
+
+    // Dispatch decides what happens next, so the organization's admins hear about it directly
+    this.io
+      .to(roomName)
+      .to(this.adminRoom(shipment.organization_id))
+      .to(this.adminRoom(null))
+      .emit('delivery_attempt_failed', {
+        shipment_id: shipment.id,
+        tracking_number: shipment.tracking_number,
+        failed_attempts: shipment.failed_attempts,
+        attempt
+      });
+
+    logger.info('Failed delivery attempt emitted', {
+      shipmentId: shipment.id,
+      room: roomName,
+      attemptNumber: attempt.attempt_number
+    });
+  }
+
+  emitShipmentComment(shipment, comment) {
+    const roomName = `shipment_${shipment.id}`;
+
+    // The assigned driver and dispatch need unread counts even without the shipment open
+    this.io
+      .to(roomName)
+      .to(`user_${shipment.driver_id}`)
+      .to(this.adminRoom(shipment.organization_id))
+      .to(this.adminRoom(null))
+      .emit('shipment_comment', {
+        shipment_id: shipment.id,
+        comment
+      });
+
+    logger.info('Shipment comment emitted', {
+      shipmentId: shipment.id,
+      room: roomName,
+      commentId: comment.id
+    });
+  }
+
+  emitRecommendationAlert(shipment, recommendations) {
+    const roomName = `shipment_${shipment.id}`;
+
+    this.io
+      .to(roomName)
+      .to(this.adminRoom(shipment.organization_id))
+      .to(this.adminRoom(null))
+      .emit('recommendation_alert', {
+        shipment_id: shipment.id,
+        driver_id: shipment.driver_id,
+        recommendations,
+        timestamp: new Date().toISOString()
+      });
+
+    logger.info('Recommendation alert emitted', {
+      shipmentId: shipment.id,
+      room: roomName,
+      count: recommendations.length
+    });
+  }
+
+  adminRoom(organizationId) {
+    return organizationId ? `admins_${organizationId}` : 'admins_global';
+  }
+
+  emitSlaStatusChanged(shipmentId, slaData) {
+    const roomName = `shipment_${shipmentId}`;
+
+    // Admins without an organization see every shipment, so they get every alert
+    this.io
+      .to(roomName)
+      .to(this.adminRoom(slaData.organization_id))
+      .to(this.adminRoom(null))
+      .emit('sla_status_changed', {
+        shipment_id: shipmentId,
+        sla_status: slaData.sla_status,
+        previous_status: slaData.previous_status,
+        evaluated_at: new Date().toISOString()
+      });
+
+    logger.info('SLA status change emitted', {
+      shipmentId,
+      room: roomName,
+      slaStatus: slaData.sla_status
+    });
+  }
+
   getConnectionStats() {
     return {
       totalConnections: this.connectedUsers.size,
@@ -0,0 +1,105 @@
+// RFC 4180 parsing: quoted fields may contain commas, doubled quotes and line breaks
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  const endRecord = () => {
+    record.push(field);
+    // Skip blank lines, which spreadsheets like to leave at the end
+    if (record.length > 1 || record[0].trim() !== '') {
+      records.push({ line: recordLine, values: record });
+    }
+    record = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    endRecord();
+  }
+
+  return records;
+};
+
+// Map each record onto the header row, trimming whitespace around values
+const parseCsvObjects = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return { columns: [], rows: [] };
+  }
+
+  const columns = header.values.map(column => column.trim().toLowerCase());
+
+  return {
+    columns,
+    rows: rows.map(row => ({
+      line: row.line,
+      data: columns.reduce((data, column, index) => {
+        data[column] = (row.values[index] || '').trim();
+        return data;
+      }, {})
+    }))
+  };
+};
+
+// Spreadsheet apps execute cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const NUMERIC = /^-?\d+(\.\d+)?$/;
+
+const formatCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (FORMULA_PREFIX.test(text) && !NUMERIC.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatCsvRow = (values) => `${values.map(formatCsvValue).join(',')}\r\n`;
+
+module.exports = {
+  parseCsv,
+  parseCsvObjects,
+  formatCsvRow
+};
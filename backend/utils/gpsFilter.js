@@ -0,0 +1,135 @@
+/**
+ * GPS noise filtering for tracking points.
+ * Each shipment's trace runs through its own filter: fixes that are too inaccurate or imply an
+ * impossible speed are rejected, and the rest are smoothed with a Kalman-style filter.
+ * The filter state is the last accepted point: { filtered_latitude, filtered_longitude, filter_variance, time }.
+ */
+
+const FILTER_STATUSES = ['accepted', 'rejected_accuracy', 'rejected_speed'];
+
+const EARTH_RADIUS_METERS = 6371e3;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+const distanceMeters = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+
+  return EARTH_RADIUS_METERS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const pointTime = (point) => new Date(point.device_timestamp || point.recorded_at || Date.now());
+
+/**
+ * Filter state carried forward from a stored point, or null if the point cannot seed the filter
+ */
+const stateFromPoint = (point) => {
+  if (!point || point.filter_status !== 'accepted' || point.filtered_latitude == null) {
+    return null;
+  }
+
+  return {
+    filtered_latitude: Number(point.filtered_latitude),
+    filtered_longitude: Number(point.filtered_longitude),
+    filter_variance: Number(point.filter_variance),
+    time: pointTime(point)
+  };
+};
+
+/**
+ * Run one fix through the filter.
+ * options: { maxAccuracyMeters, defaultAccuracyMeters, maxSpeedMps, processNoiseMps, resetAfterSeconds }
+ * Returns { filtered_latitude, filtered_longitude, filter_variance, filter_status, state };
+ * rejected fixes have no filtered position and leave the state unchanged.
+ */
+const filterPoint = (state, point, options) => {
+  const latitude = Number(point.latitude);
+  const longitude = Number(point.longitude);
+  const time = pointTime(point);
+  const accuracy = point.accuracy == null ? options.defaultAccuracyMeters : Math.max(Number(point.accuracy), 1);
+
+  const reject = (status) => ({
+    filtered_latitude: null,
+    filtered_longitude: null,
+    filter_variance: null,
+    filter_status: status,
+    state
+  });
+
+  if (accuracy > options.maxAccuracyMeters) {
+    return reject('rejected_accuracy');
+  }
+
+  const elapsedSeconds = state ? (time - state.time) / 1000 : null;
+
+  // After a long gap the old position says little about the new one, so the filter starts over
+  if (!state || elapsedSeconds > options.resetAfterSeconds) {
+    const variance = accuracy * accuracy;
+    return {
+      filtered_latitude: latitude,
+      filtered_longitude: longitude,
+      filter_variance: variance,
+      filter_status: 'accepted',
+      state: { filtered_latitude: latitude, filtered_longitude: longitude, filter_variance: variance, time }
+    };
+  }
+
+  // Fixes within the same second still get a full second of travel
+  const seconds = Math.max(elapsedSeconds, 1);
+
+  // Both positions are uncertain, so only movement beyond their combined error counts towards speed
+  const distance = distanceMeters(state.filtered_latitude, state.filtered_longitude, latitude, longitude);
+  const margin = accuracy + Math.sqrt(state.filter_variance);
+  if (Math.max(distance - margin, 0) / seconds > options.maxSpeedMps) {
+    return reject('rejected_speed');
+  }
+
+  // Predict: uncertainty grows with time since the last fix. Update: weigh the fix by its accuracy.
+  const predictedVariance = state.filter_variance + seconds * options.processNoiseMps ** 2;
+  const gain = predictedVariance / (predictedVariance + accuracy * accuracy);
+  const filtered = {
+    filtered_latitude: state.filtered_latitude + gain * (latitude - state.filtered_latitude),
+    filtered_longitude: state.filtered_longitude + gain * (longitude - state.filtered_longitude),
+    filter_variance: (1 - gain) * predictedVariance
+  };
+
+  return {
+    ...filtered,
+    filter_status: 'accepted',
+    state: { ...filtered, time: time > state.time ? time : state.time }
+  };
+};
+
+/**
+ * The point at its filtered position; points stored before filtering keep their raw position
+ */
+const filteredPosition = (point) => {
+  if (point.filtered_latitude == null || point.filtered_longitude == null) {
+    return point;
+  }
+
+  return {
+    ...point,
+    latitude: Number(point.filtered_latitude),
+    longitude: Number(point.filtered_longitude)
+  };
+};
+
+const isRejected = (point) => Boolean(point.filter_status) && point.filter_status !== 'accepted';
+
+/**
+ * A trace with rejected fixes dropped and the rest moved to their filtered positions
+ */
+const filteredTrace = (trackingData) => trackingData.filter(point => !isRejected(point)).map(filteredPosition);
+
+module.exports = {
+  FILTER_STATUSES,
+  distanceMeters,
+  stateFromPoint,
+  filterPoint,
+  filteredPosition,
+  filteredTrace,
+  isRejected
+};
@@ -0,0 +1,150 @@
+/**
+ * Minimal GPX 1.0/1.1 reader for track imports.
+ * Only track points are read: position, <time>, <ele> and the speed, accuracy and heading
+ * extensions written by our own export or common device formats (e.g. gpxtpx:speed, course).
+ * Namespace prefixes are ignored, so <gpxtpx:speed> and <speed> are the same field.
+ * The document is read in one forward pass over its tags, so malformed input cannot make it rescan.
+ */
+
+// Elements inside a <trkpt> whose text is read
+const POINT_FIELDS = ['ele', 'time', 'speed', 'accuracy', 'heading', 'course'];
+
+const XML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\''
+};
+
+const decodeXml = (value) => value.replace(/&(amp|lt|gt|quot|apos);/g, (match, entity) => XML_ENTITIES[entity]);
+
+const readAttribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`));
+  return match ? decodeXml(match[1] ?? match[2]).trim() : null;
+};
+
+// { closing, name (local, lowercase), attributes, selfClosing } for the text between < and >
+const parseTag = (tag) => {
+  const match = tag.match(/^(\/?)\s*(?:[\w.-]+:)?([\w.-]+)([\s\S]*)$/);
+  if (!match) {
+    return null;
+  }
+
+  const attributes = match[3].trimEnd();
+  const selfClosing = attributes.endsWith('/');
+
+  return {
+    closing: match[1] === '/',
+    name: match[2].toLowerCase(),
+    attributes: selfClosing ? attributes.slice(0, -1) : attributes,
+    selfClosing
+  };
+};
+
+const toNumber = (value) => (value == null || value === '' ? null : Number(value));
+
+const toTrackPoint = (index, attributes, values) => ({
+  index,
+  latitude: toNumber(readAttribute(attributes, 'lat')),
+  longitude: toNumber(readAttribute(attributes, 'lon')),
+  altitude: toNumber(values.ele),
+  speed: toNumber(values.speed),
+  accuracy: toNumber(values.accuracy),
+  heading: toNumber(values.heading ?? values.course),
+  time: values.time ?? null
+});
+
+const isGpx = (text) => /<(?:[\w-]+:)?gpx\b/.test(text);
+
+/**
+ * Track points in document order as { index, latitude, longitude, altitude, speed, accuracy, heading, time }.
+ * Values are numbers (NaN when unreadable) or null when absent; time is the raw <time> text.
+ * A <trkpt> that is never closed is dropped. Reading stops once there are more than maxPoints,
+ * so an oversized file is rejected without reading all of it.
+ */
+const parseTrackPoints = (text, { maxPoints = Infinity } = {}) => {
+  const points = [];
+  let point = null;
+  let field = null;
+  let value = '';
+  let position = 0;
+
+  while (position < text.length && points.length <= maxPoints) {
+    const open = text.indexOf('<', position);
+    if (open === -1) {
+      break;
+    }
+
+    if (field) {
+      value += decodeXml(text.slice(position, open));
+    }
+
+    let end;
+    if (text.startsWith('<![CDATA[', open)) {
+      end = text.indexOf(']]>', open);
+      if (end === -1) break;
+      if (field) value += text.slice(open + 9, end);
+      position = end + 3;
+      continue;
+    }
+
+    if (text.startsWith('<!--', open)) {
+      end = text.indexOf('-->', open);
+      if (end === -1) break;
+      position = end + 3;
+      continue;
+    }
+
+    end = text.indexOf('>', open);
+    if (end === -1) {
+      break;
+    }
+    position = end + 1;
+
+    const tag = parseTag(text.slice(open + 1, end));
+    if (!tag) {
+      // <?xml ...?>, <!DOCTYPE ...> and stray markup
+      continue;
+    }
+
+    if (tag.name === 'trkpt') {
+      if (tag.closing) {
+        if (point) points.push(toTrackPoint(points.length, point.attributes, point.values));
+        point = null;
+      } else if (tag.selfClosing) {
+        points.push(toTrackPoint(points.length, tag.attributes, {}));
+        point = null;
+      } else {
+        point = { attributes: tag.attributes, values: {} };
+      }
+      field = null;
+      continue;
+    }
+
+    if (!point) {
+      continue;
+    }
+
+    if (field) {
+      if (tag.closing && tag.name === field) {
+        // The first occurrence of a field wins
+        if (!(field in point.values)) point.values[field] = value.trim();
+        field = null;
+      }
+      continue;
+    }
+
+    if (!tag.closing && !tag.selfClosing && POINT_FIELDS.includes(tag.name)) {
+      field = tag.name;
+      value = '';
+    }
+  }
+
+  return points;
+};
+
+module.exports = {
+  isGpx,
+  parseTrackPoints
+};
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+
+// previous_hash of the first record in a shipment's chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Chained decimals are written as fixed-scale strings so MySQL stores exactly what was hashed
+const toDecimalString = (value, scale) => (value == null ? null : Number(value).toFixed(scale));
+
+const decimal = (scale) => (value) => toDecimalString(value, scale);
+const integer = (value) => (value == null ? null : Number(value));
+const text = (value) => (value == null ? null : String(value));
+const timestamp = (value) => (value == null ? null : new Date(value).toISOString());
+
+const TRACKING_LOCATION_FIELDS = [
+  ['shipment_id', integer],
+  ['latitude', decimal(8)],
+  ['longitude', decimal(8)],
+  ['accuracy', decimal(2)],
+  ['speed', decimal(2)],
+  ['recorded_at', timestamp]
+];
+
+// Hashed fields per record type and chain version, in a fixed order. Values are formatted the way
+// the columns store them so a record hashes the same when written and when read back from MySQL.
+// Fields are never added to an existing version: records keep the version they were written with,
+// so chains written before a column was chained still verify.
+const RECORD_FIELDS = {
+  tracking_location: {
+    1: TRACKING_LOCATION_FIELDS,
+    2: [
+      ...TRACKING_LOCATION_FIELDS,
+      ['heading', decimal(2)],
+      ['altitude', decimal(2)],
+      ['device_timestamp', timestamp],
+      ['received_at', timestamp],
+      ['filtered_latitude', decimal(8)],
+      ['filtered_longitude', decimal(8)],
+      ['filter_variance', decimal(2)],
+      ['filter_status', text],
+      ['source', text]
+    ]
+  },
+  status_event: {
+    1: [
+      ['shipment_id', integer],
+      ['from_status', text],
+      ['to_status', text],
+      ['changed_by', integer],
+      ['actor_role', text],
+      ['source', text],
+      ['reason', text],
+      ['latitude', decimal(8)],
+      ['longitude', decimal(8)],
+      ['ip_address', text],
+      ['created_at', timestamp]
+    ]
+  }
+};
+
+// Version new records are written with; records without a chain_version predate versioning
+const CHAIN_VERSIONS = {
+  tracking_location: 2,
+  status_event: 1
+};
+
+const computeRecordHash = (recordType, record, sequence, previousHash) => {
+  const version = record.chain_version || 1;
+  const fields = RECORD_FIELDS[recordType] && RECORD_FIELDS[recordType][version];
+  if (!fields) {
+    throw new Error(`Unknown chain record type or version: ${recordType} v${version}`);
+  }
+
+  // Version 1 payloads predate versioning and stay as they were
+  const payload = JSON.stringify([
+    recordType,
+    ...(version > 1 ? [version] : []),
+    sequence,
+    previousHash,
+    ...fields.map(([name, format]) => format(record[name]))
+  ]);
+
+  return crypto.createHash('sha256').update(payload).digest('hex');
+};
+
+// TIMESTAMP columns keep whole seconds, so chained timestamps are truncated before hashing
+const chainTimestamp = (date = new Date()) => new Date(Math.floor(date.getTime() / 1000) * 1000);
+
+module.exports = {
+  GENESIS_HASH,
+  RECORD_FIELDS,
+  CHAIN_VERSIONS,
+  computeRecordHash,
+  toDecimalString,
+  chainTimestamp
+};
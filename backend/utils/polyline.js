@@ -0,0 +1,117 @@
+/**
+ * Track simplification and Google encoded polylines for tracking history responses.
+ * Points are { latitude, longitude, ... }; extra fields are carried through untouched.
+ */
+
+const EARTH_RADIUS_METERS = 6371e3;
+
+// Web Mercator ground resolution at the equator, zoom 0 (meters per 256px tile pixel)
+const METERS_PER_PIXEL_AT_ZOOM_0 = 156543.03392;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Tolerance that drops detail smaller than about one screen pixel at the given map zoom
+ */
+const toleranceForZoom = (zoom, latitude = 0) =>
+  METERS_PER_PIXEL_AT_ZOOM_0 * Math.cos(toRadians(latitude)) / Math.pow(2, zoom);
+
+/**
+ * Distance in meters from point p to the segment a-b, on a flat projection around the segment.
+ * Good enough at the scale of one track segment.
+ */
+const segmentDistance = (p, a, b) => {
+  const scale = Math.cos(toRadians((Number(a.latitude) + Number(b.latitude)) / 2));
+  const project = (point) => ({
+    x: toRadians(Number(point.longitude)) * scale * EARTH_RADIUS_METERS,
+    y: toRadians(Number(point.latitude)) * EARTH_RADIUS_METERS
+  });
+
+  const pp = project(p);
+  const pa = project(a);
+  const pb = project(b);
+  const dx = pb.x - pa.x;
+  const dy = pb.y - pa.y;
+  const lengthSquared = dx * dx + dy * dy;
+
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((pp.x - pa.x) * dx + (pp.y - pa.y) * dy) / lengthSquared));
+
+  return Math.hypot(pp.x - (pa.x + t * dx), pp.y - (pa.y + t * dy));
+};
+
+/**
+ * Douglas–Peucker simplification: keeps the first and last points and every point that deviates
+ * more than toleranceMeters from the simplified line. Iterative, so long trips cannot overflow the stack.
+ */
+const simplifyTrack = (points, toleranceMeters) => {
+  if (points.length <= 2 || !(toleranceMeters > 0)) {
+    return points;
+  }
+
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+
+  const ranges = [[0, points.length - 1]];
+  while (ranges.length > 0) {
+    const [first, last] = ranges.pop();
+    let farthest = -1;
+    let maxDistance = toleranceMeters;
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = segmentDistance(points[i], points[first], points[last]);
+      if (distance > maxDistance) {
+        farthest = i;
+        maxDistance = distance;
+      }
+    }
+
+    if (farthest !== -1) {
+      keep[farthest] = true;
+      ranges.push([first, farthest], [farthest, last]);
+    }
+  }
+
+  return points.filter((point, index) => keep[index]);
+};
+
+const encodeSignedValue = (value) => {
+  let remaining = value < 0 ? ~(value << 1) : value << 1;
+  let encoded = '';
+
+  while (remaining >= 0x20) {
+    encoded += String.fromCharCode((0x20 | (remaining & 0x1f)) + 63);
+    remaining >>= 5;
+  }
+
+  return encoded + String.fromCharCode(remaining + 63);
+};
+
+/**
+ * Google encoded polyline format (precision 5 unless given)
+ */
+const encodePolyline = (points, precision = 5) => {
+  const factor = Math.pow(10, precision);
+  let previousLat = 0;
+  let previousLng = 0;
+  let encoded = '';
+
+  for (const point of points) {
+    const lat = Math.round(Number(point.latitude) * factor);
+    const lng = Math.round(Number(point.longitude) * factor);
+
+    encoded += encodeSignedValue(lat - previousLat) + encodeSignedValue(lng - previousLng);
+    previousLat = lat;
+    previousLng = lng;
+  }
+
+  return encoded;
+};
+
+module.exports = {
+  toleranceForZoom,
+  simplifyTrack,
+  encodePolyline
+};
@@ -0,0 +1,107 @@
+/**
+ * Recurrence rules for shipment templates.
+ * A rule is { frequency, weekdays, day_of_month, time_of_day, starts_on, ends_on }.
+ * Dates and times are UTC; weekdays use ISO numbering (1 = Monday ... 7 = Sunday).
+ */
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A year covers every weekly and monthly rule, including day 31 in short months
+const MAX_SEARCH_DAYS = 400;
+
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+
+const isoWeekday = (date) => date.getUTCDay() || 7;
+
+const daysInMonth = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+
+const atTimeOfDay = (day, timeOfDay) => {
+  const [hours, minutes] = timeOfDay.split(':').map(Number);
+  return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hours, minutes));
+};
+
+/**
+ * Whether the rule runs on the given UTC day (ignoring its start and end dates)
+ */
+const runsOn = (rule, day) => {
+  switch (rule.frequency) {
+    case 'daily':
+      return true;
+    case 'weekly':
+      return rule.weekdays.includes(isoWeekday(day));
+    case 'monthly':
+      // Day 31 falls back to the last day of shorter months
+      return day.getUTCDate() === Math.min(rule.day_of_month, daysInMonth(day));
+    default:
+      return false;
+  }
+};
+
+/**
+ * First occurrence strictly after `after`, or null once the rule has ended
+ */
+const nextOccurrence = (rule, after) => {
+  const startDay = new Date(`${toDateKey(after)}T00:00:00Z`);
+
+  for (let offset = 0; offset <= MAX_SEARCH_DAYS; offset++) {
+    const day = new Date(startDay.getTime() + offset * DAY_MS);
+    const dateKey = toDateKey(day);
+
+    if (rule.ends_on && dateKey > rule.ends_on) {
+      return null;
+    }
+    if (rule.starts_on && dateKey < rule.starts_on) {
+      continue;
+    }
+
+    const occurrence = atTimeOfDay(day, rule.time_of_day);
+    if (occurrence > after && runsOn(rule, day)) {
+      return occurrence;
+    }
+  }
+
+  return null;
+};
+
+const listOccurrences = (rule, after, count) => {
+  const occurrences = [];
+  let cursor = after;
+
+  while (occurrences.length < count) {
+    const next = nextOccurrence(rule, cursor);
+    if (!next) break;
+    occurrences.push(next);
+    cursor = next;
+  }
+
+  return occurrences;
+};
+
+/**
+ * Cross-field checks the schema validator cannot express; returns a message or null
+ */
+const ruleError = (rule) => {
+  if (rule.frequency === 'weekly' && (!Array.isArray(rule.weekdays) || rule.weekdays.length === 0)) {
+    return 'weekdays is required for weekly templates';
+  }
+  if (Array.isArray(rule.weekdays) && rule.weekdays.some(day => !Number.isInteger(day) || day < 1 || day > 7)) {
+    return 'weekdays must be ISO day numbers from 1 (Monday) to 7 (Sunday)';
+  }
+  if (rule.frequency === 'monthly' && !rule.day_of_month) {
+    return 'day_of_month is required for monthly templates';
+  }
+  if (rule.starts_on && rule.ends_on && rule.ends_on < rule.starts_on) {
+    return 'ends_on must not be before starts_on';
+  }
+  return null;
+};
+
+module.exports = {
+  FREQUENCIES,
+  toDateKey,
+  nextOccurrence,
+  listOccurrences,
+  ruleError
+};
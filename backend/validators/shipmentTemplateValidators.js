@@ -0,0 +1,145 @@
+const { validate } = require('../middleware/validator');
+const { FREQUENCIES } = require('../utils/recurrence');
+
+const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+const timeOfDayPattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const templateIdParams = {
+  id: {
+    required: true,
+    type: 'string',
+    pattern: /^\d+$/
+  }
+};
+
+// Shared by create and update; create marks the essentials as required
+const templateRules = {
+  name: {
+    required: false,
+    type: 'string',
+    minLength: 1,
+    maxLength: 120
+  },
+  origin_address: {
+    required: false,
+    type: 'string',
+    minLength: 5,
+    maxLength: 1000
+  },
+  destination_address: {
+    required: false,
+    type: 'string',
+    minLength: 5,
+    maxLength: 1000
+  },
+  origin_latitude: {
+    required: false,
+    type: 'number',
+    min: -90,
+    max: 90
+  },
+  origin_longitude: {
+    required: false,
+    type: 'number',
+    min: -180,
+    max: 180
+  },
+  destination_latitude: {
+    required: false,
+    type: 'number',
+    min: -90,
+    max: 90
+  },
+  destination_longitude: {
+    required: false,
+    type: 'number',
+    min: -180,
+    max: 180
+  },
+  driver_id: {
+    required: false,
+    type: 'number',
+    min: 1
+  },
+  notes: {
+    required: false,
+    type: 'string',
+    maxLength: 2000
+  },
+  frequency: {
+    required: false,
+    type: 'string',
+    enum: FREQUENCIES
+  },
+  // ISO weekday numbers, 1 = Monday; checked element by element in the controller
+  weekdays: {
+    required: false,
+    type: 'array',
+    maxItems: 7
+  },
+  day_of_month: {
+    required: false,
+    type: 'number',
+    integer: true,
+    min: 1,
+    max: 31
+  },
+  time_of_day: {
+    required: false,
+    type: 'string',
+    pattern: timeOfDayPattern
+  },
+  delivery_offset_minutes: {
+    required: false,
+    type: 'number',
+    integer: true,
+    min: 0,
+    max: 14 * 24 * 60
+  },
+  starts_on: {
+    required: false,
+    type: 'string',
+    pattern: datePattern
+  },
+  ends_on: {
+    required: false,
+    type: 'string',
+    pattern: datePattern
+  }
+};
+
+const requiredOnCreate = ['name', 'origin_address', 'destination_address', 'driver_id', 'frequency', 'time_of_day'];
+
+const createTemplateSchema = {
+  body: Object.fromEntries(Object.entries(templateRules).map(([field, rules]) => [
+    field,
+    requiredOnCreate.includes(field) ? { ...rules, required: true } : rules
+  ]))
+};
+
+const updateTemplateSchema = {
+  params: templateIdParams,
+  body: templateRules
+};
+
+const templateIdSchema = {
+  params: templateIdParams
+};
+
+const skipOccurrenceSchema = {
+  params: templateIdParams,
+  body: {
+    date: {
+      required: true,
+      type: 'string',
+      pattern: datePattern
+    }
+  }
+};
+
+module.exports = {
+  createTemplateValidation: validate(createTemplateSchema),
+  updateTemplateValidation: validate(updateTemplateSchema),
+  templateIdValidation: validate(templateIdSchema),
+  skipOccurrenceValidation: validate(skipOccurrenceSchema)
+};
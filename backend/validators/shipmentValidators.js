@@ -1,4 +1,102 @@
+const config = require('../config');
 const { validate } = require('../middleware/validator');
+const ShipmentModel = require('../models/Shipment');
+const DeliveryAttemptModel = require('../models/DeliveryAttempt');
+
+const isoTimestampPattern = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z?$/;
+
+const stopRules = {
+  stop_type: {
+    required: false,
+    type: 'string',
+    enum: ['pickup', 'dropoff']
+  },
+  address: {
+    required: true,
+    type: 'string',
+    minLength: 5,
+    maxLength: 1000
+  },
+  latitude: {
+    required: false,
+    type: 'number',
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    required: false,
+    type: 'number',
+    min: -180,
+    max: 180
+  },
+  window_start: {
+    required: false,
+    type: 'string',
+    pattern: isoTimestampPattern
+  },
+  window_end: {
+    required: false,
+    type: 'string',
+    pattern: isoTimestampPattern
+  },
+  notes: {
+    required: false,
+    type: 'string',
+    maxLength: 2000
+  }
+};
+
+// Per-unit weight (kg), dimensions (cm) and declared value
+const itemRules = {
+  sku: {
+    required: false,
+    type: 'string',
+    maxLength: 64
+  },
+  description: {
+    required: true,
+    type: 'string',
+    minLength: 1,
+    maxLength: 500
+  },
+  quantity: {
+    required: true,
+    type: 'number',
+    integer: true,
+    min: 1,
+    max: 100000
+  },
+  weight_kg: {
+    required: false,
+    type: 'number',
+    min: 0,
+    max: 100000
+  },
+  length_cm: {
+    required: false,
+    type: 'number',
+    min: 0,
+    max: 100000
+  },
+  width_cm: {
+    required: false,
+    type: 'number',
+    min: 0,
+    max: 100000
+  },
+  height_cm: {
+    required: false,
+    type: 'number',
+    min: 0,
+    max: 100000
+  },
+  declared_value: {
+    required: false,
+    type: 'number',
+    min: 0,
+    max: 1000000000
+  }
+};
 
 const createShipmentSchema = {
   body: {
@@ -14,6 +112,30 @@ const createShipmentSchema = {
       minLength: 5,
       maxLength: 1000
     },
+    origin_latitude: {
+      required: false,
+      type: 'number',
+      min: -90,
+      max: 90
+    },
+    origin_longitude: {
+      required: false,
+      type: 'number',
+      min: -180,
+      max: 180
+    },
+    destination_latitude: {
+      required: false,
+      type: 'number',
+      min: -90,
+      max: 90
+    },
+    destination_longitude: {
+      required: false,
+      type: 'number',
+      min: -180,
+      max: 180
+    },
     driver_id: {
       required: true,
       type: 'number',
@@ -29,25 +151,144 @@ const createShipmentSchema = {
       type: 'string',
       pattern: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z?$/
     },
+    promised_window_start: {
+      required: false,
+      type: 'string',
+      pattern: isoTimestampPattern
+    },
+    promised_window_end: {
+      required: false,
+      type: 'string',
+      pattern: isoTimestampPattern
+    },
+    sla_policy: {
+      required: false,
+      type: 'string',
+      enum: Object.keys(config.sla.policies)
+    },
+    priority: {
+      required: false,
+      type: 'string',
+      enum: ShipmentModel.PRIORITIES
+    },
     notes: {
       required: false,
       type: 'string',
       maxLength: 2000
+    },
+    stops: {
+      required: false,
+      type: 'array',
+      maxItems: 50,
+      items: stopRules
+    },
+    items: {
+      required: false,
+      type: 'array',
+      maxItems: 200,
+      items: itemRules
     }
   }
 };
 
+const importShipmentsSchema = {
+  query: {
+    dry_run: {
+      required: false,
+      type: 'string',
+      enum: ['true', 'false']
+    }
+  }
+};
+
+// Query strings arrive as strings, so ids and timestamps are checked by pattern
+const shipmentFilterRules = {
+  status: {
+    required: false,
+    type: 'string',
+    enum: ShipmentModel.STATUSES
+  },
+  sla_status: {
+    required: false,
+    type: 'string',
+    enum: ShipmentModel.SLA_STATUSES
+  },
+  priority: {
+    required: false,
+    type: 'string',
+    enum: ShipmentModel.PRIORITIES
+  },
+  driver_id: {
+    required: false,
+    type: 'string',
+    pattern: /^\d+$/
+  },
+  created_from: {
+    required: false,
+    type: 'string',
+    pattern: isoTimestampPattern
+  },
+  created_to: {
+    required: false,
+    type: 'string',
+    pattern: isoTimestampPattern
+  },
+  delivered_from: {
+    required: false,
+    type: 'string',
+    pattern: isoTimestampPattern
+  },
+  delivered_to: {
+    required: false,
+    type: 'string',
+    pattern: isoTimestampPattern
+  },
+  search: {
+    required: false,
+    type: 'string',
+    maxLength: 100
+  },
+  sort: {
+    required: false,
+    type: 'string',
+    enum: ShipmentModel.SORT_KEYS
+  },
+  order: {
+    required: false,
+    type: 'string',
+    enum: ['asc', 'desc']
+  }
+};
+
 const querySchema = {
   query: {
-    status: {
+    ...shipmentFilterRules,
+    limit: {
       required: false,
       type: 'string',
-      enum: ['pending', 'in_transit', 'delivered', 'cancelled']
+      pattern: /^\d+$/
     },
-    driver_id: {
+    cursor: {
       required: false,
-      type: 'number',
-      min: 1
+      type: 'string',
+      maxLength: 500,
+      pattern: /^[A-Za-z0-9_-]+$/
+    }
+  }
+};
+
+const exportShipmentsSchema = {
+  query: {
+    ...shipmentFilterRules,
+    format: {
+      required: false,
+      type: 'string',
+      enum: ['csv', 'ndjson']
+    },
+    include: {
+      required: false,
+      type: 'string',
+      pattern: /^(stats|route_history)(,(stats|route_history))*$/
     }
   }
 };
@@ -82,6 +323,52 @@ const updateLocationSchema = {
       type: 'number',
       min: 0,
       max: 500
+    },
+    // Degrees clockwise from true north
+    heading: {
+      required: false,
+      type: 'number',
+      min: 0,
+      max: 360
+    },
+    // Meters above sea level
+    altitude: {
+      required: false,
+      type: 'number',
+      min: -500,
+      max: 10000
+    },
+    // When the device recorded the point
+    timestamp: {
+      required: false,
+      type: 'string',
+      pattern: isoTimestampPattern
+    }
+  }
+};
+
+const batchLocationSchema = {
+  body: {
+    shipment_id: {
+      required: true,
+      type: 'number',
+      min: 1
+    },
+    points: {
+      required: true,
+      type: 'array',
+      minItems: 1,
+      maxItems: config.tracking.batchMaxPoints,
+      items: {
+        latitude: updateLocationSchema.body.latitude,
+        longitude: updateLocationSchema.body.longitude,
+        accuracy: updateLocationSchema.body.accuracy,
+        speed: updateLocationSchema.body.speed,
+        heading: updateLocationSchema.body.heading,
+        altitude: updateLocationSchema.body.altitude,
+        // Required here: a replayed point without its own time cannot be placed in the trail
+        timestamp: { ...updateLocationSchema.body.timestamp, required: true }
+      }
     }
   }
 };
@@ -109,6 +396,60 @@ const trackingHistorySchema = {
       required: false,
       type: 'string',
       pattern: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z?$/
+    },
+    // Simplification tolerance in meters; takes precedence over zoom
+    tolerance: {
+      required: false,
+      type: 'string',
+      pattern: /^\d+(\.\d+)?$/,
+      max: 100000
+    },
+    // Map zoom level the track will be drawn at
+    zoom: {
+      required: false,
+      type: 'string',
+      pattern: /^\d+$/,
+      max: 22
+    },
+    format: {
+      required: false,
+      type: 'string',
+      enum: ['points', 'polyline']
+    }
+  }
+};
+
+const trackImportSchema = {
+  params: {
+    shipment_id: {
+      required: true,
+      type: 'string',
+      pattern: /^\d+$/
+    }
+  },
+  query: {
+    // Shift the track so its first point falls at this time, keeping the spacing between points
+    start_at: {
+      required: false,
+      type: 'string',
+      pattern: isoTimestampPattern
+    }
+  }
+};
+
+const trackExportSchema = {
+  params: {
+    shipment_id: {
+      required: true,
+      type: 'string',
+      pattern: /^\d+$/
+    }
+  },
+  query: {
+    format: {
+      required: false,
+      type: 'string',
+      enum: ['gpx', 'kml', 'geojson']
     }
   }
 };
@@ -135,6 +476,52 @@ const trackingNumberSchema = {
   }
 };
 
+const shareTokenRule = {
+  required: true,
+  type: 'string',
+  maxLength: 2048,
+  pattern: /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/
+};
+
+const publicTrackingSchema = {
+  params: trackingNumberSchema.params,
+  query: {
+    token: shareTokenRule
+  }
+};
+
+const publicProofFileSchema = {
+  params: {
+    ...trackingNumberSchema.params,
+    proofId: {
+      required: true,
+      type: 'string',
+      pattern: /^\d+$/
+    }
+  },
+  query: {
+    token: shareTokenRule
+  }
+};
+
+const shareShipmentSchema = {
+  params: {
+    id: {
+      required: true,
+      type: 'string',
+      pattern: /^\d+$/
+    }
+  },
+  body: {
+    expires_in_hours: {
+      required: false,
+      type: 'number',
+      min: 1,
+      max: config.publicTracking.maxTtlHours
+    }
+  }
+};
+
 const confirmDeliverySchema = {
   params: {
     id: {
@@ -154,16 +541,462 @@ const confirmDeliverySchema = {
       type: 'string',
       maxLength: 255,
       pattern: /^https?:\/\/.+$/
+    },
+    stop_id: {
+      required: false,
+      type: 'number',
+      min: 1
+    },
+    delivery_pin: {
+      required: false,
+      type: 'string',
+      pattern: /^\d{6}$/
+    },
+    override_reason: {
+      required: false,
+      type: 'string',
+      minLength: 3,
+      maxLength: 1000
+    },
+    latitude: {
+      required: false,
+      type: 'number',
+      min: -90,
+      max: 90
+    },
+    longitude: {
+      required: false,
+      type: 'number',
+      min: -180,
+      max: 180
+    }
+  }
+};
+
+const deliveryAttemptSchema = {
+  params: {
+    id: {
+      required: true,
+      type: 'string',
+      pattern: /^\d+$/
+    }
+  },
+  body: {
+    reason_code: {
+      required: true,
+      type: 'string',
+      enum: DeliveryAttemptModel.REASON_CODES
+    },
+    notes: {
+      required: false,
+      type: 'string',
+      maxLength: 2000
+    },
+    stop_id: {
+      required: false,
+      type: 'number',
+      min: 1
+    },
+    latitude: {
+      required: false,
+      type: 'number',
+      min: -90,
+      max: 90
+    },
+    longitude: {
+      required: false,
+      type: 'number',
+      min: -180,
+      max: 180
+    }
+  }
+};
+
+const rescheduleShipmentSchema = {
+  params: {
+    id: {
+      required: true,
+      type: 'string',
+      pattern: /^\d+$/
+    }
+  },
+  body: {
+    estimated_delivery: {
+      required: false,
+      type: 'string',
+      pattern: isoTimestampPattern
+    },
+    promised_window_start: {
+      required: false,
+      type: 'string',
+      pattern: isoTimestampPattern
+    },
+    promised_window_end: {
+      required: false,
+      type: 'string',
+      pattern: isoTimestampPattern
+    },
+    reason: {
+      required: false,
+      type: 'string',
+      maxLength: 1000
+    }
+  }
+};
+
+const updateStatusSchema = {
+  params: {
+    id: {
+      required: true,
+      type: 'string',
+      pattern: /^\d+$/
+    }
+  },
+  body: {
+    status: {
+      required: true,
+      type: 'string',
+      enum: ShipmentModel.STATUSES
+    },
+    reason: {
+      required: false,
+      type: 'string',
+      maxLength: 1000
+    },
+    latitude: {
+      required: false,
+      type: 'number',
+      min: -90,
+      max: 90
+    },
+    longitude: {
+      required: false,
+      type: 'number',
+      min: -180,
+      max: 180
+    }
+  }
+};
+
+const updateShipmentSchema = {
+  params: {
+    id: {
+      required: true,
+      type: 'string',
+      pattern: /^\d+$/
+    }
+  },
+  body: {
+    origin_address: {
+      required: false,
+      type: 'string',
+      minLength: 5,
+      maxLength: 1000
+    },
+    destination_address: {
+      required: false,
+      type: 'string',
+      minLength: 5,
+      maxLength: 1000
+    },
+    origin_latitude: {
+      required: false,
+      type: 'number',
+      min: -90,
+      max: 90
+    },
+    origin_longitude: {
+      required: false,
+      type: 'number',
+      min: -180,
+      max: 180
+    },
+    destination_latitude: {
+      required: false,
+      type: 'number',
+      min: -90,
+      max: 90
+    },
+    destination_longitude: {
+      required: false,
+      type: 'number',
+      min: -180,
+      max: 180
+    },
+    estimated_delivery: {
+      required: false,
+      type: 'string',
+      pattern: isoTimestampPattern
+    },
+    promised_window_start: {
+      required: false,
+      type: 'string',
+      pattern: isoTimestampPattern
+    },
+    promised_window_end: {
+      required: false,
+      type: 'string',
+      pattern: isoTimestampPattern
+    },
+    sla_policy: {
+      required: false,
+      type: 'string',
+      enum: Object.keys(config.sla.policies)
+    },
+    priority: {
+      required: false,
+      type: 'string',
+      enum: ShipmentModel.PRIORITIES
+    },
+    smart_recommendations_enabled: {
+      required: false,
+      type: 'boolean'
+    },
+    notes: {
+      required: false,
+      type: 'string',
+      maxLength: 2000
+    }
+  }
+};
+
+const reassignShipmentSchema = {
+  params: {
+    id: {
+      required: true,
+      type: 'string',
+      pattern: /^\d+$/
+    }
+  },
+  body: {
+    driver_id: {
+      required: true,
+      type: 'number',
+      min: 1
+    },
+    reason: {
+      required: false,
+      type: 'string',
+      maxLength: 1000
+    }
+  }
+};
+
+const cancelShipmentSchema = {
+  params: {
+    id: {
+      required: true,
+      type: 'string',
+      pattern: /^\d+$/
+    }
+  },
+  body: {
+    reason: {
+      required: false,
+      type: 'string',
+      maxLength: 1000
+    }
+  }
+};
+
+const createReturnSchema = {
+  params: {
+    id: {
+      required: true,
+      type: 'string',
+      pattern: /^\d+$/
+    }
+  },
+  body: {
+    // Defaults to the parent shipment's driver
+    driver_id: {
+      required: false,
+      type: 'number',
+      min: 1
+    },
+    estimated_delivery: {
+      required: false,
+      type: 'string',
+      pattern: isoTimestampPattern
+    },
+    reason: {
+      required: false,
+      type: 'string',
+      maxLength: 1000
+    },
+    notes: {
+      required: false,
+      type: 'string',
+      maxLength: 2000
+    }
+  }
+};
+
+const verifyChainSchema = {
+  params: {
+    id: {
+      required: true,
+      type: 'string',
+      pattern: /^\d+$/
+    }
+  },
+  body: {
+    expected_hash: {
+      required: false,
+      type: 'string',
+      pattern: /^[a-f0-9]{64}$/
+    }
+  }
+};
+
+const deliveryProofFileSchema = {
+  params: {
+    id: {
+      required: true,
+      type: 'string',
+      pattern: /^\d+$/
+    },
+    proofId: {
+      required: true,
+      type: 'string',
+      pattern: /^\d+$/
+    }
+  }
+};
+
+const addCommentSchema = {
+  params: shipmentIdSchema.params,
+  body: {
+    body: {
+      required: true,
+      type: 'string',
+      pattern: /\S/,
+      maxLength: 2000
+    },
+    parent_id: {
+      required: false,
+      type: 'number',
+      integer: true,
+      min: 1
+    }
+  }
+};
+
+const markCommentsReadSchema = {
+  params: shipmentIdSchema.params,
+  body: {
+    last_comment_id: {
+      required: false,
+      type: 'number',
+      integer: true,
+      min: 0
+    }
+  }
+};
+
+const addStopSchema = {
+  params: {
+    id: {
+      required: true,
+      type: 'string',
+      pattern: /^\d+$/
+    }
+  },
+  body: stopRules
+};
+
+const reorderStopsSchema = {
+  params: {
+    id: {
+      required: true,
+      type: 'string',
+      pattern: /^\d+$/
+    }
+  },
+  body: {
+    stop_ids: {
+      required: true,
+      type: 'array',
+      maxItems: 50
+    }
+  }
+};
+
+const completeStopSchema = {
+  params: {
+    id: {
+      required: true,
+      type: 'string',
+      pattern: /^\d+$/
+    },
+    stopId: {
+      required: true,
+      type: 'string',
+      pattern: /^\d+$/
+    }
+  },
+  body: {
+    delivery_notes: {
+      required: false,
+      type: 'string',
+      maxLength: 2000
+    },
+    delivery_pin: {
+      required: false,
+      type: 'string',
+      pattern: /^\d{6}$/
+    },
+    override_reason: {
+      required: false,
+      type: 'string',
+      minLength: 3,
+      maxLength: 1000
+    },
+    latitude: {
+      required: false,
+      type: 'number',
+      min: -90,
+      max: 90
+    },
+    longitude: {
+      required: false,
+      type: 'number',
+      min: -180,
+      max: 180
     }
   }
 };
 
 module.exports = {
+  createShipmentRules: createShipmentSchema.body,
+  locationPointRules: batchLocationSchema.body.points.items,
   createShipmentValidation: validate(createShipmentSchema),
+  importShipmentsValidation: validate(importShipmentsSchema),
   queryValidation: validate(querySchema),
+  exportShipmentsValidation: validate(exportShipmentsSchema),
   updateLocationValidation: validate(updateLocationSchema),
+  batchLocationValidation: validate(batchLocationSchema),
   trackingHistoryValidation: validate(trackingHistorySchema),
+  trackImportValidation: validate(trackImportSchema),
+  trackExportValidation: validate(trackExportSchema),
   shipmentIdValidation: validate(shipmentIdSchema),
   trackingNumberValidation: validate(trackingNumberSchema),
-  confirmDeliveryValidation: validate(confirmDeliverySchema)
+  publicTrackingValidation: validate(publicTrackingSchema),
+  publicProofFileValidation: validate(publicProofFileSchema),
+  shareShipmentValidation: validate(shareShipmentSchema),
+  confirmDeliveryValidation: validate(confirmDeliverySchema),
+  updateStatusValidation: validate(updateStatusSchema),
+  updateShipmentValidation: validate(updateShipmentSchema),
+  reassignShipmentValidation: validate(reassignShipmentSchema),
+  cancelShipmentValidation: validate(cancelShipmentSchema),
+  createReturnValidation: validate(createReturnSchema),
+  deliveryAttemptValidation: validate(deliveryAttemptSchema),
+  rescheduleShipmentValidation: validate(rescheduleShipmentSchema),
+  verifyChainValidation: validate(verifyChainSchema),
+  deliveryProofFileValidation: validate(deliveryProofFileSchema),
+  addCommentValidation: validate(addCommentSchema),
+  markCommentsReadValidation: validate(markCommentsReadSchema),
+  addStopValidation: validate(addStopSchema),
+  reorderStopsValidation: validate(reorderStopsSchema),
+  completeStopValidation: validate(completeStopSchema)
 };
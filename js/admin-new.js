@@ -10,8 +10,24 @@ let driverMarkers = new Map();
 let shipmentMarkers = new Map();
 let pathPolylines = new Map();
 let selectedDriverId = null;
+let pathRequestId = 0;
+let loadedPathKey = null;
 let activeTab = 'drivers';
 
+// Shipment list paging (server-side filtering, infinite scroll)
+const SHIPMENTS_PAGE_SIZE = 50;
+let shipmentsCursor = null;
+let hasMoreShipments = false;
+let isLoadingShipments = false;
+let shipmentStatusCounts = null;
+let shipmentSlaSummary = null;
+let shipmentSearchTimer = null;
+let shipmentsRequestId = 0;
+let selectedShipmentId = null;
+let manifestShipmentId = null;
+let commentReplyParentId = null;
+let proofObjectUrls = [];
+
 // DOM Elements
 const elements = {
     driversList: document.getElementById('driversList'),
@@ -19,6 +35,8 @@ const elements = {
     activeDrivers: document.getElementById('activeDrivers'),
     activeShipments: document.getElementById('activeShipments'),
     pendingDeliveries: document.getElementById('pendingDeliveries'),
+    slaStat: document.getElementById('slaStat'),
+    slaCompliance: document.getElementById('slaCompliance'),
     driverPanel: document.getElementById('driverPanel'),
     panelDriverName: document.getElementById('panelDriverName'),
     panelDriverEmail: document.getElementById('panelDriverEmail'),
@@ -28,6 +46,36 @@ const elements = {
     panelSpeed: document.getElementById('panelSpeed'),
     panelLastUpdate: document.getElementById('panelLastUpdate'),
     pathHistory: document.getElementById('pathHistory'),
+    trackExportFormat: document.getElementById('trackExportFormat'),
+    panelManifest: document.getElementById('panelManifest'),
+    shipmentPanel: document.getElementById('shipmentPanel'),
+    shipmentPanelTracking: document.getElementById('shipmentPanelTracking'),
+    shipmentPanelStatus: document.getElementById('shipmentPanelStatus'),
+    shipmentPanelOrigin: document.getElementById('shipmentPanelOrigin'),
+    shipmentPanelDestination: document.getElementById('shipmentPanelDestination'),
+    shipmentPanelDriver: document.getElementById('shipmentPanelDriver'),
+    shipmentPanelPriority: document.getElementById('shipmentPanelPriority'),
+    shipmentPanelWindow: document.getElementById('shipmentPanelWindow'),
+    shipmentPanelSla: document.getElementById('shipmentPanelSla'),
+    shipmentPanelDelivered: document.getElementById('shipmentPanelDelivered'),
+    shipmentPanelPin: document.getElementById('shipmentPanelPin'),
+    shipmentPanelVerification: document.getElementById('shipmentPanelVerification'),
+    shipmentPanelProofs: document.getElementById('shipmentPanelProofs'),
+    shipmentPanelChain: document.getElementById('shipmentPanelChain'),
+    shipmentPanelShare: document.getElementById('shipmentPanelShare'),
+    shipmentPanelAttempts: document.getElementById('shipmentPanelAttempts'),
+    shipmentAttemptSection: document.getElementById('shipmentAttemptSection'),
+    shipmentPanelAttemptList: document.getElementById('shipmentPanelAttemptList'),
+    rescheduleAt: document.getElementById('rescheduleAt'),
+    reassignDriverSelect: document.getElementById('reassignDriverSelect'),
+    shipmentPanelLinksRow: document.getElementById('shipmentPanelLinksRow'),
+    shipmentPanelLinksLabel: document.getElementById('shipmentPanelLinksLabel'),
+    shipmentPanelLinks: document.getElementById('shipmentPanelLinks'),
+    shipmentReturnSection: document.getElementById('shipmentReturnSection'),
+    returnReasonInput: document.getElementById('returnReasonInput'),
+    shipmentPanelComments: document.getElementById('shipmentPanelComments'),
+    shipmentCommentInput: document.getElementById('shipmentCommentInput'),
+    commentReplyNote: document.getElementById('commentReplyNote'),
     toastContainer: document.getElementById('toastContainer')
 };
 
@@ -72,21 +120,20 @@ function initMap() {
     L.control.zoom({
         position: 'topright'
     }).addTo(adminMap);
+    
+    // Stored paths are simplified for the zoom they were drawn at
+    adminMap.on('zoomend', () => {
+        if (selectedDriverId) {
+            loadDriverPath(selectedDriverId);
+        }
+    });
 }
 
 // Load initial data
 async function loadInitialData() {
     try {
-        // Load all shipments
-        const shipmentsResponse = await getShipments();
-        const shipmentsData = shipmentsResponse.data || shipmentsResponse || [];
-        
-        // Ensure shipmentsData is an array
-        const shipmentsArray = Array.isArray(shipmentsData) ? shipmentsData : [];
-        
-        shipmentsArray.forEach(shipment => {
-            shipments.set(shipment.id, shipment);
-        });
+        // Load the first page of shipments
+        await loadShipmentsPage(true);
         
         // Load all users (drivers)
         const usersResponse = await fetch(`${API_BASE_URL}/users`, {
@@ -117,6 +164,72 @@ async function loadInitialData() {
     }
 }
 
+// Load a page of shipments matching the current filters; reset starts from the top
+async function loadShipmentsPage(reset = false) {
+    if (!reset && (isLoadingShipments || !hasMoreShipments)) return;
+    
+    // A newer filter change supersedes any page still in flight
+    const requestId = ++shipmentsRequestId;
+    isLoadingShipments = true;
+    
+    const params = { limit: SHIPMENTS_PAGE_SIZE };
+    const status = document.getElementById('statusFilter')?.value || 'all';
+    const slaStatus = document.getElementById('slaFilter')?.value || 'all';
+    const priority = document.getElementById('priorityFilter')?.value || 'all';
+    const search = document.getElementById('shipmentSearch')?.value.trim() || '';
+    const sort = document.getElementById('shipmentSort')?.value || 'created_at';
+    
+    if (status !== 'all') params.status = status;
+    if (slaStatus !== 'all') params.sla_status = slaStatus;
+    if (priority !== 'all') params.priority = priority;
+    if (search) params.search = search;
+    params.sort = sort;
+    params.order = sort === 'estimated_delivery' ? 'asc' : 'desc';
+    if (!reset && shipmentsCursor) params.cursor = shipmentsCursor;
+    
+    try {
+        const response = await getShipments(params);
+        if (requestId !== shipmentsRequestId) return;
+        const data = response.data || {};
+        
+        if (reset) {
+            shipments.clear();
+            if (data.status_counts) {
+                shipmentStatusCounts = data.status_counts;
+            }
+            if (data.sla_summary) {
+                shipmentSlaSummary = data.sla_summary;
+            }
+        }
+        
+        (data.shipments || []).forEach(shipment => {
+            shipments.set(shipment.id, shipment);
+        });
+        
+        shipmentsCursor = data.next_cursor || null;
+        hasMoreShipments = Boolean(data.has_more);
+    } catch (error) {
+        console.error('Failed to load shipments:', error);
+        showToast('Failed to load shipments', 'error');
+    } finally {
+        if (requestId === shipmentsRequestId) {
+            isLoadingShipments = false;
+        }
+    }
+    
+    if (requestId !== shipmentsRequestId) return;
+    renderShipments();
+    updateStats();
+}
+
+// Fetch the next page when the shipments tab is scrolled near the bottom
+function handleShipmentsScroll(event) {
+    const container = event.target;
+    if (container.scrollTop + container.clientHeight >= container.scrollHeight - 200) {
+        loadShipmentsPage(false);
+    }
+}
+
 // Initialize Socket.io for real-time updates
 function initSocket() {
     // Use socketClient from socket.js module
@@ -131,6 +244,11 @@ function initSocket() {
             handleLocationUpdate(data);
         });
         
+        // A GPX track was imported for a shipment; reload its trail rather than replaying every point
+        socketClient.on('track_imported', (data) => {
+            handleTrackImported(data);
+        });
+        
         // Listen for driver status changes
         socketClient.on('driver_status', (data) => {
             handleDriverStatusUpdate(data);
@@ -141,6 +259,21 @@ function initSocket() {
             handleShipmentStatusUpdate(data);
         });
         
+        // New comment on a shipment thread, from a driver or another dispatcher
+        socketClient.on('shipment_comment', (data) => {
+            handleShipmentComment(data);
+        });
+        
+        // Driver could not deliver; dispatch needs to reschedule, return or reassign
+        socketClient.on('delivery_attempt_failed', (data) => {
+            handleDeliveryAttemptFailed(data);
+        });
+        
+        // Background SLA evaluator moved a shipment between on track / at risk / breached
+        socketClient.on('sla_status_changed', (data) => {
+            handleSlaStatusChanged(data);
+        });
+        
         // Handle smart recommendation alerts
         socketClient.on('recommendation_alert', (data) => {
             handleRecommendationAlert(data);
@@ -175,8 +308,12 @@ function handleLocationUpdate(data) {
     // Update marker on map
     updateDriverMarker(driverId, driver.currentLocation);
     
-    // Update path polyline
-    updateDriverPath(driverId, driver.currentLocation);
+    // Update path polyline; a replayed offline batch carries its whole trail
+    if (Array.isArray(data.points)) {
+        data.points.forEach(point => updateDriverPath(driverId, { lat: point.latitude, lng: point.longitude }));
+    } else {
+        updateDriverPath(driverId, driver.currentLocation);
+    }
     
     // Update driver card if visible
     updateDriverCard(driverId);
@@ -207,6 +344,11 @@ function handleShipmentStatusUpdate(data) {
     const shipment = shipments.get(data.shipment_id);
     if (!shipment) return;
     
+    if (shipmentStatusCounts && shipment.status !== data.status) {
+        shipmentStatusCounts[shipment.status] = Math.max((shipmentStatusCounts[shipment.status] || 1) - 1, 0);
+        shipmentStatusCounts[data.status] = (shipmentStatusCounts[data.status] || 0) + 1;
+    }
+    
     shipment.status = data.status;
     shipment.updated_at = new Date().toISOString();
     
@@ -269,18 +411,28 @@ function createDriverPopup(driverId) {
     `;
 }
 
+// Live points appended to a path; stored history arrives already simplified for the zoom
+const MAX_PATH_POINTS = 2000;
+
 // Update driver path polyline
 function updateDriverPath(driverId, location) {
-    let polyline = pathPolylines.get(driverId);
+    const polyline = pathPolylines.get(driverId);
     let path = polyline ? polyline.getLatLngs() : [];
     
     path.push([location.lat, location.lng]);
     
-    // Keep only last 50 points to avoid performance issues
-    if (path.length > 50) {
-        path = path.slice(-50);
+    // Bound long live sessions to avoid performance issues
+    if (path.length > MAX_PATH_POINTS) {
+        path = path.slice(-MAX_PATH_POINTS);
     }
     
+    setDriverPath(driverId, path);
+}
+
+// Replace a driver's path polyline, creating it on first use
+function setDriverPath(driverId, path) {
+    let polyline = pathPolylines.get(driverId);
+    
     if (polyline) {
         polyline.setLatLngs(path);
     } else {
@@ -340,34 +492,43 @@ function renderDrivers() {
 
 // Render shipments list
 function renderShipments() {
+    // Filtering and ordering happen server-side; the map keeps the order pages arrived in
     const shipmentsArray = Array.from(shipments.values());
-    const filterValue = document.getElementById('statusFilter')?.value || 'all';
-    
-    const filtered = filterValue === 'all' 
-        ? shipmentsArray 
-        : shipmentsArray.filter(s => s.status === filterValue);
     
-    if (filtered.length === 0) {
-        elements.shipmentsList.innerHTML = '<div class="empty-state">No shipments found</div>';
+    if (shipmentsArray.length === 0) {
+        elements.shipmentsList.innerHTML = isLoadingShipments
+            ? '<div class="empty-state">Loading shipments...</div>'
+            : '<div class="empty-state">No shipments found</div>';
         return;
     }
     
-    elements.shipmentsList.innerHTML = filtered.map(shipment => `
+    elements.shipmentsList.innerHTML = shipmentsArray.map(shipment => `
         <div class="shipment-card" onclick="focusShipment(${shipment.id})">
             <div class="shipment-header">
-                <span class="shipment-id">#${shipment.id}</span>
-                <span class="status-badge ${shipment.status}">${formatStatus(shipment.status)}</span>
+                <span class="shipment-id">#${shipment.id}${shipment.parent_shipment_id ? ' ↩ Return' : ''}</span>
+                <span>
+                    ${shipment.priority && shipment.priority !== 'standard' ? `<span class="priority-badge ${shipment.priority}">${shipment.priority}</span>` : ''}
+                    ${shipment.unread_comments ? `<span class="comment-badge">💬 ${shipment.unread_comments}</span>` : ''}
+                    <span class="status-badge ${shipment.status}">${formatStatus(shipment.status)}</span>
+                </span>
             </div>
+            ${shipment.sla_status ? `
+                <div style="margin-bottom: 6px;">
+                    <span class="sla-badge ${shipment.sla_status}">SLA: ${formatSlaStatus(shipment.sla_status)}</span>
+                </div>
+            ` : ''}
             <div class="shipment-route">
                 <span>📍 ${shipment.origin_address || 'Unknown'}</span>
                 <span>→</span>
                 <span>🏁 ${shipment.destination_address || 'Unknown'}</span>
             </div>
             <div style="margin-top: 8px; font-size: 0.75rem; color: #6b7280;">
-                Driver: ${getDriverName(shipment.driver_id)}
+                Driver: ${shipment.driver_name || getDriverName(shipment.driver_id)}
             </div>
         </div>
-    `).join('');
+    `).join('') + (hasMoreShipments
+        ? '<div class="list-loading">Loading more shipments...</div>'
+        : '');
 }
 
 // Select driver
@@ -391,10 +552,69 @@ function selectDriver(driverId) {
     if (driver.currentLocation) {
         adminMap.setView([driver.currentLocation.lat, driver.currentLocation.lng], 15);
     }
+    
+    loadDriverPath(driverId);
+}
+
+// Stored trail of the driver's current shipment, simplified server-side for the current zoom
+async function loadDriverPath(driverId) {
+    const driver = drivers.get(driverId);
+    if (!driver || !driver.currentShipment) return;
+    
+    const zoom = adminMap.getZoom();
+    const pathKey = `${driver.currentShipment}:${zoom}`;
+    if (pathKey === loadedPathKey) return;
+    
+    loadedPathKey = pathKey;
+    const requestId = ++pathRequestId;
+    
+    try {
+        const response = await getLocationHistory(driver.currentShipment, { zoom, format: 'polyline' });
+        if (requestId !== pathRequestId) return;
+        
+        setDriverPath(driverId, decodePolyline(response.data?.polyline || ''));
+        if (selectedDriverId === driverId) {
+            updateDriverPanel(driver);
+        }
+    } catch (error) {
+        console.error('Failed to load driver path:', error);
+        if (requestId === pathRequestId) {
+            loadedPathKey = null;
+        }
+    }
+}
+
+// Decode a Google encoded polyline (precision 5) into [lat, lng] pairs
+function decodePolyline(encoded) {
+    const points = [];
+    let index = 0;
+    let lat = 0;
+    let lng = 0;
+    
+    const nextValue = () => {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+            byte = encoded.charCodeAt(index++) - 63;
+            result |= (byte & 0x1f) << shift;
+            shift += 5;
+        } while (byte >= 0x20);
+        return (result & 1) ? ~(result >> 1) : (result >> 1);
+    };
+    
+    while (index < encoded.length) {
+        lat += nextValue();
+        lng += nextValue();
+        points.push([lat / 1e5, lng / 1e5]);
+    }
+    
+    return points;
 }
 
 // Show driver panel
 function showDriverPanel(driver) {
+    closeShipmentPanel();
     elements.driverPanel.style.display = 'flex';
     updateDriverPanel(driver);
 }
@@ -419,22 +639,116 @@ function updateDriverPanel(driver) {
         elements.panelDestination.textContent = 'No active shipment';
     }
     
+    // Location updates refresh this panel constantly; only refetch when the shipment changes
+    if ((driver.currentShipment || null) !== manifestShipmentId) {
+        renderDriverManifest(driver.currentShipment || null);
+    }
+    
     // Update path history
     const polyline = pathPolylines.get(driver.id);
     if (polyline) {
         const path = polyline.getLatLngs();
-        elements.pathHistory.innerHTML = path.slice(-5).map((point, i) => `
+        elements.pathHistory.innerHTML = path.slice(-5).map(point => L.latLng(point)).map((point, i) => `
             <div class="path-point">
-                ${i + 1}. ${point[0].toFixed(4)}, ${point[1].toFixed(4)}
+                ${i + 1}. ${point.lat.toFixed(4)}, ${point.lng.toFixed(4)}
             </div>
         `).join('');
     }
 }
 
+// Download the driver's current shipment track as GPX, KML or GeoJSON for GIS tools
+async function downloadDriverTrack() {
+    const driver = drivers.get(selectedDriverId);
+    if (!driver || !driver.currentShipment) {
+        showToast('This driver has no active shipment', 'warning');
+        return;
+    }
+    
+    const shipmentId = driver.currentShipment;
+    const format = elements.trackExportFormat.value;
+    
+    try {
+        const blob = await getTrackExportBlob(shipmentId, format);
+        const objectUrl = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = objectUrl;
+        link.download = `${shipments.get(shipmentId)?.tracking_number || 'shipment-' + shipmentId}-track.${format}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(objectUrl), 0);
+    } catch (error) {
+        showToast(error.message || 'Failed to export track', 'error');
+    }
+}
+
+// Line items of the driver's current shipment, so dispatch can see what is on board
+async function renderDriverManifest(shipmentId) {
+    manifestShipmentId = shipmentId;
+    elements.panelManifest.innerHTML = '';
+    
+    if (!shipmentId) {
+        elements.panelManifest.innerHTML = '<div class="empty-state">No active shipment</div>';
+        return;
+    }
+    
+    elements.panelManifest.innerHTML = '<div class="empty-state">Loading...</div>';
+    
+    try {
+        const response = await getShipmentById(shipmentId);
+        const shipment = response.data?.shipment;
+        if (!shipment || manifestShipmentId !== shipmentId) return;
+        
+        elements.panelManifest.innerHTML = '';
+        if (shipment.items.length === 0) {
+            elements.panelManifest.innerHTML = '<div class="empty-state">No manifest recorded</div>';
+            return;
+        }
+        
+        shipment.items.forEach(item => {
+            const row = document.createElement('div');
+            const title = document.createElement('strong');
+            const details = document.createElement('div');
+            row.className = 'manifest-item';
+            title.textContent = `${item.quantity} × ${item.description}`;
+            details.textContent = formatManifestItem(item);
+            row.append(title, details);
+            elements.panelManifest.appendChild(row);
+        });
+        
+        const totals = document.createElement('div');
+        totals.className = 'manifest-totals';
+        totals.textContent = formatManifestTotals(shipment.manifest_totals);
+        elements.panelManifest.appendChild(totals);
+    } catch (error) {
+        console.error('Failed to load manifest:', error);
+        if (manifestShipmentId === shipmentId) {
+            elements.panelManifest.innerHTML = '<div class="empty-state">Failed to load manifest</div>';
+        }
+    }
+}
+
+// SKU, per-unit weight, dimensions and declared value of one line
+function formatManifestItem(item) {
+    const parts = [];
+    if (item.sku) parts.push(`SKU ${item.sku}`);
+    if (item.weight_kg != null) parts.push(`${Number(item.weight_kg)} kg each`);
+    if (item.length_cm != null && item.width_cm != null && item.height_cm != null) {
+        parts.push(`${Number(item.length_cm)}×${Number(item.width_cm)}×${Number(item.height_cm)} cm`);
+    }
+    if (item.declared_value != null) parts.push(`value ${Number(item.declared_value).toFixed(2)}`);
+    return parts.join(' · ') || 'No details';
+}
+
+function formatManifestTotals(totals) {
+    const incomplete = totals.lines_without_weight > 0 ? ' (incomplete)' : '';
+    return `${totals.total_quantity} pcs · ${totals.total_weight_kg} kg${incomplete} · ` +
+        `${totals.total_volume_m3} m³ · value ${totals.total_declared_value.toFixed(2)}`;
+}
+
 // Close driver panel
 function closeDriverPanel() {
     elements.driverPanel.style.display = 'none';
     selectedDriverId = null;
+    manifestShipmentId = null;
     
     document.querySelectorAll('.driver-card').forEach(card => {
         card.classList.remove('active');
@@ -451,10 +765,429 @@ function focusShipment(shipmentId) {
     
     if (driver && driver.currentLocation) {
         adminMap.setView([driver.currentLocation.lat, driver.currentLocation.lng], 15);
-        selectDriver(driver.id);
     } else if (shipment.current_latitude && shipment.current_longitude) {
         adminMap.setView([shipment.current_latitude, shipment.current_longitude], 15);
     }
+    
+    showShipmentPanel(shipmentId);
+}
+
+// Show shipment panel with delivery details and proof
+async function showShipmentPanel(shipmentId) {
+    closeDriverPanel();
+    selectedShipmentId = shipmentId;
+    elements.shipmentPanel.style.display = 'flex';
+    elements.shipmentPanelProofs.innerHTML = '<div class="empty-state">Loading...</div>';
+    elements.shipmentPanelChain.textContent = 'Not verified';
+    elements.shipmentPanelChain.className = 'chain-result';
+    elements.shipmentPanelShare.textContent = 'Share a login-free tracking page with the customer';
+    elements.shipmentPanelComments.innerHTML = '<div class="empty-state">Loading...</div>';
+    elements.shipmentPanelLinksRow.style.display = 'none';
+    elements.shipmentReturnSection.style.display = 'none';
+    elements.returnReasonInput.value = '';
+    elements.shipmentAttemptSection.style.display = 'none';
+    elements.rescheduleAt.value = '';
+    setCommentReply(null);
+    
+    try {
+        const response = await getShipmentById(shipmentId);
+        const shipment = response.data?.shipment;
+        if (!shipment || selectedShipmentId !== shipmentId) return;
+        
+        elements.shipmentPanelTracking.textContent = shipment.tracking_number;
+        elements.shipmentPanelStatus.textContent = formatStatus(shipment.status);
+        elements.shipmentPanelStatus.className = `status-badge ${shipment.status}`;
+        elements.shipmentPanelOrigin.textContent = shipment.origin_address || 'Unknown';
+        elements.shipmentPanelDestination.textContent = shipment.destination_address || 'Unknown';
+        elements.shipmentPanelDriver.textContent = shipment.driver_name || getDriverName(shipment.driver_id);
+        elements.shipmentPanelWindow.textContent = formatDeliveryWindow(shipment);
+        elements.shipmentPanelPriority.textContent = shipment.priority || 'standard';
+        elements.shipmentPanelPriority.className = `priority-badge ${shipment.priority || 'standard'}`;
+        elements.shipmentPanelSla.textContent = shipment.sla_status ? formatSlaStatus(shipment.sla_status) : '--';
+        elements.shipmentPanelSla.className = `sla-badge ${shipment.sla_status || ''}`;
+        elements.shipmentPanelDelivered.textContent = shipment.delivered_at
+            ? new Date(shipment.delivered_at).toLocaleString()
+            : '--';
+        elements.shipmentPanelPin.textContent = shipment.delivery_pin || '--';
+        elements.shipmentPanelVerification.textContent = formatDeliveryVerification(shipment);
+        elements.shipmentPanelVerification.classList.toggle('location-warning', shipment.delivery_location_check === 'too_far');
+        elements.shipmentPanelAttempts.textContent = shipment.failed_attempts || '0';
+        renderShipmentLinks(shipment);
+        
+        await Promise.all([
+            renderDeliveryAttempts(shipment),
+            loadShipmentComments(shipmentId),
+            renderShipmentProofs(shipmentId)
+        ]);
+    } catch (error) {
+        console.error('Failed to load shipment details:', error);
+        elements.shipmentPanelProofs.innerHTML = '<div class="empty-state">Failed to load shipment</div>';
+    }
+}
+
+// Parent/return links, plus the return action while the shipment can still be returned
+function renderShipmentLinks(shipment) {
+    const returns = shipment.return_shipments || [];
+    const linked = shipment.parent_shipment ? [shipment.parent_shipment] : returns;
+    const openReturn = returns.some(linkedShipment => linkedShipment.status !== 'cancelled');
+    
+    elements.shipmentPanelLinks.innerHTML = '';
+    elements.shipmentPanelLinksLabel.textContent = shipment.parent_shipment ? 'Return of:' : 'Returns:';
+    elements.shipmentPanelLinksRow.style.display = linked.length > 0 ? 'flex' : 'none';
+    
+    linked.forEach(linkedShipment => {
+        const link = document.createElement('a');
+        link.textContent = `${linkedShipment.tracking_number} (${formatStatus(linkedShipment.status)})`;
+        link.onclick = () => showShipmentPanel(linkedShipment.id);
+        elements.shipmentPanelLinks.appendChild(link);
+    });
+    
+    elements.shipmentReturnSection.style.display =
+        ['delivered', 'failed'].includes(shipment.status) && !openReturn ? 'block' : 'none';
+}
+
+const ATTEMPT_REASONS = {
+    recipient_absent: 'Recipient absent',
+    address_not_found: 'Address not found',
+    refused: 'Refused',
+    access_denied: 'Access denied'
+};
+
+// Attempts are listed while dispatch decides between rescheduling, returning and reassigning
+async function renderDeliveryAttempts(shipment) {
+    if (shipment.status !== 'failed' || !shipment.failed_attempts) return;
+    
+    const response = await getDeliveryAttempts(shipment.id);
+    const attempts = response.data?.attempts || [];
+    if (selectedShipmentId !== shipment.id) return;
+    
+    elements.shipmentPanelAttemptList.innerHTML = '';
+    attempts.forEach(attempt => {
+        const item = document.createElement('div');
+        const details = document.createElement('small');
+        item.className = 'attempt-item';
+        item.textContent = `#${attempt.attempt_number} ${ATTEMPT_REASONS[attempt.reason_code] || attempt.reason_code}` +
+            (attempt.notes ? ` - ${attempt.notes}` : '');
+        details.textContent = `${attempt.driver_name || getDriverName(attempt.driver_id)} · ${new Date(attempt.created_at).toLocaleString()}` +
+            (attempt.resolution ? ` · ${attempt.resolution}` : '');
+        item.appendChild(details);
+        elements.shipmentPanelAttemptList.appendChild(item);
+    });
+    
+    elements.reassignDriverSelect.innerHTML = '<option value="">Reassign to...</option>';
+    drivers.forEach(driver => {
+        if (driver.id === shipment.driver_id) return;
+        elements.reassignDriverSelect.add(new Option(driver.name || 'Driver #' + driver.id, driver.id));
+    });
+    elements.shipmentAttemptSection.style.display = 'block';
+}
+
+async function rescheduleFailedShipment() {
+    const shipmentId = selectedShipmentId;
+    if (!shipmentId) return;
+    
+    const eta = elements.rescheduleAt.value;
+    
+    try {
+        await rescheduleShipment(shipmentId, eta ? { estimated_delivery: new Date(eta).toISOString() } : {});
+        showToast('Shipment rescheduled', 'success');
+        await loadShipmentsPage(true);
+        showShipmentPanel(shipmentId);
+    } catch (error) {
+        showToast(error.message || 'Failed to reschedule shipment', 'error');
+    }
+}
+
+async function reassignFailedShipment() {
+    const shipmentId = selectedShipmentId;
+    const driverId = Number(elements.reassignDriverSelect.value);
+    if (!shipmentId || !driverId) {
+        showToast('Choose a driver to reassign to', 'warning');
+        return;
+    }
+    
+    try {
+        await reassignShipment(shipmentId, driverId, 'Failed delivery attempt');
+        showToast(`Shipment reassigned to ${getDriverName(driverId)}`, 'success');
+        await loadShipmentsPage(true);
+        showShipmentPanel(shipmentId);
+    } catch (error) {
+        showToast(error.message || 'Failed to reassign shipment', 'error');
+    }
+}
+
+async function createReturn() {
+    const shipmentId = selectedShipmentId;
+    if (!shipmentId) return;
+    
+    const reason = elements.returnReasonInput.value.trim();
+    
+    try {
+        const { data } = await createReturnShipment(shipmentId, reason ? { reason } : {});
+        showToast(`Return ${data.shipment.tracking_number} created`, 'success');
+        await loadShipmentsPage(true);
+        showShipmentPanel(data.shipment.id);
+    } catch (error) {
+        showToast(error.message || 'Failed to create return', 'error');
+    }
+}
+
+// Load the comment threads of the open shipment and mark them read
+async function loadShipmentComments(shipmentId) {
+    const response = await getShipmentComments(shipmentId);
+    const data = response.data || {};
+    if (selectedShipmentId !== shipmentId) return;
+    
+    renderCommentThreads(data.threads || []);
+    
+    if (data.unread_comments > 0) {
+        await markShipmentCommentsRead(shipmentId, data.last_comment_id);
+    }
+    const shipment = shipments.get(shipmentId);
+    if (shipment && shipment.unread_comments) {
+        shipment.unread_comments = 0;
+        renderShipments();
+    }
+}
+
+function renderCommentThreads(threads) {
+    elements.shipmentPanelComments.innerHTML = '';
+    
+    if (threads.length === 0) {
+        elements.shipmentPanelComments.innerHTML = '<div class="empty-state">No comments yet</div>';
+        return;
+    }
+    
+    threads.forEach(thread => {
+        elements.shipmentPanelComments.appendChild(createCommentElement(thread, true));
+        thread.replies.forEach(reply => {
+            elements.shipmentPanelComments.appendChild(createCommentElement(reply, false));
+        });
+    });
+    elements.shipmentPanelComments.scrollTop = elements.shipmentPanelComments.scrollHeight;
+}
+
+// Comment text is set as textContent so it can never inject markup
+function createCommentElement(comment, canReply) {
+    const item = document.createElement('div');
+    const meta = document.createElement('div');
+    const author = document.createElement('span');
+    const body = document.createElement('div');
+    
+    item.className = canReply ? 'comment' : 'comment reply';
+    meta.className = 'comment-meta';
+    author.textContent = `${comment.author_name || 'User #' + comment.author_id} (${comment.author_role}) · ${new Date(comment.created_at).toLocaleString()}`;
+    meta.appendChild(author);
+    
+    if (canReply) {
+        const replyButton = document.createElement('button');
+        replyButton.textContent = 'Reply';
+        replyButton.onclick = () => setCommentReply(comment);
+        meta.appendChild(replyButton);
+    }
+    
+    body.textContent = comment.body;
+    item.append(meta, body);
+    return item;
+}
+
+function setCommentReply(comment) {
+    commentReplyParentId = comment ? comment.id : null;
+    elements.commentReplyNote.style.display = comment ? 'block' : 'none';
+    elements.commentReplyNote.textContent = comment
+        ? `Replying to ${comment.author_name || 'User #' + comment.author_id}`
+        : '';
+    if (comment) elements.shipmentCommentInput.focus();
+}
+
+async function postShipmentComment() {
+    const shipmentId = selectedShipmentId;
+    const body = elements.shipmentCommentInput.value.trim();
+    if (!shipmentId || !body) return;
+    
+    try {
+        await addShipmentComment(shipmentId, body, commentReplyParentId);
+        elements.shipmentCommentInput.value = '';
+        setCommentReply(null);
+        await loadShipmentComments(shipmentId);
+    } catch (error) {
+        console.error('Failed to post comment:', error);
+        showToast(error.message || 'Failed to post comment', 'error');
+    }
+}
+
+function handleTrackImported(data) {
+    showToast(`Imported ${data.accepted} track points for shipment #${data.shipment_id}`, 'info');
+    
+    const driver = drivers.get(data.driver_id);
+    if (driver && driver.currentShipment === data.shipment_id && selectedDriverId === data.driver_id) {
+        loadedPathKey = null;
+        loadDriverPath(data.driver_id);
+    }
+}
+
+function handleDeliveryAttemptFailed(data) {
+    const shipment = shipments.get(data.shipment_id);
+    if (shipment) {
+        shipment.status = 'failed';
+        shipment.failed_attempts = data.failed_attempts;
+        renderShipments();
+        updateStats();
+    }
+    
+    const reason = ATTEMPT_REASONS[data.attempt.reason_code] || data.attempt.reason_code;
+    showToast(`❌ ${data.tracking_number}: delivery attempt ${data.attempt.attempt_number} failed (${reason})`, 'warning');
+    
+    if (selectedShipmentId === data.shipment_id) {
+        showShipmentPanel(data.shipment_id);
+    }
+}
+
+// Refresh the open thread, or count the comment as unread on its shipment card
+function handleShipmentComment(data) {
+    const user = getCurrentUser();
+    if (data.comment.author_id === user?.id) return;
+    
+    if (selectedShipmentId === data.shipment_id) {
+        loadShipmentComments(data.shipment_id).catch(error => {
+            console.error('Failed to refresh comments:', error);
+        });
+        return;
+    }
+    
+    const shipment = shipments.get(data.shipment_id);
+    if (shipment) {
+        shipment.unread_comments = (shipment.unread_comments || 0) + 1;
+        renderShipments();
+    }
+    
+    const label = shipment ? shipment.tracking_number : `#${data.shipment_id}`;
+    showToast(`💬 ${data.comment.author_name || 'Driver'} on ${label}: ${data.comment.body.slice(0, 60)}`, 'info');
+}
+
+// Promised window plus the policy it is held to
+function formatDeliveryWindow(shipment) {
+    if (!shipment.promised_window_end) return '--';
+    
+    const end = new Date(shipment.promised_window_end).toLocaleString();
+    const range = shipment.promised_window_start
+        ? `${new Date(shipment.promised_window_start).toLocaleString()} – ${end}`
+        : `by ${end}`;
+    return `${range} (${shipment.sla_policy})`;
+}
+
+// How delivery was authorised, and whether it happened away from the destination
+function formatDeliveryVerification(shipment) {
+    if (!shipment.delivered_at) return '--';
+    
+    const method = {
+        pin: 'Recipient PIN',
+        admin_override: `Admin override: ${shipment.delivery_override_reason}`
+    }[shipment.delivery_verification] || 'Not verified';
+    
+    if (shipment.delivery_location_check === 'too_far') {
+        return `${method} · ⚠️ ${shipment.delivery_distance_meters}m from destination`;
+    }
+    if (shipment.delivery_location_check === 'no_location') {
+        return `${method} · no GPS at confirmation`;
+    }
+    return method;
+}
+
+// Render proof-of-delivery photos and signatures for the selected shipment
+async function renderShipmentProofs(shipmentId) {
+    releaseProofObjectUrls();
+    
+    const response = await getDeliveryProofs(shipmentId);
+    const proofs = response.data?.proofs || [];
+    if (selectedShipmentId !== shipmentId) return;
+    
+    if (proofs.length === 0) {
+        elements.shipmentPanelProofs.innerHTML = '<div class="empty-state">No proof of delivery uploaded</div>';
+        return;
+    }
+    
+    const items = await Promise.all(proofs.map(async (proof) => {
+        // One missing or unreadable file should not hide the rest
+        const blob = await getDeliveryProofBlob(proof.url).catch(() => null);
+        if (!blob) return '';
+        
+        const objectUrl = URL.createObjectURL(blob);
+        proofObjectUrls.push(objectUrl);
+        
+        const label = proof.proof_type === 'signature' ? '✍️ Signature'
+            : proof.attempt_id ? '📷 Failed attempt' : '📷 Photo';
+        return `
+            <div class="proof-item">
+                <a href="${objectUrl}" target="_blank" rel="noopener">
+                    <img src="${objectUrl}" alt="${label}">
+                </a>
+                <div class="proof-meta">
+                    ${label}${proof.stop_id ? ' · Stop #' + proof.stop_id : ''} · ${new Date(proof.created_at).toLocaleString()}
+                </div>
+            </div>
+        `;
+    }));
+    
+    if (selectedShipmentId !== shipmentId) return;
+    elements.shipmentPanelProofs.innerHTML = items.join('') ||
+        '<div class="empty-state">Proof of delivery could not be loaded</div>';
+}
+
+// Issue an expiring share link and copy it for the customer
+async function shareShipmentLink() {
+    const shipmentId = selectedShipmentId;
+    if (!shipmentId) return;
+    
+    try {
+        const { data } = await createShareLink(shipmentId);
+        const link = new URL(data.url, window.location.href).href;
+        if (selectedShipmentId !== shipmentId) return;
+        
+        elements.shipmentPanelShare.textContent = `${link} (expires ${new Date(data.expires_at).toLocaleString()})`;
+        await navigator.clipboard?.writeText(link);
+        showToast('Tracking link copied', 'success');
+    } catch (error) {
+        showToast(error.message || 'Failed to create tracking link', 'error');
+    }
+}
+
+// Recompute the shipment's tracking/status hash chain on the server
+async function verifyShipmentChain() {
+    const shipmentId = selectedShipmentId;
+    if (!shipmentId) return;
+    
+    elements.shipmentPanelChain.textContent = 'Verifying...';
+    elements.shipmentPanelChain.className = 'chain-result';
+    
+    let report;
+    try {
+        report = (await verifyHash(shipmentId, {})).data;
+    } catch (error) {
+        if (selectedShipmentId === shipmentId) {
+            elements.shipmentPanelChain.textContent = 'Verification failed';
+        }
+        return;
+    }
+    if (selectedShipmentId !== shipmentId) return;
+    
+    const link = report.first_broken_link;
+    elements.shipmentPanelChain.textContent = report.valid
+        ? `✅ ${report.record_count} records intact`
+        : `❌ Broken at record #${link.chain_seq} (${link.reason.replace(/_/g, ' ')})`;
+    elements.shipmentPanelChain.classList.add(report.valid ? 'valid' : 'broken');
+}
+
+function releaseProofObjectUrls() {
+    proofObjectUrls.forEach(url => URL.revokeObjectURL(url));
+    proofObjectUrls = [];
+}
+
+// Close shipment panel
+function closeShipmentPanel() {
+    elements.shipmentPanel.style.display = 'none';
+    selectedShipmentId = null;
+    releaseProofObjectUrls();
 }
 
 // Update stats
@@ -463,8 +1196,48 @@ function updateStats() {
     const shipmentsArray = Array.from(shipments.values());
     
     elements.activeDrivers.textContent = driversArray.filter(d => d.isOnline).length;
-    elements.activeShipments.textContent = shipmentsArray.filter(s => s.status === 'in_transit').length;
-    elements.pendingDeliveries.textContent = shipmentsArray.filter(s => s.status === 'pending').length;
+    
+    // Prefer server-wide counts; the loaded list is only one page of a filtered view
+    if (shipmentStatusCounts) {
+        elements.activeShipments.textContent = shipmentStatusCounts.in_transit || 0;
+        elements.pendingDeliveries.textContent = shipmentStatusCounts.pending || 0;
+    } else {
+        elements.activeShipments.textContent = shipmentsArray.filter(s => s.status === 'in_transit').length;
+        elements.pendingDeliveries.textContent = shipmentsArray.filter(s => s.status === 'pending').length;
+    }
+    
+    // Compliance only counts delivered shipments; open ones show up as at risk / breached
+    if (shipmentSlaSummary) {
+        const rate = shipmentSlaSummary.compliance_rate;
+        elements.slaCompliance.textContent = rate === null ? '--' : `${rate}%`;
+        elements.slaStat.title = `${shipmentSlaSummary.on_track} on track · ${shipmentSlaSummary.at_risk} at risk · ` +
+            `${shipmentSlaSummary.breached} breached · ${shipmentSlaSummary.met} met`;
+    }
+}
+
+// Keep the list badge and SLA counters in step with the background evaluator
+function handleSlaStatusChanged(data) {
+    const shipment = shipments.get(data.shipment_id);
+    if (shipment) {
+        shipment.sla_status = data.sla_status;
+        renderShipments();
+    }
+    
+    if (shipmentSlaSummary) {
+        if (data.previous_status) shipmentSlaSummary[data.previous_status]--;
+        if (data.sla_status) shipmentSlaSummary[data.sla_status]++;
+        
+        const delivered = shipmentSlaSummary.met + shipmentSlaSummary.breached;
+        shipmentSlaSummary.compliance_rate = delivered > 0
+            ? Math.round((shipmentSlaSummary.met / delivered) * 1000) / 10
+            : null;
+        updateStats();
+    }
+    
+    if (data.sla_status === 'at_risk' || data.sla_status === 'breached') {
+        const label = shipment ? shipment.tracking_number : `#${data.shipment_id}`;
+        showToast(`Shipment ${label} is ${formatSlaStatus(data.sla_status).toLowerCase()}`, data.sla_status === 'breached' ? 'error' : 'warning');
+    }
 }
 
 // Update individual driver card
@@ -489,9 +1262,16 @@ function filterDrivers() {
     });
 }
 
-// Filter shipments
+// Filter shipments (re-queries the server from the first page)
 function filterShipments() {
-    renderShipments();
+    clearTimeout(shipmentSearchTimer);
+    loadShipmentsPage(true);
+}
+
+// Debounce free-text search so typing doesn't fire a request per keystroke
+function searchShipments() {
+    clearTimeout(shipmentSearchTimer);
+    shipmentSearchTimer = setTimeout(() => loadShipmentsPage(true), 300);
 }
 
 // Switch tabs
@@ -522,13 +1302,28 @@ async function refreshData() {
 function formatStatus(status) {
     const statusMap = {
         'pending': 'Pending',
+        'assigned': 'Assigned',
+        'picked_up': 'Picked Up',
         'in_transit': 'In Transit',
+        'arriving': 'Arriving',
         'delivered': 'Delivered',
-        'cancelled': 'Cancelled'
+        'failed': 'Failed',
+        'cancelled': 'Cancelled',
+        'returned': 'Returned'
     };
     return statusMap[status] || status;
 }
 
+function formatSlaStatus(slaStatus) {
+    const slaMap = {
+        'on_track': 'On Track',
+        'at_risk': 'At Risk',
+        'breached': 'Breached',
+        'met': 'Met'
+    };
+    return slaMap[slaStatus] || slaStatus;
+}
+
 function getDriverName(driverId) {
     const driver = drivers.get(driverId);
     return driver ? (driver.name || 'Driver #' + driverId) : 'Unknown';
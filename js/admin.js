@@ -3,6 +3,7 @@
  */
 
 let allShipments = [];
+let statusCounts = {};
 let map = null;
 let markers = {};
 let polylines = {};
@@ -52,11 +53,21 @@ function initMap() {
     }).addTo(map);
 }
 
-// Load all shipments
+// Load all shipments; the list is paged, so follow next_cursor until every page is in
 async function loadShipments() {
     try {
-        const data = await getShipments();
-        allShipments = data.data || [];
+        const shipments = [];
+        let cursor = null;
+        
+        do {
+            const data = (await getShipments({ limit: 200, ...(cursor && { cursor }) })).data;
+            shipments.push(...data.shipments);
+            // Counters for every shipment come with the first page only
+            if (!cursor) statusCounts = data.status_counts || {};
+            cursor = data.next_cursor;
+        } while (cursor);
+        
+        allShipments = shipments;
         renderShipments(allShipments);
         updateMapOptions();
     } catch (error) {
@@ -163,11 +174,10 @@ function searchShipments() {
 
 // Update stats
 function updateStats() {
-    document.getElementById('totalShipments').textContent = allShipments.length;
-    document.getElementById('inTransitCount').textContent = 
-        allShipments.filter(s => s.status === 'in_transit').length;
-    document.getElementById('deliveredCount').textContent = 
-        allShipments.filter(s => s.status === 'delivered').length;
+    document.getElementById('totalShipments').textContent = 
+        Object.values(statusCounts).reduce((total, count) => total + count, 0);
+    document.getElementById('inTransitCount').textContent = statusCounts.in_transit || 0;
+    document.getElementById('deliveredCount').textContent = statusCounts.delivered || 0;
     document.getElementById('highRiskCount').textContent = 
         allShipments.filter(s => s.risk_level === 'high').length;
 }
@@ -420,7 +430,7 @@ function handleDeliveryConfirmation(data) {
     // Update shipment status
     const shipment = allShipments.find(s => s.id === data.shipment_id);
     if (shipment) {
-        shipment.status = 'delivered';
+        setShipmentStatus(shipment, 'delivered');
         renderShipments(allShipments);
         updateStats();
     }
@@ -434,12 +444,20 @@ function handleStatusUpdate(data) {
     
     const shipment = allShipments.find(s => s.id === data.shipment_id);
     if (shipment) {
-        shipment.status = data.status;
+        setShipmentStatus(shipment, data.status);
         renderShipments(allShipments);
         updateStats();
     }
 }
 
+// Keep the status counters in step with live updates
+function setShipmentStatus(shipment, status) {
+    if (shipment.status === status) return;
+    statusCounts[shipment.status] = Math.max((statusCounts[shipment.status] || 0) - 1, 0);
+    statusCounts[status] = (statusCounts[status] || 0) + 1;
+    shipment.status = status;
+}
+
 function handleRiskAlert(data) {
     console.log('Risk alert:', data);
     
@@ -172,6 +172,26 @@ async function getShipmentHistory(shipmentId) {
     }
 }
 
+async function updateShipmentStatus(shipmentId, statusData) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/shipments/${shipmentId}/status`, {
+            method: 'POST',
+            headers: getHeaders(),
+            body: JSON.stringify(statusData)
+        });
+        
+        const responseData = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(responseData.message || responseData.error?.message || 'Failed to update status');
+        }
+        
+        return responseData;
+    } catch (error) {
+        return handleError(error);
+    }
+}
+
 async function confirmDelivery(shipmentId, deliveryData) {
     try {
         const response = await fetch(`${API_BASE_URL}/shipments/${shipmentId}/confirm-delivery`, {
@@ -192,6 +212,298 @@ async function confirmDelivery(shipmentId, deliveryData) {
     }
 }
 
+async function getShipmentStops(shipmentId) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/shipments/${shipmentId}/stops`, {
+            headers: getHeaders()
+        });
+        
+        const responseData = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(responseData.message || responseData.error?.message || 'Failed to fetch stops');
+        }
+        
+        return responseData;
+    } catch (error) {
+        return handleError(error);
+    }
+}
+
+async function addShipmentStop(shipmentId, stopData) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/shipments/${shipmentId}/stops`, {
+            method: 'POST',
+            headers: getHeaders(),
+            body: JSON.stringify(stopData)
+        });
+        
+        const responseData = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(responseData.message || responseData.error?.message || 'Failed to add stop');
+        }
+        
+        return responseData;
+    } catch (error) {
+        return handleError(error);
+    }
+}
+
+async function reorderShipmentStops(shipmentId, stopIds) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/shipments/${shipmentId}/stops/order`, {
+            method: 'PUT',
+            headers: getHeaders(),
+            body: JSON.stringify({ stop_ids: stopIds })
+        });
+        
+        const responseData = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(responseData.message || responseData.error?.message || 'Failed to reorder stops');
+        }
+        
+        return responseData;
+    } catch (error) {
+        return handleError(error);
+    }
+}
+
+async function updateShipment(shipmentId, updates) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/shipments/${shipmentId}`, {
+            method: 'PATCH',
+            headers: getHeaders(),
+            body: JSON.stringify(updates)
+        });
+        
+        const responseData = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(responseData.message || responseData.error?.message || 'Failed to update shipment');
+        }
+        
+        return responseData;
+    } catch (error) {
+        return handleError(error);
+    }
+}
+
+async function reassignShipment(shipmentId, driverId, reason = null) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/shipments/${shipmentId}/reassign`, {
+            method: 'POST',
+            headers: getHeaders(),
+            body: JSON.stringify({ driver_id: driverId, reason: reason || undefined })
+        });
+        
+        const responseData = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(responseData.message || responseData.error?.message || 'Failed to reassign shipment');
+        }
+        
+        return responseData;
+    } catch (error) {
+        return handleError(error);
+    }
+}
+
+async function cancelShipment(shipmentId, reason = null) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/shipments/${shipmentId}/cancel`, {
+            method: 'POST',
+            headers: getHeaders(),
+            body: JSON.stringify({ reason: reason || undefined })
+        });
+        
+        const responseData = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(responseData.message || responseData.error?.message || 'Failed to cancel shipment');
+        }
+        
+        return responseData;
+    } catch (error) {
+        return handleError(error);
+    }
+}
+
+async function getDeliveryAttempts(shipmentId) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/shipments/${shipmentId}/attempts`, {
+            headers: getHeaders()
+        });
+        
+        const responseData = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(responseData.message || responseData.error?.message || 'Failed to fetch delivery attempts');
+        }
+        
+        return responseData;
+    } catch (error) {
+        return handleError(error);
+    }
+}
+
+async function rescheduleShipment(shipmentId, data = {}) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/shipments/${shipmentId}/reschedule`, {
+            method: 'POST',
+            headers: getHeaders(),
+            body: JSON.stringify(data)
+        });
+        
+        const responseData = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(responseData.message || responseData.error?.message || 'Failed to reschedule shipment');
+        }
+        
+        return responseData;
+    } catch (error) {
+        return handleError(error);
+    }
+}
+
+async function createReturnShipment(shipmentId, data = {}) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/shipments/${shipmentId}/return`, {
+            method: 'POST',
+            headers: getHeaders(),
+            body: JSON.stringify(data)
+        });
+        
+        const responseData = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(responseData.message || responseData.error?.message || 'Failed to create return shipment');
+        }
+        
+        return responseData;
+    } catch (error) {
+        return handleError(error);
+    }
+}
+
+async function importShipmentsCsv(csvText, dryRun = false) {
+    try {
+        const headers = { ...getHeaders(), 'Content-Type': 'text/csv' };
+        const response = await fetch(`${API_BASE_URL}/shipments/import${dryRun ? '?dry_run=true' : ''}`, {
+            method: 'POST',
+            headers,
+            body: csvText
+        });
+        
+        const responseData = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(responseData.message || responseData.error?.message || 'Failed to import shipments');
+        }
+        
+        return responseData;
+    } catch (error) {
+        return handleError(error);
+    }
+}
+
+async function getDeliveryProofs(shipmentId) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/shipments/${shipmentId}/proofs`, {
+            headers: getHeaders()
+        });
+        
+        const responseData = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(responseData.message || responseData.error?.message || 'Failed to fetch delivery proofs');
+        }
+        
+        return responseData;
+    } catch (error) {
+        return handleError(error);
+    }
+}
+
+// Proof files need the auth header, so they are fetched as blobs rather than linked directly
+async function getDeliveryProofBlob(proofUrl) {
+    try {
+        const baseUrl = API_BASE_URL.replace(/\/api\/v1\/?$/, '');
+        const response = await fetch(`${baseUrl}${proofUrl}`, {
+            headers: { 'Authorization': getHeaders()['Authorization'] }
+        });
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch delivery proof');
+        }
+        
+        return await response.blob();
+    } catch (error) {
+        return handleError(error);
+    }
+}
+
+async function getShipmentComments(shipmentId) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/shipments/${shipmentId}/comments`, {
+            headers: getHeaders()
+        });
+        
+        const responseData = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(responseData.message || responseData.error?.message || 'Failed to fetch comments');
+        }
+        
+        return responseData;
+    } catch (error) {
+        return handleError(error);
+    }
+}
+
+async function addShipmentComment(shipmentId, body, parentId = null) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/shipments/${shipmentId}/comments`, {
+            method: 'POST',
+            headers: getHeaders(),
+            body: JSON.stringify(parentId ? { body, parent_id: parentId } : { body })
+        });
+        
+        const responseData = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(responseData.message || responseData.error?.message || 'Failed to post comment');
+        }
+        
+        return responseData;
+    } catch (error) {
+        return handleError(error);
+    }
+}
+
+// Without lastCommentId everything posted so far is marked read
+async function markShipmentCommentsRead(shipmentId, lastCommentId = null) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/shipments/${shipmentId}/comments/read`, {
+            method: 'POST',
+            headers: getHeaders(),
+            body: JSON.stringify(lastCommentId ? { last_comment_id: lastCommentId } : {})
+        });
+        
+        const responseData = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(responseData.message || responseData.error?.message || 'Failed to mark comments read');
+        }
+        
+        return responseData;
+    } catch (error) {
+        return handleError(error);
+    }
+}
+
 async function getAssignedShipments() {
     try {
         const response = await fetch(`${API_BASE_URL}/shipments/assigned`, {
@@ -225,7 +537,9 @@ async function updateLocation(shipmentId, locationData) {
                 longitude: parseFloat(locationData.longitude),
                 accuracy: locationData.accuracy ? Math.min(parseFloat(locationData.accuracy), 1000) : null,  // Cap at 1000m
                 speed: locationData.speed ? parseFloat(locationData.speed) : null,
-                heading: locationData.heading ? parseFloat(locationData.heading) : null
+                heading: locationData.heading != null ? parseFloat(locationData.heading) : null,
+                altitude: locationData.altitude != null ? parseFloat(locationData.altitude) : null,
+                timestamp: locationData.timestamp || null
             })
         });
         
@@ -241,6 +555,41 @@ async function updateLocation(shipmentId, locationData) {
     }
 }
 
+// Replay points queued while offline; each point keeps the time it was recorded
+async function uploadLocationBatch(shipmentId, points) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/tracking/batch`, {
+            method: 'POST',
+            headers: getHeaders(),
+            body: JSON.stringify({
+                shipment_id: parseInt(shipmentId),
+                points: points.map(point => ({
+                    latitude: parseFloat(point.latitude),
+                    longitude: parseFloat(point.longitude),
+                    accuracy: point.accuracy ? Math.min(parseFloat(point.accuracy), 1000) : null,
+                    speed: point.speed ? parseFloat(point.speed) : null,
+                    heading: point.heading != null ? parseFloat(point.heading) : null,
+                    altitude: point.altitude != null ? parseFloat(point.altitude) : null,
+                    timestamp: point.timestamp
+                }))
+            })
+        });
+        
+        const responseData = await response.json();
+        
+        if (!response.ok) {
+            const error = new Error(responseData.message || responseData.error?.message || 'Failed to upload queued locations');
+            // Lets the offline queue tell a rejected chunk from one worth retrying
+            error.status = response.status;
+            throw error;
+        }
+        
+        return responseData;
+    } catch (error) {
+        return handleError(error);
+    }
+}
+
 async function getTrackingData(shipmentId) {
     try {
         const response = await fetch(`${API_BASE_URL}/tracking/${shipmentId}`, {
@@ -259,6 +608,46 @@ async function getTrackingData(shipmentId) {
     }
 }
 
+// options: { zoom, tolerance, format: 'points' | 'polyline', start_date, end_date }
+async function getLocationHistory(shipmentId, options = {}) {
+    try {
+        const queryParams = new URLSearchParams(options).toString();
+        const url = `${API_BASE_URL}/tracking/${shipmentId}/history${queryParams ? '?' + queryParams : ''}`;
+        
+        const response = await fetch(url, {
+            headers: getHeaders()
+        });
+        
+        const responseData = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(responseData.message || responseData.error?.message || 'Failed to fetch location history');
+        }
+        
+        return responseData;
+    } catch (error) {
+        return handleError(error);
+    }
+}
+
+// Track exports are downloads, fetched as blobs so the request carries the auth header
+async function getTrackExportBlob(shipmentId, format = 'gpx') {
+    try {
+        const response = await fetch(`${API_BASE_URL}/tracking/${shipmentId}/export?format=${encodeURIComponent(format)}`, {
+            headers: { 'Authorization': getHeaders()['Authorization'] }
+        });
+        
+        if (!response.ok) {
+            const responseData = await response.json().catch(() => ({}));
+            throw new Error(responseData.message || responseData.error?.message || 'Failed to export track');
+        }
+        
+        return await response.blob();
+    } catch (error) {
+        return handleError(error);
+    }
+}
+
 // ============================================
 // RISK & RECOVERY
 // ============================================
@@ -325,6 +714,49 @@ async function verifyHash(shipmentId, hashData) {
     }
 }
 
+// ============================================
+// PUBLIC TRACKING
+// ============================================
+
+async function createShareLink(shipmentId, expiresInHours = null) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/shipments/${shipmentId}/share`, {
+            method: 'POST',
+            headers: getHeaders(),
+            body: JSON.stringify(expiresInHours ? { expires_in_hours: expiresInHours } : {})
+        });
+        
+        const responseData = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(responseData.message || responseData.error?.message || 'Failed to create share link');
+        }
+        
+        return responseData;
+    } catch (error) {
+        return handleError(error);
+    }
+}
+
+// No login: the share token in the link is the only credential
+async function getPublicTracking(trackingNumber, shareToken) {
+    try {
+        const response = await fetch(
+            `${API_BASE_URL}/public/tracking/${encodeURIComponent(trackingNumber)}?token=${encodeURIComponent(shareToken)}`
+        );
+        
+        const responseData = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(responseData.message || responseData.error?.message || 'Failed to load tracking');
+        }
+        
+        return responseData;
+    } catch (error) {
+        return handleError(error);
+    }
+}
+
 // ============================================
 // STATS & DASHBOARD
 // ============================================
@@ -351,10 +783,16 @@ async function getDashboardStats() {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         login, register, logout, getCurrentUser, isAuthenticated,
-        getShipments, getShipmentById, getShipmentHistory, confirmDelivery, getAssignedShipments,
-        updateLocation, getTrackingData,
+        getShipments, getShipmentById, getShipmentHistory, updateShipmentStatus, confirmDelivery, getAssignedShipments,
+        getShipmentStops, addShipmentStop, reorderShipmentStops,
+        getShipmentComments, addShipmentComment, markShipmentCommentsRead,
+        updateShipment, reassignShipment, cancelShipment, createReturnShipment, importShipmentsCsv,
+        getDeliveryAttempts, rescheduleShipment,
+        getDeliveryProofs, getDeliveryProofBlob,
+        updateLocation, uploadLocationBatch, getTrackingData, getLocationHistory, getTrackExportBlob,
         getRiskScore, triggerRecovery,
         verifyHash,
+        createShareLink, getPublicTracking,
         getDashboardStats
     };
 }
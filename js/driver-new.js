@@ -15,6 +15,14 @@ let locationQueue = [];
 let lastPosition = null;
 let totalDistance = 0;
 let isOnline = navigator.onLine;
+let signatureHasInk = false;
+
+// Statuses a driver can start or resume a trip from
+// A failed shipment waits for dispatch to reschedule, return or reassign it
+const ACTIVE_TRIP_STATUSES = ['pending', 'assigned', 'picked_up', 'in_transit', 'arriving'];
+
+// Queued points sent per request when back online; the server accepts up to 500
+const LOCATION_BATCH_SIZE = 200;
 
 // DOM Elements
 const elements = {
@@ -25,7 +33,15 @@ const elements = {
     tripShipmentId: document.getElementById('tripShipmentId'),
     tripStatus: document.getElementById('tripStatus'),
     trackingIndicator: document.getElementById('trackingIndicator'),
+    destinationLabel: document.getElementById('destinationLabel'),
     destinationAddress: document.getElementById('destinationAddress'),
+    stopsInfo: document.getElementById('stopsInfo'),
+    stopsList: document.getElementById('stopsList'),
+    stopsProgress: document.getElementById('stopsProgress'),
+    commentsList: document.getElementById('commentsList'),
+    commentInput: document.getElementById('commentInput'),
+    deliveryModalTitle: document.getElementById('deliveryModalTitle'),
+    deliveryModalMessage: document.getElementById('deliveryModalMessage'),
     currentSpeed: document.getElementById('currentSpeed'),
     gpsAccuracy: document.getElementById('gpsAccuracy'),
     distanceCovered: document.getElementById('distanceCovered'),
@@ -34,8 +50,17 @@ const elements = {
     connectionStatus: document.getElementById('connectionStatus'),
     endTripBtn: document.getElementById('endTripBtn'),
     confirmDeliveryBtn: document.getElementById('confirmDeliveryBtn'),
+    failedAttemptBtn: document.getElementById('failedAttemptBtn'),
+    attemptModal: document.getElementById('attemptModal'),
+    attemptReason: document.getElementById('attemptReason'),
+    attemptNotes: document.getElementById('attemptNotes'),
+    attemptPhoto: document.getElementById('attemptPhoto'),
     deliveryModal: document.getElementById('deliveryModal'),
     deliveryNotes: document.getElementById('deliveryNotes'),
+    deliveryPinGroup: document.getElementById('deliveryPinGroup'),
+    deliveryPin: document.getElementById('deliveryPin'),
+    deliveryPhoto: document.getElementById('deliveryPhoto'),
+    signaturePad: document.getElementById('signaturePad'),
     toastContainer: document.getElementById('toastContainer')
 };
 
@@ -83,6 +108,8 @@ function setupEventListeners() {
         showToast('Offline - Updates will be queued', 'warning');
     });
     
+    initSignaturePad();
+    
     // Visibility change (app background/foreground)
     document.addEventListener('visibilitychange', () => {
         if (!document.hidden && isTracking) {
@@ -139,7 +166,9 @@ function renderShipments(shipments) {
              onclick="selectShipment(${shipment.id})" 
              data-id="${shipment.id}">
             <div class="shipment-card-header">
-                <span class="shipment-id">#${shipment.id}</span>
+                <span class="shipment-id">#${shipment.id}${shipment.parent_shipment_id ? ' ↩ Return' : ''}</span>
+                ${shipment.priority && shipment.priority !== 'standard' ? `<span class="priority-badge ${shipment.priority}">${shipment.priority}</span>` : ''}
+                ${shipment.unread_comments ? `<span class="comment-badge">💬 ${shipment.unread_comments}</span>` : ''}
                 <span class="status-badge ${shipment.status}">${formatStatus(shipment.status)}</span>
             </div>
             <div class="shipment-route">
@@ -152,7 +181,11 @@ function renderShipments(shipments) {
             <div class="shipment-address">
                 <strong>To:</strong> ${shipment.destination_address || 'Unknown destination'}
             </div>
-            ${shipment.status === 'pending' || shipment.status === 'in_transit' ? `
+            ${shipment.failed_attempts ? `
+                <div class="shipment-address">⚠️ ${shipment.failed_attempts} failed attempt${shipment.failed_attempts > 1 ? 's' : ''}</div>
+            ` : ''}
+            ${renderManifest(shipment)}
+            ${ACTIVE_TRIP_STATUSES.includes(shipment.status) ? `
                 <button class="btn btn-primary start-trip-btn" onclick="event.stopPropagation(); startTrip(${shipment.id})">
                     🚀 Start Trip
                 </button>
@@ -161,6 +194,26 @@ function renderShipments(shipments) {
     `).join('');
 }
 
+// Collapsible manifest so the load can be checked item by item at pickup
+function renderManifest(shipment) {
+    if (!shipment.items || shipment.items.length === 0) return '';
+    
+    const totals = shipment.manifest_totals;
+    const rows = shipment.items.map(item => `
+        <li>
+            <span>${item.quantity} × ${escapeHtml(item.description)}${item.sku ? ` <small>(${escapeHtml(item.sku)})</small>` : ''}</span>
+            <span>${item.weight_kg != null ? `${Math.round(item.weight_kg * item.quantity * 1000) / 1000} kg` : ''}</span>
+        </li>
+    `).join('');
+    
+    return `
+        <details class="manifest" onclick="event.stopPropagation()">
+            <summary>📦 ${totals.total_quantity} pcs · ${totals.total_weight_kg} kg${totals.lines_without_weight > 0 ? '+' : ''}</summary>
+            <ul class="manifest-items">${rows}</ul>
+        </details>
+    `;
+}
+
 // Select shipment
 function selectShipment(shipmentId) {
     const cards = document.querySelectorAll('.shipment-card');
@@ -188,10 +241,12 @@ async function startTrip(shipmentId) {
         // Start GPS tracking
         startGPSTracking();
         
-        // Update shipment status to in_transit if pending
-        if (currentShipment.status === 'pending') {
-            await updateShipmentStatus(shipmentId, 'in_transit');
+        // Move the shipment into transit if the trip hasn't started yet
+        if (['pending', 'assigned', 'picked_up'].includes(currentShipment.status)) {
+            await updateShipmentStatus(shipmentId, { status: 'in_transit', reason: 'Trip started' });
             currentShipment.status = 'in_transit';
+            elements.tripStatus.textContent = formatStatus(currentShipment.status);
+            elements.tripStatus.className = `status-badge ${currentShipment.status}`;
         }
         
         // Join socket room for live updates
@@ -214,7 +269,8 @@ function showActiveTripView() {
     elements.tripShipmentId.textContent = `#${currentShipment.id}`;
     elements.tripStatus.textContent = formatStatus(currentShipment.status);
     elements.tripStatus.className = `status-badge ${currentShipment.status}`;
-    elements.destinationAddress.textContent = currentShipment.destination_address || 'Unknown';
+    renderStops();
+    loadComments();
     
     // Reset stats
     elements.currentSpeed.textContent = '0';
@@ -233,6 +289,110 @@ function showActiveTripView() {
     }
 }
 
+// Load the message thread of the current shipment and mark it read
+async function loadComments() {
+    const shipmentId = currentShipment?.id;
+    if (!shipmentId) return;
+    
+    try {
+        const response = await getShipmentComments(shipmentId);
+        const data = response.data || {};
+        if (currentShipment?.id !== shipmentId) return;
+        
+        renderComments(data.threads || []);
+        
+        if (data.unread_comments > 0) {
+            await markShipmentCommentsRead(shipmentId, data.last_comment_id);
+        }
+    } catch (error) {
+        console.error('Failed to load messages:', error);
+    }
+}
+
+function renderComments(threads) {
+    const user = getCurrentUser();
+    
+    if (threads.length === 0) {
+        elements.commentsList.innerHTML = '<li class="comment-meta">No messages yet</li>';
+        return;
+    }
+    
+    const renderComment = (comment, isReply) => `
+        <li class="${comment.author_id === user?.id ? 'own' : ''} ${isReply ? 'reply' : ''}">
+            <span class="comment-meta">${escapeHtml(comment.author_name || comment.author_role)} · ${new Date(comment.created_at).toLocaleTimeString()}</span>
+            ${escapeHtml(comment.body)}
+        </li>
+    `;
+    
+    elements.commentsList.innerHTML = threads.map(thread =>
+        renderComment(thread, false) + thread.replies.map(reply => renderComment(reply, true)).join('')
+    ).join('');
+    elements.commentsList.scrollTop = elements.commentsList.scrollHeight;
+}
+
+async function sendComment() {
+    const body = elements.commentInput.value.trim();
+    if (!currentShipment || !body) return;
+    
+    try {
+        await addShipmentComment(currentShipment.id, body);
+        elements.commentInput.value = '';
+        await loadComments();
+    } catch (error) {
+        console.error('Failed to send message:', error);
+        showToast(error.message || 'Failed to send message', 'error');
+    }
+}
+
+// Get the next stop still to be completed (multi-stop shipments only)
+function getCurrentStop() {
+    const stops = currentShipment?.stops || [];
+    return stops.find(stop => stop.status === 'pending') || null;
+}
+
+// Render the ordered stop list and point the destination at the current stop
+function renderStops() {
+    const stops = currentShipment?.stops || [];
+    
+    if (stops.length === 0) {
+        elements.stopsInfo.style.display = 'none';
+        elements.destinationLabel.textContent = '📍 Destination:';
+        elements.destinationAddress.textContent = currentShipment.destination_address || 'Unknown';
+        return;
+    }
+    
+    const currentStop = getCurrentStop();
+    const completedCount = stops.filter(stop => stop.status === 'completed').length;
+    
+    elements.stopsInfo.style.display = 'block';
+    elements.stopsProgress.textContent = `${completedCount}/${stops.length}`;
+    elements.destinationLabel.textContent = currentStop 
+        ? `📍 Next Stop (${currentStop.stop_type === 'pickup' ? 'Pickup' : 'Drop'}):` 
+        : '📍 Destination:';
+    elements.destinationAddress.textContent = currentStop 
+        ? currentStop.address 
+        : (currentShipment.destination_address || 'Unknown');
+    
+    elements.stopsList.innerHTML = stops.map(stop => {
+        const state = stop.status === 'completed' ? 'completed' : 
+                      (currentStop && stop.id === currentStop.id ? 'current' : '');
+        const timeWindow = stop.window_start || stop.window_end 
+            ? `<span class="stop-window">🕒 ${escapeHtml(formatStopTime(stop.window_start))} – ${escapeHtml(formatStopTime(stop.window_end))}</span>` 
+            : '';
+        
+        return `
+            <li class="stop-item ${state}">
+                <span class="stop-marker">${stop.status === 'completed' ? '✓' : escapeHtml(stop.sequence)}</span>
+                <span>${escapeHtml(stop.address)}${timeWindow}</span>
+            </li>
+        `;
+    }).join('');
+}
+
+function formatStopTime(value) {
+    return value ? new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '--:--';
+}
+
 // Start GPS tracking
 function startGPSTracking() {
     if (!navigator.geolocation) {
@@ -276,7 +436,7 @@ function startGPSTracking() {
 
 // Handle GPS position update
 async function handlePositionUpdate(position) {
-    const { latitude, longitude, accuracy, speed, heading } = position.coords;
+    const { latitude, longitude, accuracy, speed, heading, altitude } = position.coords;
     
     // Hide waiting indicator
     elements.gpsWaiting.style.display = 'none';
@@ -315,8 +475,11 @@ async function handlePositionUpdate(position) {
             longitude,
             accuracy: accuracy || null,
             speed: speed || null,
-            heading: heading || null,
-            timestamp: new Date().toISOString()
+            // Heading is NaN while stationary; 0 is a valid heading (due north)
+            heading: Number.isFinite(heading) ? heading : null,
+            altitude: Number.isFinite(altitude) ? altitude : null,
+            // When the fix was taken, which can be well before it reaches the server
+            timestamp: new Date(position.timestamp || Date.now()).toISOString()
         };
         
         // Debug logging
@@ -429,22 +592,48 @@ async function processLocationQueue() {
     const queue = [...locationQueue];
     locationQueue = [];
     
+    // One request per shipment and chunk instead of one per point
+    const byShipment = new Map();
     for (const item of queue) {
-        try {
-            await updateLocation(item.shipmentId, item.locationData);
-        } catch (error) {
-            // Re-queue if failed
-            locationQueue.push(item);
+        if (!byShipment.has(item.shipmentId)) byShipment.set(item.shipmentId, []);
+        byShipment.get(item.shipmentId).push(item);
+    }
+    
+    let rejected = 0;
+    for (const [shipmentId, items] of byShipment) {
+        for (let start = 0; start < items.length; start += LOCATION_BATCH_SIZE) {
+            const chunk = items.slice(start, start + LOCATION_BATCH_SIZE);
+            try {
+                await uploadLocationBatch(shipmentId, chunk.map(item => item.locationData));
+            } catch (error) {
+                if (isRetryableUpload(error)) {
+                    // Re-queue; the server skips points it already stored
+                    locationQueue.push(...chunk);
+                } else {
+                    // The server will never accept these (reassigned shipment, bad timestamp...), so drop them
+                    console.error(`Dropped ${chunk.length} queued updates for shipment #${shipmentId}:`, error.message);
+                    rejected += chunk.length;
+                }
+            }
         }
     }
     
-    if (locationQueue.length === 0) {
+    if (rejected > 0) {
+        showToast(`${rejected} queued updates were rejected by the server and dropped`, 'error');
+    } else if (locationQueue.length === 0) {
         showToast('All updates sent', 'success');
-    } else {
+    }
+    
+    if (locationQueue.length > 0) {
         showToast(`${locationQueue.length} updates still queued`, 'warning');
     }
 }
 
+// Network errors, an expired login, rate limiting and server errors may pass on a later try; other 4xx never will
+function isRetryableUpload(error) {
+    return !error.status || error.status === 401 || error.status === 429 || error.status >= 500;
+}
+
 // End trip
 function endTrip() {
     if (!isTracking) return;
@@ -462,6 +651,21 @@ function endTrip() {
 
 // Confirm delivery
 function confirmDelivery() {
+    const currentStop = getCurrentStop();
+    const stops = currentShipment?.stops || [];
+    const isLastStop = currentStop && stops.filter(stop => stop.status === 'pending').length === 1;
+    
+    if (currentStop && !isLastStop) {
+        elements.deliveryModalTitle.textContent = `✅ Complete Stop ${currentStop.sequence}`;
+        elements.deliveryModalMessage.textContent = `Mark "${currentStop.address}" as completed?`;
+    } else {
+        elements.deliveryModalTitle.textContent = '✅ Confirm Delivery';
+        elements.deliveryModalMessage.textContent = 'Ask the recipient for their delivery PIN to confirm.';
+    }
+    
+    // Only the final delivery needs the recipient's PIN
+    elements.deliveryPinGroup.style.display = currentStop && !isLastStop ? 'none' : 'block';
+    
     elements.deliveryModal.style.display = 'flex';
 }
 
@@ -469,6 +673,110 @@ function confirmDelivery() {
 function closeDeliveryModal() {
     elements.deliveryModal.style.display = 'none';
     elements.deliveryNotes.value = '';
+    elements.deliveryPin.value = '';
+    elements.deliveryPhoto.value = '';
+    clearSignature();
+}
+
+// Failed delivery attempt modal
+function openAttemptModal() {
+    if (!currentShipment) return;
+    elements.attemptModal.style.display = 'flex';
+}
+
+function closeAttemptModal() {
+    elements.attemptModal.style.display = 'none';
+    elements.attemptReason.selectedIndex = 0;
+    elements.attemptNotes.value = '';
+    elements.attemptPhoto.value = '';
+}
+
+// Record why the delivery could not be made; the trip ends until dispatch decides what's next
+async function submitFailedAttempt() {
+    if (!currentShipment) return;
+    
+    try {
+        const notes = elements.attemptNotes.value.trim();
+        const currentStop = getCurrentStop();
+        
+        const response = await recordFailedAttemptAPI(currentShipment.id, {
+            reason_code: elements.attemptReason.value,
+            ...(notes && { notes }),
+            ...(lastPosition && { latitude: lastPosition.latitude, longitude: lastPosition.longitude }),
+            ...(currentStop && { stop_id: currentStop.id })
+        }, elements.attemptPhoto.files[0] || null);
+        
+        stopGPSTracking();
+        
+        elements.trackingIndicator.classList.add('hidden');
+        elements.endTripBtn.disabled = true;
+        elements.confirmDeliveryBtn.disabled = true;
+        elements.failedAttemptBtn.disabled = true;
+        
+        closeAttemptModal();
+        showToast(`Attempt ${response.data?.attempt?.attempt_number} recorded - dispatch has been notified`, 'warning');
+        
+        setTimeout(() => {
+            location.reload();
+        }, 2000);
+        
+    } catch (error) {
+        console.error('Failed to record attempt:', error);
+        showToast(error.message || 'Failed to record attempt', 'error');
+    }
+}
+
+// Signature capture on the delivery modal canvas (mouse, touch and pen)
+function initSignaturePad() {
+    const canvas = elements.signaturePad;
+    if (!canvas) return;
+    
+    const ctx = canvas.getContext('2d');
+    let drawing = false;
+    
+    const toCanvasPoint = (event) => {
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * (canvas.width / rect.width),
+            y: (event.clientY - rect.top) * (canvas.height / rect.height)
+        };
+    };
+    
+    canvas.addEventListener('pointerdown', (event) => {
+        drawing = true;
+        canvas.setPointerCapture(event.pointerId);
+        const point = toCanvasPoint(event);
+        ctx.beginPath();
+        ctx.moveTo(point.x, point.y);
+    });
+    
+    canvas.addEventListener('pointermove', (event) => {
+        if (!drawing) return;
+        const point = toCanvasPoint(event);
+        ctx.lineWidth = 3;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.strokeStyle = '#111827';
+        ctx.lineTo(point.x, point.y);
+        ctx.stroke();
+        signatureHasInk = true;
+    });
+    
+    const stopDrawing = () => { drawing = false; };
+    canvas.addEventListener('pointerup', stopDrawing);
+    canvas.addEventListener('pointercancel', stopDrawing);
+}
+
+function clearSignature() {
+    const canvas = elements.signaturePad;
+    if (!canvas) return;
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    signatureHasInk = false;
+}
+
+function getSignatureBlob() {
+    if (!signatureHasInk) return Promise.resolve(null);
+    return new Promise(resolve => elements.signaturePad.toBlob(resolve, 'image/png'));
 }
 
 // Submit delivery confirmation
@@ -477,12 +785,39 @@ async function submitDeliveryConfirmation() {
     
     try {
         const notes = elements.deliveryNotes.value;
+        const pin = elements.deliveryPin.value.trim();
+        const currentStop = getCurrentStop();
         
-        await confirmDeliveryAPI(currentShipment.id, {
+        if (elements.deliveryPinGroup.style.display !== 'none' && !/^\d{6}$/.test(pin)) {
+            showToast('Enter the 6-digit PIN from the recipient', 'error');
+            return;
+        }
+        
+        // The server records where delivery was confirmed and flags it if far from the destination
+        const response = await confirmDeliveryAPI(currentShipment.id, {
             delivery_notes: notes,
-            delivered_at: new Date().toISOString()
+            delivered_at: new Date().toISOString(),
+            ...(pin && { delivery_pin: pin }),
+            ...(lastPosition && { latitude: lastPosition.latitude, longitude: lastPosition.longitude }),
+            ...(currentStop && { stop_id: currentStop.id })
+        }, {
+            photo: elements.deliveryPhoto.files[0] || null,
+            signature: await getSignatureBlob()
         });
         
+        const result = response.data || {};
+        
+        // Intermediate stop: keep the trip running and move on to the next stop
+        if (result.shipment && result.shipment.status !== 'delivered') {
+            currentShipment.stops = currentShipment.stops.map(stop => 
+                stop.id === result.completed_stop?.id ? result.completed_stop : stop
+            );
+            renderStops();
+            closeDeliveryModal();
+            showToast(`Stop ${result.completed_stop?.sequence} completed`, 'success');
+            return;
+        }
+        
         // Stop GPS tracking
         stopGPSTracking();
         
@@ -504,6 +839,9 @@ async function submitDeliveryConfirmation() {
         
         closeDeliveryModal();
         showToast('Delivery confirmed!', 'success');
+        if (result.shipment?.delivery_location_check === 'too_far') {
+            showToast(`Confirmed ${result.shipment.delivery_distance_meters}m from the destination - dispatch has been flagged`, 'warning');
+        }
         
         // Refresh shipments after delay
         setTimeout(() => {
@@ -512,7 +850,7 @@ async function submitDeliveryConfirmation() {
         
     } catch (error) {
         console.error('Failed to confirm delivery:', error);
-        showToast('Failed to confirm delivery', 'error');
+        showToast(error.message || 'Failed to confirm delivery', 'error');
     }
 }
 
@@ -552,13 +890,25 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
     return R * c;
 }
 
+// Manifest text is typed in by dispatchers, so keep it from being read as markup
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value;
+    return div.innerHTML;
+}
+
 // Format status for display
 function formatStatus(status) {
     const statusMap = {
         'pending': 'Pending',
+        'assigned': 'Assigned',
+        'picked_up': 'Picked Up',
         'in_transit': 'In Transit',
+        'arriving': 'Arriving',
         'delivered': 'Delivered',
-        'cancelled': 'Cancelled'
+        'failed': 'Failed',
+        'cancelled': 'Cancelled',
+        'returned': 'Returned'
     };
     return statusMap[status] || status;
 }
@@ -572,7 +922,7 @@ function showToast(message, type = 'info') {
                  type === 'error' ? '❌' : 
                  type === 'warning' ? '⚠️' : 'ℹ️';
     
-    toast.innerHTML = `${icon} ${message}`;
+    toast.textContent = `${icon} ${message}`;
     elements.toastContainer.appendChild(toast);
     
     // Remove after 3 seconds
@@ -715,6 +1065,69 @@ function initSocket() {
             }
         });
         
+        socketClient.on('shipment_stops_updated', (data) => {
+            if (currentShipment && data.shipment_id === currentShipment.id) {
+                currentShipment.stops = data.stops;
+                renderStops();
+                showToast('Stops updated by dispatch', 'info');
+            }
+        });
+        
+        socketClient.on('shipment_updated', (data) => {
+            if (currentShipment && data.shipment_id === currentShipment.id) {
+                Object.assign(currentShipment, data.shipment);
+                renderStops();
+                showToast('Shipment details updated by dispatch', 'info');
+            } else {
+                loadShipments();
+            }
+        });
+        
+        socketClient.on('shipment_reassigned', (data) => {
+            const user = getCurrentUser();
+            
+            if (data.previous_driver_id === user?.id) {
+                if (currentShipment && data.shipment_id === currentShipment.id) {
+                    stopGPSTracking();
+                    showToast('This shipment was reassigned to another driver', 'warning');
+                    setTimeout(() => location.reload(), 2000);
+                } else {
+                    loadShipments();
+                }
+            } else if (data.driver_id === user?.id) {
+                showToast(`Shipment #${data.shipment_id} assigned to you`, 'info');
+                loadShipments();
+            }
+        });
+        
+        // Shipments generated from a recurring template ahead of their pickup time
+        socketClient.on('new_shipment', (data) => {
+            showToast(`New shipment ${data.tracking_number} assigned to you`, 'info');
+            loadShipments();
+        });
+        
+        socketClient.on('shipment_comment', (data) => {
+            const user = getCurrentUser();
+            if (data.comment.author_id === user?.id) return;
+            
+            showToast(`💬 Dispatch: ${data.comment.body.slice(0, 60)}`, 'info');
+            if (currentShipment && data.shipment_id === currentShipment.id) {
+                loadComments();
+            } else {
+                loadShipments();
+            }
+        });
+        
+        socketClient.on('shipment_cancelled', (data) => {
+            if (currentShipment && data.shipment_id === currentShipment.id) {
+                stopGPSTracking();
+                showToast('This shipment was cancelled by dispatch', 'warning');
+                setTimeout(() => location.reload(), 2000);
+            } else {
+                loadShipments();
+            }
+        });
+        
         socketClient.on('disconnect', () => {
             console.log('Socket disconnected');
         });
@@ -722,26 +1135,64 @@ function initSocket() {
 }
 
 // API wrapper for confirm delivery
-async function confirmDeliveryAPI(shipmentId, data) {
+// Proof files switch the request to multipart; otherwise it stays JSON
+async function confirmDeliveryAPI(shipmentId, data, files = {}) {
+    const hasFiles = Boolean(files.photo || files.signature);
+    let headers = getHeaders();
+    let body = JSON.stringify(data);
+    
+    if (hasFiles) {
+        body = new FormData();
+        Object.entries(data).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) body.append(key, value);
+        });
+        if (files.photo) body.append('photo', files.photo);
+        if (files.signature) body.append('signature', files.signature, 'signature.png');
+        
+        // Let the browser set the multipart boundary
+        headers = { 'Authorization': headers['Authorization'] };
+    }
+    
     const response = await fetch(`${API_BASE_URL}/shipments/${shipmentId}/confirm-delivery`, {
         method: 'POST',
-        headers: getHeaders(),
-        body: JSON.stringify(data)
+        headers,
+        body
     });
     
     if (!response.ok) {
-        throw new Error('Failed to confirm delivery');
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error?.message || 'Failed to confirm delivery');
     }
     
     return await response.json();
 }
 
-// Update shipment status
-async function updateShipmentStatus(shipmentId, status) {
-    // This would typically be an API call
-    // For now, we'll emit via socket
-    socket.emit('status_change', {
-        shipment_id: shipmentId,
-        status: status
+// API wrapper for a failed delivery attempt; a photo switches the request to multipart
+async function recordFailedAttemptAPI(shipmentId, data, photo = null) {
+    let headers = getHeaders();
+    let body = JSON.stringify(data);
+    
+    if (photo) {
+        body = new FormData();
+        Object.entries(data).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) body.append(key, value);
+        });
+        body.append('photo', photo);
+        
+        // Let the browser set the multipart boundary
+        headers = { 'Authorization': headers['Authorization'] };
+    }
+    
+    const response = await fetch(`${API_BASE_URL}/shipments/${shipmentId}/attempts`, {
+        method: 'POST',
+        headers,
+        body
     });
+    
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error?.message || 'Failed to record attempt');
+    }
+    
+    return await response.json();
 }
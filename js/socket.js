@@ -101,6 +101,46 @@ class SocketClient {
             }
         });
 
+        // Stop completed on a multi-stop shipment
+        this.socket.on('stop_completed', (data) => {
+            console.log('Stop completed:', data);
+            if (this.listeners['stop_completed']) {
+                this.listeners['stop_completed'].forEach(cb => cb(data));
+            }
+        });
+
+        // Stops added or reordered by dispatch
+        this.socket.on('shipment_stops_updated', (data) => {
+            console.log('Shipment stops updated:', data);
+            if (this.listeners['shipment_stops_updated']) {
+                this.listeners['shipment_stops_updated'].forEach(cb => cb(data));
+            }
+        });
+
+        // Shipment details edited by dispatch
+        this.socket.on('shipment_updated', (data) => {
+            console.log('Shipment updated:', data);
+            if (this.listeners['shipment_updated']) {
+                this.listeners['shipment_updated'].forEach(cb => cb(data));
+            }
+        });
+
+        // Shipment handed to a different driver
+        this.socket.on('shipment_reassigned', (data) => {
+            console.log('Shipment reassigned:', data);
+            if (this.listeners['shipment_reassigned']) {
+                this.listeners['shipment_reassigned'].forEach(cb => cb(data));
+            }
+        });
+
+        // Shipment cancelled by dispatch
+        this.socket.on('shipment_cancelled', (data) => {
+            console.log('Shipment cancelled:', data);
+            if (this.listeners['shipment_cancelled']) {
+                this.listeners['shipment_cancelled'].forEach(cb => cb(data));
+            }
+        });
+
         // Risk alert
         this.socket.on('risk_alert', (data) => {
             console.log('Risk alert:', data);
@@ -117,6 +157,38 @@ class SocketClient {
             }
         });
 
+        // Delivery window status changed (admins and shipment room)
+        this.socket.on('sla_status_changed', (data) => {
+            console.log('SLA status changed:', data);
+            if (this.listeners['sla_status_changed']) {
+                this.listeners['sla_status_changed'].forEach(cb => cb(data));
+            }
+        });
+
+        // Driver recorded a failed delivery attempt
+        this.socket.on('delivery_attempt_failed', (data) => {
+            console.log('Delivery attempt failed:', data);
+            if (this.listeners['delivery_attempt_failed']) {
+                this.listeners['delivery_attempt_failed'].forEach(cb => cb(data));
+            }
+        });
+
+        // Smart tracking flagged a shipment
+        this.socket.on('recommendation_alert', (data) => {
+            console.log('Recommendation alert:', data);
+            if (this.listeners['recommendation_alert']) {
+                this.listeners['recommendation_alert'].forEach(cb => cb(data));
+            }
+        });
+
+        // Comment posted on a shipment thread
+        this.socket.on('shipment_comment', (data) => {
+            console.log('Shipment comment:', data);
+            if (this.listeners['shipment_comment']) {
+                this.listeners['shipment_comment'].forEach(cb => cb(data));
+            }
+        });
+
         // New shipment created
         this.socket.on('new_shipment', (data) => {
             console.log('New shipment:', data);
@@ -0,0 +1,177 @@
+/**
+ * LinkNode Public Tracking Page
+ * Customer view of one shipment, opened from a share link (track.html?tn=...&token=...)
+ */
+
+// Refresh while the shipment is still moving
+const REFRESH_INTERVAL_MS = 60 * 1000;
+const FINAL_STATUSES = ['delivered', 'cancelled', 'returned'];
+
+const STATUS_LABELS = {
+    pending: 'Order received',
+    assigned: 'Driver assigned',
+    picked_up: 'Picked up',
+    in_transit: 'In transit',
+    arriving: 'Arriving soon',
+    delivered: 'Delivered',
+    failed: 'Delivery attempt failed',
+    cancelled: 'Cancelled',
+    returned: 'Returned to sender'
+};
+
+let trackMap = null;
+let positionCircle = null;
+let refreshTimer = null;
+
+const elements = {
+    loading: document.getElementById('trackLoading'),
+    error: document.getElementById('trackError'),
+    content: document.getElementById('trackContent'),
+    number: document.getElementById('trackNumber'),
+    status: document.getElementById('trackStatus'),
+    origin: document.getElementById('trackOrigin'),
+    destination: document.getElementById('trackDestination'),
+    etaLabel: document.getElementById('trackEtaLabel'),
+    eta: document.getElementById('trackEta'),
+    stopsRow: document.getElementById('trackStopsRow'),
+    stops: document.getElementById('trackStops'),
+    mapCard: document.getElementById('trackMapCard'),
+    positionNote: document.getElementById('trackPositionNote'),
+    history: document.getElementById('trackHistory'),
+    proofCard: document.getElementById('trackProofCard'),
+    proofs: document.getElementById('trackProofs')
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    const params = new URLSearchParams(window.location.search);
+    const trackingNumber = params.get('tn');
+    const shareToken = params.get('token');
+
+    if (!trackingNumber || !shareToken) {
+        showError('This tracking link is incomplete. Please use the full link you were sent.');
+        return;
+    }
+
+    loadTracking(trackingNumber, shareToken);
+});
+
+async function loadTracking(trackingNumber, shareToken) {
+    try {
+        const response = await getPublicTracking(trackingNumber, shareToken);
+        const shipment = response.data.shipment;
+        renderShipment(shipment);
+
+        if (!FINAL_STATUSES.includes(shipment.status)) {
+            clearTimeout(refreshTimer);
+            refreshTimer = setTimeout(() => loadTracking(trackingNumber, shareToken), REFRESH_INTERVAL_MS);
+        }
+    } catch (error) {
+        showError(error.message || 'Unable to load this shipment');
+    }
+}
+
+function renderShipment(shipment) {
+    elements.loading.style.display = 'none';
+    elements.error.style.display = 'none';
+    elements.content.style.display = 'block';
+
+    elements.number.textContent = shipment.tracking_number;
+    elements.status.textContent = STATUS_LABELS[shipment.status] || shipment.status;
+    elements.status.className = `track-status ${shipment.status}`;
+    elements.origin.textContent = shipment.origin_address || '--';
+    elements.destination.textContent = shipment.destination_address || '--';
+
+    if (shipment.delivered_at) {
+        elements.etaLabel.textContent = 'Delivered';
+        elements.eta.textContent = formatDateTime(shipment.delivered_at);
+    } else {
+        const eta = shipment.eta?.eta || shipment.estimated_delivery;
+        elements.etaLabel.textContent = 'Estimated arrival';
+        elements.eta.textContent = eta ? formatDateTime(eta) : 'Not available yet';
+    }
+
+    elements.stopsRow.style.display = shipment.stops.total > 0 ? 'block' : 'none';
+    elements.stops.textContent = `${shipment.stops.completed} of ${shipment.stops.total} completed`;
+
+    renderPosition(shipment.last_position);
+    renderHistory(shipment.status_history);
+    renderProofs(shipment.proofs);
+}
+
+// The server only sends a rounded position, so show it as an area rather than a pin
+function renderPosition(position) {
+    if (!position) {
+        elements.mapCard.style.display = 'none';
+        return;
+    }
+
+    elements.mapCard.style.display = 'block';
+    const center = [position.latitude, position.longitude];
+
+    if (!trackMap) {
+        trackMap = L.map('trackMap', { scrollWheelZoom: false }).setView(center, 13);
+        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+            attribution: '© OpenStreetMap',
+            maxZoom: 15
+        }).addTo(trackMap);
+    }
+
+    if (positionCircle) {
+        positionCircle.setLatLng(center);
+    } else {
+        positionCircle = L.circle(center, {
+            radius: position.approximate_radius_meters,
+            color: '#3b82f6',
+            fillOpacity: 0.2
+        }).addTo(trackMap);
+    }
+    trackMap.setView(center);
+
+    elements.positionNote.textContent = `Shown within about ${position.approximate_radius_meters}m · updated ${formatDateTime(position.updated_at)}`;
+}
+
+function renderHistory(history) {
+    elements.history.innerHTML = '';
+
+    [...history].reverse().forEach(entry => {
+        const item = document.createElement('li');
+        const label = document.createElement('strong');
+        const time = document.createElement('span');
+        label.textContent = STATUS_LABELS[entry.status] || entry.status;
+        time.textContent = formatDateTime(entry.at);
+        item.append(label, time);
+        elements.history.appendChild(item);
+    });
+}
+
+function renderProofs(proofs) {
+    elements.proofCard.style.display = proofs.length > 0 ? 'block' : 'none';
+    elements.proofs.innerHTML = '';
+
+    const baseUrl = API_BASE_URL.replace(/\/api\/v1\/?$/, '');
+    proofs.forEach(proof => {
+        const link = document.createElement('a');
+        const image = document.createElement('img');
+        link.href = `${baseUrl}${proof.url}`;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        image.src = `${baseUrl}${proof.url}`;
+        image.alt = proof.proof_type === 'signature' ? 'Recipient signature' : 'Delivery photo';
+        link.appendChild(image);
+        elements.proofs.appendChild(link);
+    });
+}
+
+function showError(message) {
+    elements.loading.style.display = 'none';
+    elements.content.style.display = 'none';
+    elements.error.style.display = 'block';
+    elements.error.textContent = message;
+}
+
+function formatDateTime(value) {
+    return new Date(value).toLocaleString([], {
+        dateStyle: 'medium',
+        timeStyle: 'short'
+    });
+}